@@ -8,11 +8,51 @@ const { ensureDeploymentPermissions } = require("../utils/permissionCheck");
 const apiClient = require("../utils/apiClient");
 const EnvironmentManager = require("../utils/environmentManager");
 const Joi = require("joi");
+const yaml = require("js-yaml");
 const axios = require("axios");
+const net = require("net");
 const { execSync } = require("child_process");
 const portManager = require("../utils/portManager");
 const queueService = require("../src/services/queueService");
+const jobJournalService = require("../src/services/jobJournalService");
+const releaseLedgerService = require("../src/services/releaseLedgerService");
+const registryCredentialService = require("../src/services/registryCredentialService");
+const volumeService = require("../src/services/volumeService");
+const config = require("../src/config");
+const {
+  RELEASE_STATUS,
+  BUILD_STRATEGY,
+  HEALTH_CHECK_TYPES,
+  ROLLOUT_STRATEGIES,
+  DEPLOYMENT_PHASES,
+} = require("../src/constants/jobTypes");
 const repositoryController = require("../src/controllers/repositoryController");
+const DeploymentProgress = require("../src/utils/deploymentProgress");
+const {
+  REGISTRY_CREDENTIALS,
+  HOOK_COMMANDS,
+  HEALTH_CHECK,
+  ROLLOUT,
+  RESOURCES,
+  VOLUMES,
+} = require("../src/validators/jobSchemas");
+const {
+  GIT_PROVIDERS,
+  parseRepositoryUrl,
+  getAuthenticatedUrl,
+  prepareSshKey,
+  redactRepositoryUrl,
+} = require("../src/utils/gitRemote");
+
+// Compose files a repository may bring, in the order Docker Compose looks for them
+const COMPOSE_FILE_NAMES = [
+  "compose.yaml",
+  "compose.yml",
+  "docker-compose.yaml",
+  "docker-compose.yml",
+];
+// Compose file generated from the repository's own one
+const REPOSITORY_COMPOSE_FILE = "docker-compose.cloudlunacy.yml";
 
 class ZeroDowntimeDeployer {
   constructor() {
@@ -30,11 +70,17 @@ class ZeroDowntimeDeployer {
       process.env.TEMPLATES_DIR || "/opt/cloudlunacy/templates";
     this.deploymentLocks = new Set();
     this.STANDARD_CONTAINER_PORT = 8080;
-    this.useNixpacks = true;
-    // this.useNixpacks = process.env.USE_NIXPACKS === "true";
+    // Build used for repositories without a Dockerfile, compose file or
+    // nixpacks.toml: Nixpacks, or the bundled templates when disabled
+    this.useNixpacks = process.env.USE_NIXPACKS !== "false";
     this.nixpacksConfigDir =
       process.env.NIXPACKS_CONFIG_DIR ||
       path.join(this.templatesDir, "nixpacks");
+    // Images of earlier deployments kept per service for rollbacks
+    this.releasesToKeep = parseInt(process.env.RELEASES_TO_KEEP, 10) || 5;
+    this.releaseRepository = "cloudlunacy-releases";
+    // Limits of application containers unless a deployment sets its own
+    this.containerResources = config.deployment.containerResources;
   }
 
   validatePrerequisites = async () => {
@@ -75,6 +121,8 @@ class ZeroDowntimeDeployer {
     targetUrl,
     jobId = null,
     projectId = null,
+    targets = null,
+    transport = queueService,
   ) {
     try {
       const frontApiUrl = process.env.FRONT_API_URL;
@@ -98,6 +146,7 @@ class ZeroDowntimeDeployer {
             null,
             result,
             projectId,
+            transport,
           );
         }
 
@@ -110,6 +159,11 @@ class ZeroDowntimeDeployer {
       logger.info(`Registering ${serviceName} with Traefik front server...`);
       logger.info(`Expected domain: ${expectedDomain}`);
       logger.info(`Target URL: ${targetUrl}`);
+      if (targets) {
+        logger.info(
+          `Weighted targets: ${targets.map((t) => `${t.url} (${t.weight}%)`).join(", ")}`,
+        );
+      }
 
       // Use the Traefik API endpoint for HTTP routes only
       const response = await axios.post(
@@ -119,6 +173,8 @@ class ZeroDowntimeDeployer {
           subdomain: serviceName,
           targetUrl,
           expectedDomain, // Pass the expected domain to the front server
+          // Canary rollouts split the traffic between weighted targets
+          ...(targets ? { targets } : {}),
           options: {
             useTls: true,
             check: true,
@@ -157,6 +213,8 @@ class ZeroDowntimeDeployer {
             serviceName,
             response.data,
             result,
+            null,
+            transport,
           );
         }
 
@@ -180,6 +238,8 @@ class ZeroDowntimeDeployer {
             serviceName,
             response.data,
             result,
+            null,
+            transport,
           );
         }
 
@@ -203,7 +263,14 @@ class ZeroDowntimeDeployer {
 
       // Notify backend via queue if jobId is provided
       if (jobId) {
-        await this.notifyQueueOnRegistration(jobId, serviceName, null, result);
+        await this.notifyQueueOnRegistration(
+          jobId,
+          serviceName,
+          null,
+          result,
+          null,
+          transport,
+        );
       }
 
       return result;
@@ -318,6 +385,7 @@ class ZeroDowntimeDeployer {
     baseServiceName,
     jobId = null,
     projectId = null,
+    health = this.getContainerHealthCheck(),
   ) {
     const LOCAL_IP = execSync("hostname -I | awk '{print $1}'")
       .toString()
@@ -346,18 +414,17 @@ class ZeroDowntimeDeployer {
 
       // 1. Verify the new container's health before switching traffic
       logger.info("Verifying new container health before switching traffic...");
-      try {
-        const healthCheck = await axios.get(`${newTargetUrl}/health`, {
-          timeout: 5000,
-          validateStatus: (status) => status < 500,
-        });
-        logger.info(
-          `Health check for new container succeeded with status: ${healthCheck.status}`,
-        );
-      } catch (healthErr) {
-        logger.warn(
-          `Health check failed, but will continue with traffic switch: ${healthErr.message}`,
-        );
+      if (health.type !== HEALTH_CHECK_TYPES.NONE) {
+        const probe = await this.probeHealth(newContainer, health);
+        if (probe.healthy) {
+          logger.info(
+            `Health check for new container succeeded: ${probe.detail}`,
+          );
+        } else {
+          logger.warn(
+            `Health check failed, but will continue with traffic switch: ${probe.detail}`,
+          );
+        }
       }
 
       // Verify we have the actual port
@@ -378,12 +445,22 @@ class ZeroDowntimeDeployer {
         `Registering new target URL: ${newTargetUrl} for base service name: ${baseServiceName}`,
       );
 
+      // Replicas of the new container share the traffic evenly
+      const instances = this.getContainerInstances(newContainer);
+      const targets =
+        instances.length > 1
+          ? this.getWeightedTargets(LOCAL_IP, [
+              { containers: instances, share: 100 },
+            ])
+          : null;
+
       // Don't pass jobId here - we only want to send job completion notification once at the end
       await this.registerWithFrontServer(
         baseServiceName,
         newTargetUrl,
         null, // Don't send job notification during traffic switching
         projectId,
+        targets,
       );
 
       // 3. Wait longer to ensure Traefik configuration update propagates
@@ -418,16 +495,403 @@ class ZeroDowntimeDeployer {
     }
   }
 
-  async deploy(payload, ws) {
+  /**
+   * Move traffic to the new container in weighted steps while the old one
+   * keeps serving the rest. Every step is watched with the health check; if
+   * the new container stops, reports unhealthy or fails more probes than
+   * allowed, traffic goes back to the old container and the new one is
+   * removed. The final switch to 100% is left to switchTraffic.
+   * @param {Object} options - Rollout options
+   * @param {string} options.serviceName - Base service name
+   * @param {Object} options.oldContainer - Container serving traffic now,
+   *   with its replicas
+   * @param {Object} options.newContainer - Container with id, name, hostPort
+   *   and replicas
+   * @param {Object} options.rollout - Rollout settings
+   * @param {Object} options.health - Health check settings
+   * @param {Array<Object>} options.steps - Receives the outcome of each step
+   * @param {AbortSignal} [options.signal] - Rolls back when the job is cancelled
+   * @returns {Promise<void>}
+   * @throws {Error} If a step fails; traffic is back on the old container
+   */
+  async performCanaryRollout({
+    serviceName,
+    oldContainer,
+    newContainer,
+    rollout,
+    health,
+    steps,
+    signal = null,
+  }) {
+    const LOCAL_IP = execSync("hostname -I | awk '{print $1}'")
+      .toString()
+      .trim();
+
+    const oldHostPort = await this.getContainerHostPort(oldContainer.id);
+    if (!oldHostPort || typeof newContainer.hostPort !== "number") {
+      throw new Error(
+        `Cannot run a canary rollout: no published port found for ${oldHostPort ? newContainer.name : oldContainer.name}`,
+      );
+    }
+    const oldTargetUrl = `http://${LOCAL_IP}:${oldHostPort}`;
+    const oldInstances = this.getContainerInstances({
+      ...oldContainer,
+      hostPort: oldHostPort,
+    });
+    const newInstances = this.getContainerInstances(newContainer);
+
+    try {
+      for (const weight of rollout.steps) {
+        logger.info(
+          `Canary: sending ${weight}% of ${serviceName} traffic to ${newContainer.name}`,
+        );
+        const registration = await this.registerWithFrontServer(
+          serviceName,
+          oldTargetUrl,
+          null,
+          null,
+          this.getWeightedTargets(LOCAL_IP, [
+            { containers: oldInstances, share: 100 - weight },
+            { containers: newInstances, share: weight },
+          ]),
+        );
+        if (!registration.success) {
+          throw new Error(
+            `Weighted registration at ${weight}% failed: ${registration.message}`,
+          );
+        }
+
+        const step = { weight, probes: 0, failures: 0, probeFailureRate: 0 };
+        steps.push(step);
+        await this.watchCanaryStep(newContainer, health, rollout, step, signal);
+        logger.info(
+          `Canary at ${weight}%: ${step.failures}/${step.probes} probes failed`,
+        );
+      }
+    } catch (error) {
+      logger.warn(
+        `Canary rollout of ${serviceName} failed, returning traffic to ${oldContainer.name}: ${error.message}`,
+      );
+      await this.registerWithFrontServer(
+        serviceName,
+        oldTargetUrl,
+        null,
+        null,
+        oldInstances.length > 1
+          ? this.getWeightedTargets(LOCAL_IP, [
+              { containers: oldInstances, share: 100 },
+            ])
+          : null,
+      );
+      await this.removeCancelledContainer(newContainer.name, oldContainer);
+      throw new Error(`Canary rollout failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Probe the new container and its replicas for the duration of a canary step
+   * @param {Object} container - Container with id, name, hostPort and replicas
+   * @param {Object} health - Health check settings
+   * @param {Object} rollout - Rollout settings
+   * @param {Object} step - Step outcome, updated with the probe counts
+   * @param {AbortSignal} [signal] - Stops the step when the job is cancelled
+   * @returns {Promise<void>}
+   * @throws {Error} If the container stops, reports unhealthy or the share
+   *   of failed health probes exceeds maxProbeFailureRate
+   */
+  async watchCanaryStep(container, health, rollout, step, signal = null) {
+    const stepEnd = Date.now() + rollout.stepDuration * 1000;
+    const instances = this.getContainerInstances(container);
+    // Failures that exceed the limit even if every remaining probe passes
+    const failureLimit =
+      Math.max(1, Math.floor(rollout.stepDuration / rollout.sampleInterval)) *
+      instances.length *
+      rollout.maxProbeFailureRate;
+
+    while (Date.now() < stepEnd) {
+      await new Promise((resolve) =>
+        setTimeout(
+          resolve,
+          Math.min(rollout.sampleInterval * 1000, stepEnd - Date.now()),
+        ),
+      );
+      this.throwIfCancelled(signal);
+
+      for (const instance of instances) {
+        const { status, health: dockerHealth } = await this.getContainerState(
+          instance.id,
+        );
+        if (status !== "running") {
+          throw new Error(
+            `Container ${instance.name} is ${status || "gone"} instead of running`,
+          );
+        }
+        // Only command checks run as the container's Docker healthcheck
+        if (
+          health.type === HEALTH_CHECK_TYPES.COMMAND &&
+          dockerHealth === "unhealthy"
+        ) {
+          throw new Error(`Container ${instance.name} reported unhealthy`);
+        }
+        if (health.type === HEALTH_CHECK_TYPES.NONE) {
+          continue;
+        }
+
+        const probe = await this.probeHealth(instance, health);
+        step.probes += 1;
+        if (!probe.healthy) {
+          step.failures += 1;
+          logger.warn(
+            `Canary probe of ${instance.name} failed: ${probe.detail}`,
+          );
+        }
+        step.probeFailureRate = step.failures / step.probes;
+      }
+
+      if (step.failures > failureLimit) {
+        break;
+      }
+    }
+
+    if (step.probeFailureRate > rollout.maxProbeFailureRate) {
+      throw new Error(
+        `health probe failure rate ${step.probeFailureRate.toFixed(2)} at ${step.weight}% exceeds ${rollout.maxProbeFailureRate}`,
+      );
+    }
+  }
+
+  /**
+   * Front server targets that split traffic between groups of containers
+   * @param {string} localIp - Address the containers' host ports are on
+   * @param {Array<Object>} groups - { containers, share }: containers that
+   *   share a percentage of the traffic evenly; containers without a host
+   *   port are left out
+   * @returns {Array<{url: string, weight: number}>} Weighted targets
+   */
+  getWeightedTargets(localIp, groups) {
+    return groups.flatMap(({ containers, share }) => {
+      const reachable = containers.filter((container) => container.hostPort);
+      return reachable.map((container) => ({
+        url: `http://${localIp}:${container.hostPort}`,
+        weight: Math.round((share / reachable.length) * 100) / 100,
+      }));
+    });
+  }
+
+  /**
+   * A container followed by its replicas
+   * @param {Object} container - Container, optionally with replicas
+   * @returns {Array<Object>} Containers serving the release
+   */
+  getContainerInstances(container) {
+    return [container, ...(container.replicas || [])];
+  }
+
+  /**
+   * Start the extra replicas of a new container: copies of its image, env
+   * file, volumes and networks named <container>-2, <container>-3 and so on, each on
+   * a host port of its own. Each replica has to pass the health check
+   * before the next one starts; if one fails, all of them are removed.
+   * @param {Object} container - Started container with id, name, hostPort
+   *   and containerPort
+   * @param {Object} options - Replica options
+   * @param {number} options.replicas - Containers wanted in total
+   * @param {string} options.envFilePath - Env file of the release
+   * @param {Object} options.health - Health check settings
+   * @param {Object} options.resources - Resource settings
+   * @param {Array<Object>} [options.mounts] - Volumes the containers mount
+   * @param {AbortSignal} [options.signal] - Stops when the job is cancelled
+   * @returns {Promise<Array<Object>>} Replicas with id, name, hostPort and
+   *   containerPort
+   * @throws {Error} If a replica does not start or pass its health check
+   */
+  async startReplicas(
+    container,
+    { replicas, envFilePath, health, resources, mounts = [], signal = null },
+  ) {
+    const { stdout } = await executeCommand(
+      "docker",
+      [
+        "inspect",
+        "--format",
+        "{{.Image}}|{{range $name, $network := .NetworkSettings.Networks}}{{$name}} {{end}}",
+        container.id,
+      ],
+      { silent: true },
+    );
+    const [image, networkList = ""] = stdout.trim().split("|");
+    const [network, ...otherNetworks] = networkList.split(" ").filter(Boolean);
+
+    const started = [];
+    try {
+      for (let index = 2; index <= replicas; index++) {
+        this.throwIfCancelled(signal);
+        const name = `${container.name}-${index}`;
+        // Left over from an earlier deployment of this color
+        await executeCommand("docker", ["rm", "-f", name], {
+          ignoreError: true,
+          silent: true,
+        });
+
+        // Recorded under the replica's name, so the port stays reserved for
+        // it across deployments until the replica is removed
+        const { hostPort } = await portManager.allocatePort(name);
+        logger.info(`Starting replica ${name} on port ${hostPort}`);
+        const { stdout: id } = await executeCommand("docker", [
+          "run",
+          "-d",
+          "--name",
+          name,
+          ...this.getDockerRunResourceArgs(resources),
+          "--env-file",
+          envFilePath,
+          "-p",
+          `${hostPort}:${container.containerPort}`,
+          ...this.getComposeVolumes(mounts).entries.flatMap((entry) => [
+            "-v",
+            entry,
+          ]),
+          ...(network ? ["--network", network] : []),
+          ...this.getDockerRunHealthArgs(health),
+          image,
+        ]);
+        const replica = {
+          id: id.trim(),
+          name,
+          hostPort,
+          containerPort: container.containerPort,
+        };
+        started.push(replica);
+
+        for (const otherNetwork of otherNetworks) {
+          await executeCommand("docker", [
+            "network",
+            "connect",
+            otherNetwork,
+            replica.id,
+          ]);
+        }
+        await this.performHealthCheck(replica, signal, health);
+      }
+      return started;
+    } catch (error) {
+      for (const replica of started) {
+        await executeCommand("docker", ["rm", "-f", replica.id], {
+          ignoreError: true,
+        });
+      }
+      await this.releaseReplicaPorts(started);
+      throw new Error(
+        `Failed to start replicas of ${container.name}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Give the host ports of removed replicas back to the port manager
+   * @param {Array<Object>} replicas - Replicas with their name
+   */
+  async releaseReplicaPorts(replicas) {
+    for (const replica of replicas) {
+      try {
+        await portManager.releasePort(replica.name);
+      } catch (error) {
+        logger.warn(
+          `Failed to release the port of replica ${replica.name}: ${error.message}`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Find the replicas started beside a container
+   * @param {string} containerName - Name of the (blue/green) container
+   * @returns {Promise<Array<Object>>} Replicas with id, name and hostPort
+   *   (null when stopped)
+   */
+  async getReplicaContainers(containerName) {
+    const { stdout } = await executeCommand(
+      "docker",
+      [
+        "ps",
+        "-a",
+        "--format",
+        "{{.ID}} {{.Names}}",
+        "--filter",
+        `name=^${containerName}-[0-9]+$`,
+      ],
+      { ignoreError: true, silent: true },
+    );
+
+    const replicas = [];
+    for (const line of stdout.split("\n").filter(Boolean)) {
+      const [id, name] = line.trim().split(" ");
+      replicas.push({
+        id,
+        name,
+        hostPort: await this.getContainerHostPort(id),
+      });
+    }
+    return replicas;
+  }
+
+  /**
+   * Deploy a release of a service through the blue/green switch
+   * @param {Object} payload - Deployment payload
+   * @param {Object} ws - Connection that receives status messages
+   * @param {Object} [options] - Deployment options
+   * @param {AbortSignal} [options.signal] - Fired when the job is cancelled
+   * @param {Object} [options.transport] - Transport the job arrived on
+   * @returns {Promise<Object>} Outcome with success, message and the result
+   *   reported to the backend
+   */
+  async deploy(payload, ws, options = {}) {
+    // signal fires when the job running this deployment is cancelled; build
+    // output and progress go back over the transport the job arrived on
+    const { signal = null, transport = queueService } = options;
+
     const payloadSchema = Joi.object({
       deploymentId: Joi.string().required(),
       jobId: Joi.string().optional(), // Optional jobId for API calls that need it
       projectId: Joi.string().optional(), // Optional projectId to track which project this deployment belongs to
-      appType: Joi.string().required(),
+      // Prebuilt images replace the repository, so nothing is cloned or built
+      image: Joi.string().optional(),
+      registryCredentials: REGISTRY_CREDENTIALS.optional(),
+      // Repository the release image is pushed to, e.g. ghcr.io/acme/web
+      pushImage: Joi.string().optional(),
+      appType: Joi.when("image", {
+        is: Joi.exist(),
+        then: Joi.string().default("docker"),
+        otherwise: Joi.string().required(),
+      }),
       autoDetectAppType: Joi.boolean().default(true), // Enable auto-detection of app type
-      repositoryUrl: Joi.string().required(),
+      buildStrategy: Joi.string()
+        .valid(...Object.values(BUILD_STRATEGY))
+        .default(BUILD_STRATEGY.AUTO),
+      // Service of the repository compose file that receives the traffic
+      composeService: Joi.string().optional(),
+      // Build without the cache of the previous release
+      noCache: Joi.boolean().default(false),
+      repositoryUrl: Joi.when("image", {
+        is: Joi.exist(),
+        then: Joi.forbidden(),
+        otherwise: Joi.string().required(),
+      }),
       branch: Joi.string(),
-      githubToken: Joi.string().required(),
+      // Pin the deployment to an exact commit or tag instead of the branch head
+      commitSha: Joi.string()
+        .pattern(/^[0-9a-f]{7,40}$/i)
+        .optional(),
+      tag: Joi.string().optional(),
+      // Repositories can live on any git host; the token or deploy key is
+      // only needed for private repositories
+      gitProvider: Joi.string()
+        .valid(...GIT_PROVIDERS)
+        .optional(),
+      gitToken: Joi.string().optional(),
+      githubToken: Joi.string().optional(), // Legacy name for gitToken
+      gitUsername: Joi.string().optional(),
+      sshKey: Joi.string().optional(),
       environment: Joi.string().default("production"),
       serviceName: Joi.string().required(),
       domain: Joi.string().optional(), // Domain is optional - will be generated from serviceName
@@ -440,7 +904,24 @@ class ZeroDowntimeDeployer {
           }),
         )
         .optional(),
-    });
+      // Shell commands run from the new image before the traffic switch
+      // (a failure aborts) and in the new container after it
+      preDeploy: HOOK_COMMANDS.optional(),
+      postDeploy: HOOK_COMMANDS.optional(),
+      // Containers started per color; traffic is spread over all of them
+      replicas: Joi.number().integer().min(1).max(20).default(1),
+      // Limits and restart behavior of the containers; the agent's defaults
+      // fill in the rest (stopGracePeriod is in seconds)
+      resources: RESOURCES.optional(),
+      // Named volumes kept across releases, or host directories (source)
+      // bind mounted into the containers
+      volumes: VOLUMES.optional(),
+      // Readiness check of the new container; durations are in seconds
+      healthCheck: HEALTH_CHECK.optional(),
+      // Weighted canary steps (percent of traffic on the new container)
+      // before the final switch; durations are in seconds
+      rollout: ROLLOUT.optional(),
+    }).oxor("commitSha", "tag");
 
     const { error, value } = payloadSchema.validate(payload);
     if (error) {
@@ -450,7 +931,7 @@ class ZeroDowntimeDeployer {
         status: "failed",
         message: `Invalid payload: ${error.message}`,
       });
-      return;
+      return { success: false, message: `Invalid payload: ${error.message}` };
     }
 
     // Early return for database deployments - MessageHandler should handle this,
@@ -465,80 +946,81 @@ class ZeroDowntimeDeployer {
         message:
           "Database deployments should be handled by the database controller",
       });
-      return;
+      return {
+        success: false,
+        message:
+          "Database deployments should be handled by the database controller",
+      };
     }
 
     const {
       deploymentId,
       appType,
       autoDetectAppType,
+      buildStrategy,
+      composeService,
+      noCache,
+      image,
+      registryCredentials,
+      pushImage,
       repositoryUrl,
       branch,
-      githubToken,
+      commitSha,
+      tag,
+      gitProvider,
+      gitUsername,
+      sshKey,
       environment,
       serviceName,
       domain,
       envVarsToken,
       additionalPorts,
+      preDeploy,
+      postDeploy,
+      replicas,
+      resources,
+      volumes,
+      healthCheck,
+      rollout,
     } = value;
 
     // Extract repository owner and name from URL for git operations
-    const repoMatch = repositoryUrl.match(
-      /github\.com\/([^\/]+)\/([^\.\/]+)(\.git)?$/,
-    );
+    const repository = image ? null : parseRepositoryUrl(repositoryUrl);
 
-    if (!repoMatch) {
+    if (!image && !repository) {
       throw new Error(
-        `Could not parse repository information from URL: ${repositoryUrl}`,
+        `Could not parse repository information from URL: ${redactRepositoryUrl(repositoryUrl)}`,
       );
     }
 
-    const repositoryOwner = repoMatch[1];
-    const repositoryName = repoMatch[2];
-
-    logger.info(
-      `Extracted repository info from URL: ${repositoryOwner}/${repositoryName}`,
-    );
+    if (repository) {
+      logger.info(
+        `Extracted repository info from URL: ${repository.owner}/${repository.name} (${gitProvider || repository.provider})`,
+      );
+    }
 
-    logger.info("Deploying with payload:", value);
+    logger.info("Deploying with payload:", {
+      ...value,
+      sshKey: sshKey ? "[redacted]" : undefined,
+      registryCredentials: registryCredentials ? "[redacted]" : undefined,
+    });
 
     const LOCAL_IP = execSync("hostname -I | awk '{print $1}'")
       .toString()
       .trim();
 
-    // Use provided domain or generate from service name using the standard format
-    // Ensure all domains follow the {serviceName}.apps.cloudlunacy.uk format
-    let finalDomain;
-    if (domain && domain.includes(serviceName)) {
-      // If domain is provided and contains the service name, use it
-      finalDomain = domain;
-    } else {
-      // Generate the standard domain format
-      finalDomain = `${serviceName}.${process.env.APP_DOMAIN || "apps.cloudlunacy.uk"}`;
-    }
+    const finalDomain = this.getServiceDomain(serviceName, domain);
 
     logger.info(
       `Using domain: ${finalDomain} ${domain ? "(provided in payload)" : "(generated from service name)"}`,
     );
 
-    // Initialize port manager and allocate a host port for this service
-    await portManager.initialize();
-    const { hostPort, containerPort } =
-      await portManager.allocatePort(serviceName);
-    logger.info("🚀 ~ ZeroDowntimeDeployer ~ deploy ~ hostPort:", hostPort);
-
-    // We'll register with Traefik only after the container is built and ready
-    // No early registration to avoid double-registration issues
-    logger.info(
-      `Port allocated: ${hostPort} (container port: ${containerPort}) - will register with Traefik after container is ready`,
-    );
-
     const serviceLockKey = `${serviceName}-${environment}`;
     if (this.deploymentLocks.has(serviceLockKey)) {
       const msg = `Deployment already in progress for ${serviceName} in ${environment}`;
       logger.warn(msg);
       this.sendError(ws, { deploymentId, status: "failed", message: msg });
-      return;
+      return { success: false, message: msg };
     }
     this.deploymentLocks.add(serviceLockKey);
 
@@ -550,34 +1032,96 @@ class ZeroDowntimeDeployer {
 
     let oldContainer = null;
     let newContainer = null;
+    let newContainerName = null;
     let rollbackNeeded = false;
     let envManager = null;
+    let releaseRecorded = false;
+    // Every deployment builds its own tag, so earlier releases stay intact
+    const releaseImage = this.getReleaseImage(serviceName, deploymentId);
+    const startedAt = Date.now();
+    // Durations of the deployment phases, in milliseconds
+    const timings = {};
+    const progress = new DeploymentProgress(value.jobId, transport);
+    // Outcome of the preDeploy and postDeploy hooks that ran
+    const hooks = {};
+    const health = this.getContainerHealthCheck(healthCheck);
+    const containerResources = this.getContainerResources(resources);
+    const rolloutSettings = this.getRolloutSettings(rollout);
+    // Outcome of each canary step that ran
+    const canarySteps = [];
 
     try {
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(value.jobId, "prepare");
       await ensureDeploymentPermissions();
       await this.validatePrerequisites();
       await this.setupDirectories(deployDir, backupDir);
 
+      oldContainer = await this.getCurrentContainer(serviceName);
+      if (oldContainer) await this.backupCurrentState(oldContainer, backupDir);
+
+      newContainerName = `${serviceName}-${this.getNextColor(oldContainer)}`;
+      // The old release keeps serving on its own port until the switch; we
+      // register with Traefik only after the new container is ready
+      const { hostPort, containerPort } = await this.allocateReleasePort(
+        newContainerName,
+        oldContainer,
+      );
+
       envManager = new EnvironmentManager(deployDir);
       const envVars = await this.fetchEnvironmentVariables(
         deploymentId,
         envVarsToken,
       );
 
-      const envFilePath = await envManager.writeEnvFile(envVars, environment);
+      this.throwIfCancelled(signal);
+      let sourceCommit;
+      const sourceStartedAt = Date.now();
+      if (image) {
+        await jobJournalService.recordStep(value.jobId, "pull");
+        await progress.startPhase(DEPLOYMENT_PHASES.PULL);
+        sourceCommit = await this.pullImage(
+          image,
+          releaseImage,
+          registryCredentials,
+          signal,
+          progress.onOutput,
+        );
+      } else {
+        await jobJournalService.recordStep(value.jobId, "clone");
+        await progress.startPhase(DEPLOYMENT_PHASES.CLONE);
+        sourceCommit = await this.cloneRepository(
+          deployDir,
+          {
+            repositoryUrl,
+            provider: gitProvider || repository.provider,
+            token: value.gitToken || value.githubToken,
+            username: gitUsername,
+            sshKey,
+            branch,
+            commitSha,
+            tag,
+          },
+          signal,
+          progress.onOutput,
+        );
+      }
+      timings.sourceMs = Date.now() - sourceStartedAt;
 
-      await this.cloneRepository(
-        deployDir,
-        repositoryOwner,
-        repositoryName,
-        branch,
-        githubToken,
-        repositoryUrl,
+      // Let the application report the exact commit it runs; PORT tells
+      // images built from a Dockerfile where to listen
+      const envFilePath = await envManager.writeEnvFile(
+        {
+          PORT: String(containerPort),
+          ...envVars,
+          SOURCE_COMMIT: sourceCommit || "",
+        },
+        environment,
       );
 
       // Auto-detect app type if the flag is set
       let detectedAppType = appType;
-      if (autoDetectAppType) {
+      if (autoDetectAppType && !image) {
         logger.info(
           "Auto-detecting application type from repository contents...",
         );
@@ -602,32 +1146,38 @@ class ZeroDowntimeDeployer {
         }
       }
 
-      oldContainer = await this.getCurrentContainer(serviceName);
-      if (oldContainer) await this.backupCurrentState(oldContainer, backupDir);
+      const strategy = image
+        ? null
+        : await this.detectBuildStrategy(deployDir, buildStrategy);
+      // The live release is the closest match to the new build
+      const cacheFrom =
+        image || noCache ? null : await this.getBuildCacheImage(serviceName);
 
-      // Blue-green deployment: alternate between blue and green
-      let blueGreenLabel;
-      if (oldContainer) {
-        // If existing container is blue, deploy green; if green, deploy blue
-        if (oldContainer.name.includes("-green")) {
-          blueGreenLabel = "blue";
-        } else if (oldContainer.name.includes("-blue")) {
-          blueGreenLabel = "green";
-        } else {
-          // If no blue/green suffix, start with green
-          blueGreenLabel = "green";
-        }
-        logger.info(
-          `Existing container: ${oldContainer.name}, deploying new: ${blueGreenLabel}`,
-        );
-      } else {
-        // No existing container, start with blue
-        blueGreenLabel = "blue";
-        logger.info("No existing container found, starting with blue");
-      }
+      await releaseLedgerService.recordRelease(serviceName, {
+        deploymentId,
+        jobId: value.jobId,
+        image: releaseImage,
+        sourceImage: image,
+        commit: sourceCommit,
+        branch,
+        tag,
+        environment,
+        healthCheck,
+        replicas,
+        resources,
+        volumes,
+      });
+      releaseRecorded = true;
 
-      const newContainerName = `${serviceName}-${blueGreenLabel}`;
+      // Named volumes outlive the containers, so the new release finds the
+      // data the old one wrote
+      const mounts = await volumeService.prepareVolumes(serviceName, volumes);
 
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(value.jobId, "build");
+      if (!image) {
+        await progress.startPhase(DEPLOYMENT_PHASES.SETUP);
+      }
       newContainer = await this.buildAndStartContainer({
         projectName,
         serviceName: newContainerName,
@@ -637,9 +1187,39 @@ class ZeroDowntimeDeployer {
         environment,
         hostPort,
         containerPort,
+        imageName: releaseImage,
+        prebuilt: Boolean(image),
+        buildStrategy: strategy,
+        composeService,
+        cacheFrom,
+        noCache,
+        timings,
+        progress,
+        health,
+        resources: containerResources,
+        mounts,
+        beforeStart: preDeploy
+          ? async (compose) => {
+              await progress.startPhase(DEPLOYMENT_PHASES.PRE_DEPLOY);
+              hooks.preDeploy = await this.runPreDeployHook({
+                projectName,
+                deployDir,
+                ...compose,
+                commands: [].concat(preDeploy),
+                signal,
+                onOutput: progress.onOutput,
+              });
+              if (!hooks.preDeploy.success) {
+                throw new Error(
+                  `preDeploy command failed with exit code ${hooks.preDeploy.exitCode}`,
+                );
+              }
+            }
+          : null,
         appType: detectedAppType,
         additionalPorts: additionalPorts || [],
         ws,
+        signal,
       });
 
       // Debug: Log the new container details
@@ -654,16 +1234,99 @@ class ZeroDowntimeDeployer {
       }
 
       await envManager.verifyEnvironmentSetup(newContainer.name);
-      await this.performHealthCheck(newContainer);
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(value.jobId, "health");
+      await progress.startPhase(DEPLOYMENT_PHASES.HEALTH);
+      const healthStartedAt = Date.now();
+      await this.performHealthCheck(newContainer, signal, health);
+      if (replicas > 1) {
+        // The old release keeps serving until every replica is healthy
+        newContainer.replicas = await this.startReplicas(newContainer, {
+          replicas,
+          envFilePath,
+          health,
+          resources: containerResources,
+          mounts,
+          signal,
+        });
+      }
+      timings.healthCheckMs = Date.now() - healthStartedAt;
+
+      if (rolloutSettings.strategy === ROLLOUT_STRATEGIES.CANARY) {
+        if (oldContainer && oldContainer.id !== newContainer.id) {
+          this.throwIfCancelled(signal);
+          await jobJournalService.recordStep(value.jobId, "canary");
+          await progress.startPhase(DEPLOYMENT_PHASES.CANARY);
+          const canaryStartedAt = Date.now();
+          await this.performCanaryRollout({
+            serviceName,
+            oldContainer,
+            newContainer,
+            rollout: rolloutSettings,
+            health,
+            steps: canarySteps,
+            signal,
+          });
+          timings.canaryMs = Date.now() - canaryStartedAt;
+        } else {
+          logger.info(
+            `No running release of ${serviceName} to share traffic with, skipping the canary steps`,
+          );
+        }
+      }
 
       // Switch traffic from the old container (if any) to the new container.
       // Pass the jobId to maintain continuity with the front server registration
+      // Last point at which a cancellation is honored - once traffic moves
+      // to the new container the deployment runs to completion
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(value.jobId, "switch");
+      await progress.startPhase(DEPLOYMENT_PHASES.SWITCH);
+      const switchStartedAt = Date.now();
       await this.switchTraffic(
         oldContainer,
         newContainer,
         serviceName,
         value.jobId,
+        null,
+        health,
+      );
+      timings.switchMs = Date.now() - switchStartedAt;
+
+      if (postDeploy) {
+        // The release is live already, so a failure is only reported
+        await progress.startPhase(DEPLOYMENT_PHASES.POST_DEPLOY);
+        hooks.postDeploy = await this.runPostDeployHook(
+          newContainer,
+          [].concat(postDeploy),
+          { signal, onOutput: progress.onOutput },
+        );
+      }
+
+      // Keep this build around so the service can be rolled back to it
+      await this.retainReleaseImage(serviceName, deploymentId, newContainer);
+      const pushedImage = pushImage
+        ? await this.pushReleaseImage(
+            releaseImage,
+            pushImage,
+            deploymentId,
+            // Credentials of a deploy_image job belong to the pulled image
+            image ? null : registryCredentials,
+          )
+        : null;
+      const metrics = {
+        buildStrategy: strategy,
+        cacheFrom,
+        ...timings,
+        totalMs: Date.now() - startedAt,
+      };
+      logger.info(
+        `Deployment ${deploymentId} timings: ${JSON.stringify(metrics)}`,
       );
+      await releaseLedgerService.markLive(serviceName, deploymentId, {
+        pushedImage,
+        metrics,
+      });
 
       if (oldContainer && oldContainer.id !== newContainer.id) {
         logger.info(
@@ -684,8 +1347,44 @@ class ZeroDowntimeDeployer {
         status: "success",
         message: "Deployment completed",
         domain: finalDomain,
+        sourceCommit,
+        pushedImage,
+        metrics,
+        hooks,
+        rollout: { strategy: rolloutSettings.strategy, steps: canarySteps },
       });
 
+      const deploymentResult = {
+        success: true,
+        domain: finalDomain,
+        message: "Deployment completed successfully",
+        serviceName: serviceName,
+        sourceCommit,
+        pushedImage,
+        metrics,
+        hooks,
+        rollout: {
+          strategy: rolloutSettings.strategy,
+          steps: canarySteps,
+        },
+        timestamp: new Date().toISOString(),
+        // Include container information for logging
+        containerDetails: newContainer
+          ? {
+              containerId: newContainer.id,
+              containerName: newContainer.name,
+              hostPort: newContainer.hostPort,
+              containerPort: newContainer.containerPort,
+              status: "running",
+              replicas: (newContainer.replicas || []).map((replica) => ({
+                containerId: replica.id,
+                containerName: replica.name,
+                hostPort: replica.hostPort,
+              })),
+            }
+          : null,
+      };
+
       // Send job completion result to backend (deployment is actually complete now)
       if (value.jobId) {
         // Debug: Log container state before sending notification
@@ -698,24 +1397,9 @@ class ZeroDowntimeDeployer {
             value.jobId,
             serviceName,
             null, // No front server response data at this point
-            {
-              success: true,
-              domain: finalDomain,
-              message: "Deployment completed successfully",
-              serviceName: serviceName,
-              timestamp: new Date().toISOString(),
-              // Include container information for logging
-              containerDetails: newContainer
-                ? {
-                    containerId: newContainer.id,
-                    containerName: newContainer.name,
-                    hostPort: newContainer.hostPort,
-                    containerPort: newContainer.containerPort,
-                    status: "running",
-                  }
-                : null,
-            },
+            deploymentResult,
             value.projectId || null,
+            transport,
           );
           logger.info(
             `Job completion notification sent for job ${value.jobId}`,
@@ -726,8 +1410,38 @@ class ZeroDowntimeDeployer {
           );
         }
       }
+
+      return {
+        success: true,
+        message: deploymentResult.message,
+        result: deploymentResult,
+      };
     } catch (error) {
+      if (signal?.aborted) {
+        // Cancelled or timed out: the old container never stopped serving, so
+        // only the half-built new one has to go; the caller publishes the result
+        logger.warn(`Deployment ${deploymentId} aborted: ${error.message}`);
+        await this.removeCancelledContainer(newContainerName, oldContainer);
+        if (releaseRecorded) {
+          await releaseLedgerService.markFinished(
+            serviceName,
+            deploymentId,
+            RELEASE_STATUS.CANCELLED,
+            error.message,
+          );
+        }
+        return { success: false, message: error.message };
+      }
+
       logger.error(`Deployment ${deploymentId} failed:`, error);
+      if (releaseRecorded) {
+        await releaseLedgerService.markFinished(
+          serviceName,
+          deploymentId,
+          RELEASE_STATUS.FAILED,
+          error.message,
+        );
+      }
       rollbackNeeded = true;
       try {
         if (rollbackNeeded && oldContainer)
@@ -741,6 +1455,29 @@ class ZeroDowntimeDeployer {
         message: error.message,
       });
 
+      const failureResult = {
+        success: false,
+        domain: null,
+        message: `Deployment failed: ${error.message}`,
+        serviceName: serviceName,
+        hooks,
+        rollout: {
+          strategy: rolloutSettings.strategy,
+          steps: canarySteps,
+        },
+        timestamp: new Date().toISOString(),
+        // Include container information if a container was created before failure
+        containerDetails: newContainer
+          ? {
+              containerId: newContainer.id,
+              containerName: newContainer.name,
+              hostPort: newContainer.hostPort,
+              containerPort: newContainer.containerPort,
+              status: "failed",
+            }
+          : null,
+      };
+
       // Send job failure result to backend
       if (value.jobId) {
         try {
@@ -748,24 +1485,9 @@ class ZeroDowntimeDeployer {
             value.jobId,
             serviceName,
             null, // No front server response data for failures
-            {
-              success: false,
-              domain: null,
-              message: `Deployment failed: ${error.message}`,
-              serviceName: serviceName,
-              timestamp: new Date().toISOString(),
-              // Include container information if a container was created before failure
-              containerDetails: newContainer
-                ? {
-                    containerId: newContainer.id,
-                    containerName: newContainer.name,
-                    hostPort: newContainer.hostPort,
-                    containerPort: newContainer.containerPort,
-                    status: "failed",
-                  }
-                : null,
-            },
+            failureResult,
             value.projectId || null,
+            transport,
           );
           logger.info(`Job failure notification sent for job ${value.jobId}`);
         } catch (notifyError) {
@@ -774,19 +1496,527 @@ class ZeroDowntimeDeployer {
           );
         }
       }
+
+      return {
+        success: false,
+        message: failureResult.message,
+        result: failureResult,
+      };
     } finally {
       this.deploymentLocks.delete(serviceLockKey);
+      await progress.flush();
       if (!rollbackNeeded) await this.cleanup(deployDir, rollbackNeeded);
     }
   }
 
-  async gracefulContainerRemoval(container, deployDir, projectName) {
-    try {
-      logger.info(
-        `Gracefully removing old container ${container.name} (${container.id})`,
-      );
+  /**
+   * Throw if the deployment has been cancelled
+   * @param {AbortSignal} signal - Cancellation signal (optional)
+   * @throws {Error} The cancellation reason
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw signal.reason instanceof Error
+        ? signal.reason
+        : new Error("Deployment cancelled");
+    }
+  }
 
-      // First check if the container still exists
+  /**
+   * Remove the container started by a cancelled deployment
+   * @param {string} containerName - Name of the new (blue/green) container
+   * @param {Object} oldContainer - Container that is still serving traffic
+   */
+  async removeCancelledContainer(containerName, oldContainer) {
+    if (!containerName || oldContainer?.name === containerName) {
+      return;
+    }
+
+    try {
+      logger.info(
+        `Removing container ${containerName} of cancelled deployment`,
+      );
+      const replicas = await this.getReplicaContainers(containerName);
+      await executeCommand(
+        "docker",
+        ["rm", "-f", containerName, ...replicas.map((replica) => replica.id)],
+        { ignoreError: true },
+      );
+      await this.releaseReplicaPorts(replicas);
+    } catch (error) {
+      logger.warn(
+        `Failed to remove container ${containerName}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Domain a service is served on
+   * @param {string} serviceName - Base service name
+   * @param {string} [domain] - Domain requested in the payload
+   * @returns {string} The requested domain if it names the service, otherwise
+   *   the standard {serviceName}.apps.cloudlunacy.uk domain
+   */
+  getServiceDomain(serviceName, domain = null) {
+    if (domain && domain.includes(serviceName)) {
+      return domain;
+    }
+
+    return `${serviceName}.${process.env.APP_DOMAIN || "apps.cloudlunacy.uk"}`;
+  }
+
+  /**
+   * Pick the blue/green color for the next container of a service
+   * @param {Object} oldContainer - Container currently serving traffic
+   * @returns {string} "blue" or "green"
+   */
+  getNextColor(oldContainer) {
+    if (!oldContainer) {
+      logger.info("No existing container found, starting with blue");
+      return "blue";
+    }
+
+    // If existing container is blue, deploy green; if green, deploy blue.
+    // Containers without a suffix are replaced by green.
+    const color = oldContainer.name.includes("-green") ? "blue" : "green";
+    logger.info(
+      `Existing container: ${oldContainer.name}, deploying new: ${color}`,
+    );
+    return color;
+  }
+
+  /**
+   * Reserve a host port for the container a deployment starts. The port is
+   * recorded under the container's (blue/green) name, so the release serving
+   * traffic keeps its own ports until switchTraffic moves the service to the
+   * new one. A recorded port the live release publishes (left by deployments
+   * that shared the service's port) is given up rather than freed, since
+   * freeing it would stop the live release.
+   * @param {string} containerName - Name of the new (blue/green) container
+   * @param {Object} [oldContainer] - Container serving traffic now, with its
+   *   replicas
+   * @returns {Promise<Object>} hostPort and containerPort
+   */
+  async allocateReleasePort(containerName, oldContainer = null) {
+    await portManager.initialize();
+
+    if (oldContainer) {
+      const livePorts = [
+        await this.getContainerHostPort(oldContainer.id),
+        ...(oldContainer.replicas || []).map((replica) => replica.hostPort),
+      ].filter(Boolean);
+      if (livePorts.includes(portManager.portMap[containerName])) {
+        await portManager.releasePort(containerName);
+      }
+    }
+
+    const { hostPort, containerPort } =
+      await portManager.allocatePort(containerName);
+    logger.info(
+      `Port allocated for ${containerName}: ${hostPort} (container port: ${containerPort})`,
+    );
+    return { hostPort, containerPort };
+  }
+
+  /**
+   * Image repository holding the retained releases of a service
+   * @param {string} serviceName - Base service name
+   * @returns {string} Repository name
+   */
+  getReleaseRepository(serviceName) {
+    const name = serviceName.toLowerCase().replace(/[^a-z0-9._-]/g, "-");
+    return `${this.releaseRepository}/${name}`;
+  }
+
+  /**
+   * Compose project of the services a repository's compose file runs next
+   * to the one receiving traffic. It is named after the service, so the
+   * sidecars outlive deployments.
+   * @param {string} serviceName - Base service name
+   * @returns {string} Compose project name
+   */
+  getSidecarProjectName(serviceName) {
+    return `${serviceName}-sidecars`.toLowerCase().replace(/[^a-z0-9-]/g, "-");
+  }
+
+  /**
+   * Image tag for a deployment
+   * @param {string} deploymentId - Deployment ID
+   * @returns {string} Valid Docker tag
+   */
+  getReleaseTag(deploymentId) {
+    return String(deploymentId)
+      .replace(/[^A-Za-z0-9_.-]/g, "-")
+      .replace(/^[.-]/, "_")
+      .slice(0, 128);
+  }
+
+  /**
+   * Immutable image tag of a deployment
+   * @param {string} serviceName - Base service name
+   * @param {string} deploymentId - Deployment ID
+   * @returns {string} Image reference
+   */
+  getReleaseImage(serviceName, deploymentId) {
+    return `${this.getReleaseRepository(serviceName)}:${this.getReleaseTag(deploymentId)}`;
+  }
+
+  /**
+   * Get the commit checked out in a deployment directory
+   * @param {string} deployDir - Deployment directory
+   * @returns {Promise<string|null>} Commit SHA, or null if unknown
+   */
+  async getSourceCommit(deployDir) {
+    const { stdout, code } = await executeCommand(
+      "git",
+      ["rev-parse", "HEAD"],
+      {
+        cwd: deployDir,
+        ignoreError: true,
+        silent: true,
+      },
+    );
+    return code === 0 ? stdout.trim() : null;
+  }
+
+  /**
+   * Tag the image of a freshly deployed container with its deployment ID and
+   * drop releases beyond the retention limit. Failures are logged only, since
+   * the deployment itself has already succeeded.
+   * @param {string} serviceName - Base service name
+   * @param {string} deploymentId - Deployment ID
+   * @param {Object} container - Container running the new release
+   */
+  async retainReleaseImage(serviceName, deploymentId, container) {
+    try {
+      // Builds are tagged as the release image already; tagging the image the
+      // container runs covers any that are not
+      const imageId = await this.getContainerImageId(container.id);
+      const image = this.getReleaseImage(serviceName, deploymentId);
+      await executeCommand("docker", ["tag", imageId, image]);
+      logger.info(`Tagged release image ${image} for ${serviceName}`);
+
+      await this.pruneReleaseImages(serviceName);
+    } catch (error) {
+      logger.warn(
+        `Failed to retain release image for ${serviceName}: ${error.message}`,
+      );
+    }
+  }
+
+  /**
+   * Get the ID of the image a container runs
+   * @param {string} containerId - Container ID or name
+   * @returns {Promise<string>} Full image ID (sha256:...)
+   */
+  async getContainerImageId(containerId) {
+    const { stdout } = await executeCommand("docker", [
+      "inspect",
+      "--format",
+      "{{.Image}}",
+      containerId,
+    ]);
+    return stdout.trim();
+  }
+
+  /**
+   * List the retained release images of a service, newest first
+   * @param {string} serviceName - Base service name
+   * @returns {Promise<Array<Object>>} Releases with tag, image, imageId and createdAt
+   */
+  async listReleaseImages(serviceName) {
+    const repository = this.getReleaseRepository(serviceName);
+    const { stdout } = await executeCommand("docker", [
+      "images",
+      repository,
+      "--no-trunc",
+      "--format",
+      "{{.Tag}}|{{.ID}}|{{.CreatedAt}}",
+    ]);
+
+    return stdout
+      .trim()
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [tag, imageId, createdAt] = line.split("|");
+        return { tag, image: `${repository}:${tag}`, imageId, createdAt };
+      })
+      .filter((release) => release.tag && release.tag !== "<none>")
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Remove release images beyond the retention limit
+   * @param {string} serviceName - Base service name
+   * @returns {Promise<Array<string>>} Removed images
+   */
+  async pruneReleaseImages(serviceName) {
+    const releases = await this.listReleaseImages(serviceName);
+    const removed = [];
+
+    for (const release of releases.slice(this.releasesToKeep)) {
+      // Images still used by a container refuse removal, which is fine
+      const { code } = await executeCommand("docker", ["rmi", release.image], {
+        ignoreError: true,
+      });
+      if (code === 0) {
+        removed.push(release.image);
+      }
+    }
+
+    if (removed.length > 0) {
+      logger.info(
+        `Pruned ${removed.length} old release image(s) of ${serviceName}: ${removed.join(", ")}`,
+      );
+      await releaseLedgerService.markImagesPruned(serviceName, removed);
+    }
+    return removed;
+  }
+
+  /**
+   * Put a retained release of a service back into service through the same
+   * blue/green switch a deployment uses
+   * @param {Object} payload - Rollback payload
+   * @param {string} payload.serviceName - Service to roll back
+   * @param {string} [payload.deploymentId] - Release to restore; defaults to
+   *   the newest release that is not currently running
+   * @param {string} [payload.environment] - Environment whose env file is used
+   * @param {string} [payload.domain] - Domain the service is served on
+   * @param {string} [payload.jobId] - Job running the rollback
+   * @param {string} [payload.projectId] - Project the service belongs to
+   * @param {Object} [options] - Rollback options
+   * @param {AbortSignal} [options.signal] - Signal fired when the job is cancelled
+   * @returns {Promise<Object>} Restored release and container details
+   */
+  async rollback(payload, options = {}) {
+    const { signal = null } = options;
+
+    const { error, value } = Joi.object({
+      serviceName: Joi.string().required(),
+      deploymentId: Joi.string().optional(),
+      environment: Joi.string().default("production"),
+      domain: Joi.string().optional(),
+      jobId: Joi.string().optional(),
+      projectId: Joi.string().optional(),
+    }).validate(payload, { allowUnknown: true });
+    if (error) {
+      throw new Error(`Invalid rollback payload: ${error.message}`);
+    }
+
+    const { serviceName, environment, jobId, projectId } = value;
+
+    const serviceLockKey = `${serviceName}-${environment}`;
+    if (this.deploymentLocks.has(serviceLockKey)) {
+      throw new Error(
+        `Deployment already in progress for ${serviceName} in ${environment}`,
+      );
+    }
+    this.deploymentLocks.add(serviceLockKey);
+
+    let oldContainer = null;
+    let newContainerName = null;
+    // Once traffic is on the restored release it must not be removed
+    let trafficSwitched = false;
+
+    try {
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(jobId, "prepare");
+
+      const releases = await this.listReleaseImages(serviceName);
+      oldContainer = await this.getCurrentContainer(serviceName);
+      const currentImageId = oldContainer
+        ? await this.getContainerImageId(oldContainer.id)
+        : null;
+
+      const release = value.deploymentId
+        ? releases.find(
+            (candidate) =>
+              candidate.tag === this.getReleaseTag(value.deploymentId),
+          )
+        : releases.find((candidate) => candidate.imageId !== currentImageId);
+
+      if (!release) {
+        throw new Error(
+          value.deploymentId
+            ? `Release ${value.deploymentId} of ${serviceName} is not retained on this server`
+            : `No earlier release of ${serviceName} is retained on this server`,
+        );
+      }
+      if (release.imageId === currentImageId) {
+        throw new Error(
+          `Release ${release.tag} is already running for ${serviceName}`,
+        );
+      }
+
+      // Image tags are sanitized deployment IDs, so the ID that names the
+      // release's directory comes from the ledger; releases deployed before
+      // the ledger existed only have their tag
+      const ledgerEntry = (
+        await releaseLedgerService.getReleases(serviceName)
+      ).find((entry) => entry.image === release.image);
+      const deploymentId =
+        value.deploymentId || ledgerEntry?.deploymentId || release.tag;
+      logger.info(
+        `Rolling back ${serviceName} to release ${release.tag} (${release.image})`,
+      );
+
+      // The release's deployment directory still holds its env file
+      const deployDir = path.join(this.deployBaseDir, deploymentId);
+      const envFilePath = path.join(deployDir, `.env.${environment}`);
+      if (!(await this.fileExists(envFilePath))) {
+        throw new Error(
+          `Environment file for release ${release.tag} not found at ${envFilePath}`,
+        );
+      }
+
+      const domain = this.getServiceDomain(serviceName, value.domain);
+      newContainerName = `${serviceName}-${this.getNextColor(oldContainer)}`;
+      const { hostPort, containerPort } = await this.allocateReleasePort(
+        newContainerName,
+        oldContainer,
+      );
+      const projectName = `${deploymentId}-${serviceName}`
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "-");
+
+      // Check the release the way it was checked when it was deployed
+      const recorded = await releaseLedgerService.getRelease(
+        serviceName,
+        deploymentId,
+      );
+      const health = this.getContainerHealthCheck(recorded?.healthCheck);
+      const resources = this.getContainerResources(recorded?.resources);
+      const mounts = await volumeService.prepareVolumes(
+        serviceName,
+        recorded?.volumes,
+      );
+
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(jobId, "start");
+      await fs.writeFile(
+        path.join(deployDir, "docker-compose.yml"),
+        this.renderComposeFile({
+          serviceName: newContainerName,
+          imageName: release.image,
+          hostPort,
+          containerPort,
+          envFilePath,
+          domain,
+          health,
+          resources,
+          mounts,
+        }),
+      );
+      const newContainer = await this.startComposeProject({
+        projectName,
+        serviceName: newContainerName,
+        deployDir,
+        hostPort,
+        containerPort,
+      });
+
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(jobId, "health");
+      await this.performHealthCheck(newContainer, signal, health);
+      if (recorded?.replicas > 1) {
+        newContainer.replicas = await this.startReplicas(newContainer, {
+          replicas: recorded.replicas,
+          envFilePath,
+          health,
+          resources,
+          mounts,
+          signal,
+        });
+      }
+
+      // Last point at which a cancellation is honored
+      this.throwIfCancelled(signal);
+      await jobJournalService.recordStep(jobId, "switch");
+      await this.switchTraffic(
+        oldContainer,
+        newContainer,
+        serviceName,
+        jobId,
+        projectId,
+        health,
+      );
+      trafficSwitched = true;
+
+      if (oldContainer && oldContainer.id !== newContainer.id) {
+        await this.gracefulContainerRemoval(oldContainer);
+      }
+
+      // The release is live either way, so a ledger failure is only logged
+      try {
+        // Releases deployed before the ledger existed are added on first use
+        if (
+          !(await releaseLedgerService.getRelease(serviceName, deploymentId))
+        ) {
+          await releaseLedgerService.recordRelease(serviceName, {
+            deploymentId,
+            image: release.image,
+            environment,
+          });
+        }
+        await releaseLedgerService.markLive(serviceName, deploymentId, {
+          restoredBy: jobId || null,
+        });
+      } catch (ledgerError) {
+        logger.error(
+          `Failed to record the rollback of ${serviceName} to ${deploymentId} in the release ledger: ${ledgerError.message}`,
+        );
+      }
+
+      logger.info(
+        `Rolled back ${serviceName} to release ${release.tag} on ${domain}`,
+      );
+      return {
+        success: true,
+        serviceName,
+        deploymentId,
+        image: release.image,
+        domain,
+        message: `Rolled back ${serviceName} to release ${release.tag}`,
+        containerDetails: {
+          containerId: newContainer.id,
+          containerName: newContainer.name,
+          hostPort: newContainer.hostPort,
+          containerPort: newContainer.containerPort,
+          status: "running",
+          replicas: (newContainer.replicas || []).map((replica) => ({
+            containerId: replica.id,
+            containerName: replica.name,
+            hostPort: replica.hostPort,
+          })),
+        },
+      };
+    } catch (error) {
+      logger.error(`Rollback of ${serviceName} failed: ${error.message}`);
+      if (trafficSwitched) {
+        // The restored release serves the traffic now and the old container
+        // may be gone already, so it stays
+        logger.warn(
+          `Keeping ${newContainerName}, which serves ${serviceName} since the traffic switch`,
+        );
+      } else {
+        // The old container keeps serving until traffic is switched, so only
+        // the container started for the rollback has to go
+        await this.removeCancelledContainer(newContainerName, oldContainer);
+      }
+      throw error;
+    } finally {
+      this.deploymentLocks.delete(serviceLockKey);
+    }
+  }
+
+  async gracefulContainerRemoval(container, deployDir, projectName) {
+    try {
+      logger.info(
+        `Gracefully removing old container ${container.name} (${container.id})`,
+      );
+
+      // First check if the container still exists
       try {
         await executeCommand("docker", ["inspect", container.id]);
         logger.info(
@@ -820,10 +2050,28 @@ class ZeroDowntimeDeployer {
         logger.warn(`Could not check container state: ${stateError.message}`);
       }
 
+      // Containers left in its compose project, e.g. by a preDeploy hook,
+      // go too; sidecars run in a project of their own
+      const { stdout: composeProject } = await executeCommand(
+        "docker",
+        [
+          "inspect",
+          "--format",
+          '{{ index .Config.Labels "com.docker.compose.project" }}',
+          container.id,
+        ],
+        { ignoreError: true, silent: true },
+      );
+
       // Remove the container
       await executeCommand("docker", ["rm", container.id]);
 
       logger.info(`Successfully removed old container ${container.name}`);
+      await this.removeComposeProjectContainers(composeProject.trim());
+      for (const replica of container.replicas || []) {
+        await this.gracefulContainerRemoval(replica);
+      }
+      await this.releaseReplicaPorts(container.replicas || []);
       return true;
     } catch (error) {
       // Check if the error is because container doesn't exist
@@ -840,6 +2088,38 @@ class ZeroDowntimeDeployer {
       return false;
     }
   }
+
+  /**
+   * Remove the containers left in a compose project whose main container is
+   * gone. Failures are logged only.
+   * @param {string} projectName - Compose project name
+   */
+  async removeComposeProjectContainers(projectName) {
+    if (!projectName || projectName === "<no value>") {
+      return;
+    }
+
+    try {
+      const { stdout } = await executeCommand("docker", [
+        "ps",
+        "-aq",
+        "--filter",
+        `label=com.docker.compose.project=${projectName}`,
+      ]);
+      const ids = stdout.split("\n").filter(Boolean);
+      if (ids.length > 0) {
+        logger.info(
+          `Removing ${ids.length} remaining container(s) of compose project ${projectName}`,
+        );
+        await executeCommand("docker", ["rm", "-f", ...ids]);
+      }
+    } catch (error) {
+      logger.warn(
+        `Failed to clean up compose project ${projectName}: ${error.message}`,
+      );
+    }
+  }
+
   async fetchEnvironmentVariables(deploymentId, envVarsToken) {
     try {
       const response = await apiClient.post(
@@ -862,59 +2142,263 @@ class ZeroDowntimeDeployer {
     }
   }
 
-  async cloneRepository(
-    deployDir,
-    repoOwner,
-    repoName,
-    branch,
-    githubToken,
-    repositoryUrl,
+  /**
+   * Pull a prebuilt image and tag it as the release image. Private registries
+   * are logged in to with the job's credentials or the ones stored on the
+   * agent.
+   * @param {string} image - Image reference, e.g. ghcr.io/acme/web:1.4.2
+   * @param {string} releaseImage - Release tag to give the pulled image
+   * @param {Object} [credentials] - Registry credentials given with the job
+   * @param {string} [credentials.server] - Registry host, taken from the image when omitted
+   * @param {string} credentials.username - Registry user name
+   * @param {string} credentials.password - Registry password or token
+   * @param {AbortSignal} [signal] - Stops the pull when the job is cancelled
+   * @param {Function} [onOutput] - Receives every line the pull prints
+   * @returns {Promise<string|null>} Commit recorded in the image's
+   *   org.opencontainers.image.revision label, if any
+   */
+  async pullImage(
+    image,
+    releaseImage,
+    credentials = null,
+    signal = null,
+    onOutput = null,
   ) {
-    // Use repositoryUrl and add authentication token if not already present
-    let repoUrl;
-
-    if (
-      !repositoryUrl.includes("x-access-token") &&
-      !repositoryUrl.includes("@github.com")
-    ) {
-      const urlParts = repositoryUrl.split("://");
-      repoUrl = `${urlParts[0]}://x-access-token:${githubToken}@${urlParts[1]}`;
-    } else {
-      repoUrl = repositoryUrl;
+    await registryCredentialService.withRegistryLogin(
+      credentials?.server || registryCredentialService.getImageRegistry(image),
+      credentials,
+      async (dockerArgs) => {
+        logger.info(`Pulling image ${image}`);
+        await executeCommand("docker", [...dockerArgs, "pull", image], {
+          signal,
+          onOutput,
+        });
+      },
+    );
+
+    await executeCommand("docker", ["tag", image, releaseImage]);
+
+    const { stdout, code } = await executeCommand(
+      "docker",
+      [
+        "image",
+        "inspect",
+        "--format",
+        '{{ index .Config.Labels "org.opencontainers.image.revision" }}',
+        image,
+      ],
+      { ignoreError: true, silent: true },
+    );
+    const revision = stdout.trim();
+    return code === 0 && revision && revision !== "<no value>"
+      ? revision
+      : null;
+  }
+
+  /**
+   * Push a release image to a registry so other servers can deploy it with
+   * deploy_image. Failures are logged only, since the release already runs.
+   * @param {string} releaseImage - Local release tag
+   * @param {string} repository - Repository to push to, e.g. ghcr.io/acme/web
+   * @param {string} deploymentId - Deployment ID, used as the pushed tag
+   * @param {Object} [credentials] - Registry credentials given with the job
+   * @returns {Promise<string|null>} Pushed image reference, or null on failure
+   */
+  async pushReleaseImage(
+    releaseImage,
+    repository,
+    deploymentId,
+    credentials = null,
+  ) {
+    const target = `${repository}:${deploymentId}`;
+
+    try {
+      await executeCommand("docker", ["tag", releaseImage, target]);
+      await registryCredentialService.withRegistryLogin(
+        credentials?.server ||
+          registryCredentialService.getImageRegistry(repository),
+        credentials,
+        async (dockerArgs) => {
+          logger.info(`Pushing image ${target}`);
+          await executeCommand("docker", [...dockerArgs, "push", target]);
+        },
+      );
+      return target;
+    } catch (error) {
+      logger.warn(`Failed to push image ${target}: ${error.message}`);
+      return null;
     }
+  }
+
+  /**
+   * Clone the repository into the deployment directory. Without a pinned ref
+   * the branch head is taken; a tag or commit SHA is checked out exactly.
+   * @param {string} deployDir - Deployment directory
+   * @param {Object} source - Repository to clone
+   * @param {string} source.repositoryUrl - HTTP(S) or SSH repository URL
+   * @param {string} [source.provider] - Git provider, decides how the token is sent
+   * @param {string} [source.token] - Access token for HTTP(S) URLs
+   * @param {string} [source.username] - User name sent with the token
+   * @param {string} [source.sshKey] - Private deploy key for SSH URLs
+   * @param {string} [source.branch] - Branch to clone
+   * @param {string} [source.commitSha] - Commit to check out
+   * @param {string} [source.tag] - Tag to check out
+   * @param {AbortSignal} [signal] - Stops the clone when the job is cancelled
+   * @param {Function} [onOutput] - Receives every line git prints
+   * @returns {Promise<string|null>} SHA of the checked out commit
+   */
+  async cloneRepository(deployDir, source, signal = null, onOutput = null) {
+    const {
+      repositoryUrl,
+      provider,
+      token,
+      username,
+      sshKey,
+      branch,
+      commitSha = null,
+      tag = null,
+    } = source;
+
+    const repoUrl = getAuthenticatedUrl(repositoryUrl, {
+      token,
+      username,
+      provider,
+    });
 
     const tempDir = path.join(
       path.dirname(deployDir),
       `${path.basename(deployDir)}_temp_${Date.now()}`,
     );
+    const gitOptions = {
+      signal,
+      // Git errors can echo the URL, and with it the token
+      onOutput: onOutput
+        ? (line, stream) => onOutput(redactRepositoryUrl(line), stream)
+        : null,
+    };
+    let keyPath = null;
     try {
-      await executeCommand("git", [
-        "clone",
-        "-b",
-        branch,
-        "--depth",
-        "1",
-        repoUrl,
-        tempDir,
-      ]);
-      const files = await fs.readdir(tempDir);
-      for (const file of files) {
-        const srcPath = path.join(tempDir, file);
-        const destPath = path.join(deployDir, file);
-        const stat = await fs.lstat(srcPath);
-        if (stat.isDirectory()) {
-          await fs.cp(srcPath, destPath, { recursive: true, force: true });
-        } else {
+      if (sshKey && parseRepositoryUrl(repositoryUrl)?.protocol === "ssh") {
+        const sshSetup = await prepareSshKey(sshKey, path.dirname(deployDir));
+        keyPath = sshSetup.keyPath;
+        gitOptions.env = sshSetup.env;
+      }
+
+      logger.info(`Cloning ${redactRepositoryUrl(repositoryUrl)}`);
+      if (commitSha) {
+        await this.checkoutCommit(
+          repoUrl,
+          tempDir,
+          commitSha,
+          branch,
+          gitOptions,
+        );
+      } else {
+        const ref = tag || branch;
+        await executeCommand(
+          "git",
+          [
+            "clone",
+            ...(ref ? ["-b", ref] : []),
+            "--depth",
+            "1",
+            repoUrl,
+            tempDir,
+          ],
+          gitOptions,
+        );
+      }
+
+      const sourceCommit = await this.getSourceCommit(tempDir);
+      if (
+        commitSha &&
+        !(sourceCommit || "").startsWith(commitSha.toLowerCase())
+      ) {
+        throw new Error(
+          `Checked out ${sourceCommit || "unknown commit"} instead of ${commitSha}`,
+        );
+      }
+      logger.info(
+        `Checked out ${sourceCommit} (${commitSha ? `commit ${commitSha}` : tag ? `tag ${tag}` : `branch ${branch || "default"}`})`,
+      );
+
+      const files = await fs.readdir(tempDir);
+      for (const file of files) {
+        const srcPath = path.join(tempDir, file);
+        const destPath = path.join(deployDir, file);
+        const stat = await fs.lstat(srcPath);
+        if (stat.isDirectory()) {
+          await fs.cp(srcPath, destPath, { recursive: true, force: true });
+        } else {
           await fs.copyFile(srcPath, destPath);
         }
       }
+
+      return sourceCommit;
     } finally {
+      if (keyPath) {
+        await fs.rm(keyPath, { force: true });
+      }
       if (await this.directoryExists(tempDir)) {
         await fs.rm(tempDir, { recursive: true, force: true });
       }
     }
   }
 
+  /**
+   * Check out a single commit into a fresh directory. A full SHA is fetched on
+   * its own; abbreviated SHAs, and servers that refuse to serve a commit by
+   * SHA, fall back to a full clone.
+   * @param {string} repoUrl - Authenticated repository URL
+   * @param {string} targetDir - Directory to create
+   * @param {string} commitSha - Full or abbreviated commit SHA
+   * @param {string} [branch] - Branch that holds the commit
+   * @param {Object} [gitOptions] - executeCommand options for git (signal, env)
+   */
+  async checkoutCommit(repoUrl, targetDir, commitSha, branch, gitOptions = {}) {
+    const { signal = null } = gitOptions;
+
+    if (commitSha.length === 40) {
+      await fs.mkdir(targetDir, { recursive: true });
+      const inTarget = { ...gitOptions, cwd: targetDir };
+      await executeCommand("git", ["init", "-q"], inTarget);
+      await executeCommand(
+        "git",
+        ["remote", "add", "origin", repoUrl],
+        inTarget,
+      );
+
+      const { code } = await executeCommand(
+        "git",
+        ["fetch", "--depth", "1", "origin", commitSha],
+        { ...inTarget, ignoreError: true },
+      );
+      if (code === 0) {
+        await executeCommand(
+          "git",
+          ["checkout", "-q", "--detach", "FETCH_HEAD"],
+          inTarget,
+        );
+        return;
+      }
+
+      this.throwIfCancelled(signal);
+      logger.warn(
+        `Could not fetch commit ${commitSha} directly, cloning full history`,
+      );
+      await fs.rm(targetDir, { recursive: true, force: true });
+    }
+
+    const cloneArgs = branch
+      ? ["clone", "-b", branch, repoUrl, targetDir]
+      : ["clone", repoUrl, targetDir];
+    await executeCommand("git", cloneArgs, gitOptions);
+    await executeCommand("git", ["checkout", "-q", "--detach", commitSha], {
+      ...gitOptions,
+      cwd: targetDir,
+    });
+  }
+
   async backupCurrentState(container, backupDir) {
     try {
       const timestamp = new Date()
@@ -1006,6 +2490,7 @@ class ZeroDowntimeDeployer {
         name: oldestContainer.name,
         id: oldestContainer.id,
         status: oldestContainer.status,
+        replicas: await this.getReplicaContainers(oldestContainer.name),
       };
     } catch (error) {
       logger.warn(
@@ -1015,29 +2500,108 @@ class ZeroDowntimeDeployer {
     }
   }
 
-  async performHealthCheck(container) {
-    let healthy = false;
-    let attempts = 0;
-    while (!healthy && attempts < this.healthCheckRetries) {
-      await new Promise((resolve) =>
-        setTimeout(resolve, this.healthCheckInterval),
+  /**
+   * Wait until a new container is ready for traffic. Docker's health status
+   * decides command checks; HTTP and TCP checks are always probed by the
+   * agent, whatever a HEALTHCHECK in the image reports.
+   * @param {Object} container - Container with id, name and hostPort
+   * @param {AbortSignal} [signal] - Stops waiting when the job is cancelled
+   * @param {Object} [health] - Health check settings
+   * @throws {Error} If the container stops, reports unhealthy or does not
+   *   pass in time
+   */
+  async performHealthCheck(
+    container,
+    signal = null,
+    health = this.getContainerHealthCheck(),
+  ) {
+    // Docker's own schedule: grace period, then retries checks an interval apart
+    const deadline =
+      Date.now() +
+      (health.gracePeriod +
+        health.interval * (health.retries + 1) +
+        health.timeout) *
+        1000;
+    let lastResult = "no check completed";
+
+    for (;;) {
+      this.throwIfCancelled(signal);
+      const { status, health: dockerHealth } = await this.getContainerState(
+        container.id,
       );
-      try {
-        const { stdout } = await executeCommand("docker", [
-          "inspect",
-          "--format",
-          "{{.State.Health.Status}}",
-          container.id,
-        ]);
-        if (stdout.trim() === "healthy") {
-          healthy = true;
-          break;
+
+      if (status !== "running") {
+        throw new Error(
+          `Container ${container.name} is ${status || "gone"} instead of running`,
+        );
+      }
+      if (health.type === HEALTH_CHECK_TYPES.NONE) {
+        return;
+      }
+
+      // An image's own HEALTHCHECK says nothing about the configured HTTP
+      // or TCP endpoint, so only command checks go by Docker's status
+      if (health.type === HEALTH_CHECK_TYPES.COMMAND && dockerHealth) {
+        if (dockerHealth === "healthy") {
+          return;
         }
-      } catch (error) {
-        attempts++;
+        if (dockerHealth === "unhealthy") {
+          throw new Error(`Container ${container.name} reported unhealthy`);
+        }
+        lastResult = `Docker health is ${dockerHealth}`;
+      } else {
+        const probe = await this.probeHealth(container, health);
+        if (probe.healthy) {
+          logger.info(
+            `Container ${container.name} is healthy: ${probe.detail}`,
+          );
+          return;
+        }
+        lastResult = probe.detail;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Container failed health checks: ${lastResult}`);
       }
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.healthCheckInterval),
+      );
     }
-    if (!healthy) throw new Error("Container failed health checks");
+  }
+
+  /**
+   * Read the state of a container
+   * @param {string} containerId - Container ID
+   * @returns {Promise<{status: string, health: string}>} Docker state, e.g.
+   *   running, and health status, empty when the container has no healthcheck
+   */
+  async getContainerState(containerId) {
+    const { stdout } = await executeCommand(
+      "docker",
+      [
+        "inspect",
+        "--format",
+        "{{.State.Status}}|{{if .State.Health}}{{.State.Health.Status}}{{end}}",
+        containerId,
+      ],
+      { ignoreError: true, silent: true },
+    );
+    const [status = "", health = ""] = stdout.trim().split("|");
+    return { status, health };
+  }
+
+  /**
+   * Get the host port a running container publishes
+   * @param {string} containerId - Container ID
+   * @returns {Promise<number|null>} First published host port, or null
+   */
+  async getContainerHostPort(containerId) {
+    const { stdout } = await executeCommand("docker", ["port", containerId], {
+      ignoreError: true,
+      silent: true,
+    });
+    const match = stdout.match(/0\.0\.0\.0:(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
   }
 
   /**
@@ -1053,9 +2617,22 @@ class ZeroDowntimeDeployer {
     environment,
     hostPort,
     containerPort,
+    imageName = `${serviceName}:latest`,
+    prebuilt = false,
+    buildStrategy = null,
+    composeService = null,
+    cacheFrom = null,
+    noCache = false,
+    timings = {},
+    progress = null,
+    health = this.getContainerHealthCheck(),
+    resources = this.getContainerResources(),
+    mounts = [],
+    beforeStart = null,
     appType,
     additionalPorts,
     ws,
+    signal = null,
   }) {
     try {
       // Only clean up stopped/failed containers, but preserve running containers
@@ -1163,88 +2740,1091 @@ class ZeroDowntimeDeployer {
         }
       }
 
-      // Define the image name
-      const imageName = `${serviceName}:latest`;
+      const strategy =
+        buildStrategy ||
+        (this.useNixpacks ? BUILD_STRATEGY.NIXPACKS : BUILD_STRATEGY.TEMPLATE);
+      let composeFile = "docker-compose.yml";
+      let composeServiceName = serviceName;
+      // BuildKit writes cache metadata into the image so the next deployment
+      // can start from it
+      const composeBuildArgs = [
+        "--build-arg",
+        "BUILDKIT_INLINE_CACHE=1",
+        ...(noCache ? ["--no-cache"] : []),
+      ];
+      if (cacheFrom) {
+        logger.info(`Reusing build cache of ${cacheFrom}`);
+      }
+      // Build output is streamed to the backend as job logs
+      const onOutput = progress ? progress.onOutput : null;
+      const buildStartedAt = Date.now();
+
+      if (prebuilt || strategy === BUILD_STRATEGY.DOCKERFILE) {
+        if (prebuilt) {
+          // The image was pulled already; only the compose file is needed
+          logger.info(`Running prebuilt image ${imageName} as ${serviceName}`);
+        } else {
+          await this.buildDockerfileImage(deployDir, imageName, {
+            cacheFrom,
+            noCache,
+            signal,
+            onOutput,
+          });
+        }
+        await fs.writeFile(
+          path.join(deployDir, "docker-compose.yml"),
+          this.renderComposeFile({
+            serviceName,
+            imageName,
+            hostPort,
+            containerPort,
+            additionalPorts,
+            envFilePath,
+            domain,
+            health,
+            resources,
+            mounts,
+          }),
+        );
+      } else if (strategy === BUILD_STRATEGY.COMPOSE) {
+        // The repository's own services run together; the one receiving
+        // traffic is wired to Traefik and the blue/green container name
+        const compose = await this.renderRepositoryCompose({
+          deployDir,
+          serviceName,
+          composeService,
+          imageName,
+          hostPort,
+          containerPort,
+          additionalPorts,
+          envFilePath,
+          domain,
+          cacheFrom,
+          health,
+          resources,
+          mounts,
+        });
+        composeFile = REPOSITORY_COMPOSE_FILE;
+        composeServiceName = compose.service;
+        containerPort = compose.containerPort;
+
+        logger.info(
+          `Building compose services of ${serviceName} (traffic to ${compose.service}:${containerPort})`,
+        );
+        await executeCommand(
+          "docker-compose",
+          [
+            "-p",
+            projectName,
+            "-f",
+            composeFile,
+            "build",
+            ...composeBuildArgs,
+            compose.service,
+          ],
+          {
+            cwd: deployDir,
+            env: {
+              ...process.env,
+              DOCKER_BUILDKIT: "1",
+              COMPOSE_DOCKER_CLI_BUILD: "1",
+            },
+            signal,
+            onOutput,
+          },
+        );
+        // Running before the preDeploy hook, which may need them
+        await this.startComposeSidecars({
+          projectName: compose.sidecarProject,
+          deployDir,
+          composeFile,
+          services: compose.sidecars,
+          signal,
+          onOutput,
+        });
+      } else if (strategy === BUILD_STRATEGY.NIXPACKS) {
+        // Use Nixpacks to build the Docker image
+        logger.info(`Using Nixpacks to build ${serviceName} (${appType})`);
+
+        // Load environment variables from env file
+        const envContent = await fs.readFile(envFilePath, "utf-8");
+        const envVars = {};
+        envContent.split("\n").forEach((line) => {
+          if (line && !line.startsWith("#")) {
+            const [key, ...valueParts] = line.split("=");
+            if (key && valueParts.length) {
+              envVars[key.trim()] = valueParts.join("=").trim();
+            }
+          }
+        });
+
+        // Add PORT to environment variables
+        envVars["PORT"] = containerPort.toString();
+
+        // For React apps, disable CI mode to prevent ESLint warnings from being treated as errors
+        if (appType === "react") {
+          envVars["CI"] = "false";
+          envVars["GENERATE_SOURCEMAP"] = "false";
+          envVars["DISABLE_ESLINT_PLUGIN"] = "true";
+          envVars["TSC_COMPILE_ON_ERROR"] = "true";
+          envVars["ESLINT_NO_DEV_ERRORS"] = "true";
+          envVars["NPM_CONFIG_UPDATE_NOTIFIER"] = "false";
+          envVars["NPM_CONFIG_FUND"] = "false";
+          envVars["NPM_CONFIG_AUDIT"] = "false";
+          logger.info(
+            "Applied React build optimizations: disabled sourcemaps, ESLint warnings, and npm notifications",
+          );
+        }
+
+        // Build the image with Nixpacks with optimizations
+        await NixpacksBuilder.buildImage({
+          projectDir: deployDir,
+          imageName,
+          envVars,
+          cacheFrom,
+          noCache,
+          signal,
+          onOutput,
+        });
+
+        // Enable Docker BuildKit for faster builds if available
+        const buildEnv = { ...process.env };
+        if (!buildEnv.DOCKER_BUILDKIT) {
+          buildEnv.DOCKER_BUILDKIT = "1";
+          buildEnv.COMPOSE_DOCKER_CLI_BUILD = "1";
+        }
+
+        // Create a minimal docker-compose.yml file directly
+        const dockerComposeContent = this.renderComposeFile({
+          serviceName,
+          imageName,
+          hostPort,
+          containerPort,
+          additionalPorts,
+          envFilePath,
+          domain,
+          health,
+          resources,
+          mounts,
+        });
+
+        await fs.writeFile(
+          path.join(deployDir, "docker-compose.yml"),
+          dockerComposeContent,
+        );
+      } else {
+        // Use the traditional template approach for backward compatibility
+        // Now generate deployment files with updated port if necessary
+        if (!this.templateHandler) {
+          this.templateHandler = new TemplateHandler(
+            this.templatesDir,
+            require("../deployConfig.json"),
+          );
+        }
+
+        const files = await this.templateHandler.generateDeploymentFiles({
+          appType: appType,
+          appName: serviceName,
+          imageName,
+          // The compose build pulls the live release's layers as its cache
+          cacheFrom,
+          environment,
+          hostPort, // This may be a new port if we had to find an alternative
+          containerPort,
+          domain,
+          envFile: path.basename(envFilePath),
+          health,
+          // The templates' images are ours, so their own healthchecks give
+          // way to the deployment's: HTTP and TCP checks are run by the agent
+          healthcheck: this.getComposeHealthCheck(health) || { disable: true },
+          resources: this.getComposeResources(resources),
+          volumes: this.getComposeVolumes(mounts).entries,
+          externalVolumes: this.getComposeVolumes(mounts).external,
+        });
+
+        // Write the files
+        await Promise.all([
+          fs.writeFile(path.join(deployDir, "Dockerfile"), files.dockerfile),
+          fs.writeFile(
+            path.join(deployDir, "docker-compose.yml"),
+            files.dockerCompose,
+          ),
+        ]);
+
+        // Build the container with docker-compose and optimizations
+        logger.info(`Building container with project name ${projectName}...`);
+        await executeCommand(
+          "docker-compose",
+          [
+            "-p",
+            projectName,
+            "-f",
+            composeFile,
+            "build",
+            ...composeBuildArgs,
+            "--parallel",
+          ],
+          {
+            cwd: deployDir,
+            env: {
+              ...process.env,
+              DOCKER_BUILDKIT: "1",
+              COMPOSE_DOCKER_CLI_BUILD: "1",
+            },
+            signal,
+            onOutput,
+          },
+        );
+      }
+
+      timings.buildMs = Date.now() - buildStartedAt;
+
+      if (beforeStart) {
+        await beforeStart({ composeFile, composeService: composeServiceName });
+      }
+      if (progress) {
+        await progress.startPhase(DEPLOYMENT_PHASES.START);
+      }
+      const startStartedAt = Date.now();
+      const container = await this.startComposeProject({
+        projectName,
+        serviceName,
+        deployDir,
+        hostPort,
+        containerPort,
+        composeFile,
+        composeService: composeServiceName,
+      });
+      timings.startMs = Date.now() - startStartedAt;
+      return container;
+    } catch (error) {
+      throw new Error(`Failed to build/start container: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decide how to build a repository. Without an explicit choice a
+   * Dockerfile wins over a compose file, which wins over nixpacks.toml;
+   * other repositories get the default build (Nixpacks unless disabled).
+   * @param {string} deployDir - Directory holding the cloned repository
+   * @param {string} [requested] - Strategy asked for in the payload
+   * @returns {Promise<string>} A BUILD_STRATEGY value
+   */
+  async detectBuildStrategy(deployDir, requested = BUILD_STRATEGY.AUTO) {
+    const hasDockerfile = await this.fileExists(
+      path.join(deployDir, "Dockerfile"),
+    );
+    const composeFile = await this.findRepositoryComposeFile(deployDir);
+
+    if (requested === BUILD_STRATEGY.DOCKERFILE && !hasDockerfile) {
+      throw new Error("Build strategy dockerfile needs a Dockerfile");
+    }
+    if (requested === BUILD_STRATEGY.COMPOSE && !composeFile) {
+      throw new Error(
+        `Build strategy compose needs one of ${COMPOSE_FILE_NAMES.join(", ")}`,
+      );
+    }
+
+    let strategy = requested;
+    if (requested === BUILD_STRATEGY.AUTO) {
+      if (hasDockerfile) {
+        strategy = BUILD_STRATEGY.DOCKERFILE;
+      } else if (composeFile) {
+        strategy = BUILD_STRATEGY.COMPOSE;
+      } else if (await this.fileExists(path.join(deployDir, "nixpacks.toml"))) {
+        strategy = BUILD_STRATEGY.NIXPACKS;
+      } else {
+        strategy = this.useNixpacks
+          ? BUILD_STRATEGY.NIXPACKS
+          : BUILD_STRATEGY.TEMPLATE;
+      }
+    }
+
+    logger.info(
+      `Using build strategy ${strategy}${requested === BUILD_STRATEGY.AUTO ? " (detected)" : ""}`,
+    );
+    return strategy;
+  }
+
+  /**
+   * Find the compose file a repository brings
+   * @param {string} deployDir - Directory holding the cloned repository
+   * @returns {Promise<string|null>} File name or null if there is none
+   */
+  async findRepositoryComposeFile(deployDir) {
+    for (const name of COMPOSE_FILE_NAMES) {
+      if (await this.fileExists(path.join(deployDir, name))) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build an image from the repository's Dockerfile
+   * @param {string} deployDir - Directory holding the cloned repository
+   * @param {string} imageName - Tag for the built image
+   * @param {Object} [options] - Build options
+   * @param {string} [options.cacheFrom] - Earlier image whose layers can be reused
+   * @param {boolean} [options.noCache] - Build from scratch
+   * @param {AbortSignal} [options.signal] - Stops the build when the job is cancelled
+   * @param {Function} [options.onOutput] - Receives every line the build prints
+   */
+  async buildDockerfileImage(
+    deployDir,
+    imageName,
+    { cacheFrom = null, noCache = false, signal = null, onOutput = null } = {},
+  ) {
+    logger.info(`Building ${imageName} from the repository Dockerfile`);
+    const args = [
+      "build",
+      "-t",
+      imageName,
+      "--build-arg",
+      "BUILDKIT_INLINE_CACHE=1",
+    ];
+    if (noCache) {
+      args.push("--no-cache");
+    } else if (cacheFrom) {
+      args.push("--cache-from", cacheFrom);
+    }
+
+    await executeCommand("docker", [...args, "."], {
+      cwd: deployDir,
+      env: { ...process.env, DOCKER_BUILDKIT: "1" },
+      signal,
+      onOutput,
+    });
+  }
+
+  /**
+   * Run the preDeploy commands in one-off containers of the new release's
+   * compose service, with its env file and networks but without published
+   * ports or Traefik routing
+   * @param {Object} options - Hook options
+   * @param {string} options.projectName - Compose project name
+   * @param {string} options.deployDir - Directory holding the compose file
+   * @param {string} options.composeFile - Compose file in deployDir
+   * @param {string} options.composeService - Service whose image runs the commands
+   * @param {Array<string>} options.commands - Shell commands
+   * @param {AbortSignal} [options.signal] - Stops the hook when the job is cancelled
+   * @param {Function} [options.onOutput] - Receives every line the commands print
+   * @returns {Promise<Object>} Hook result
+   */
+  async runPreDeployHook({
+    projectName,
+    deployDir,
+    composeFile,
+    composeService,
+    commands,
+    signal = null,
+    onOutput = null,
+  }) {
+    const result = await this.runHook("preDeploy", commands, {
+      command: "docker-compose",
+      getArgs: (shellCommand) => [
+        "-p",
+        projectName,
+        "-f",
+        composeFile,
+        "run",
+        "--rm",
+        "-T",
+        "--label",
+        "traefik.enable=false",
+        // Sidecars of compose deployments run in their own project already
+        "--no-deps",
+        "--entrypoint",
+        "sh",
+        composeService,
+        "-c",
+        shellCommand,
+      ],
+      cwd: deployDir,
+      signal,
+      onOutput,
+    });
+
+    if (!result.success) {
+      // Dependencies started for the hook belong to a release that never runs
+      await this.removeComposeProjectContainers(projectName);
+    }
+    return result;
+  }
+
+  /**
+   * Run the postDeploy commands in the new container. Failures are logged and
+   * reported, since the release already serves traffic.
+   * @param {Object} container - New container
+   * @param {Array<string>} commands - Shell commands
+   * @param {Object} [options] - Hook options
+   * @param {AbortSignal} [options.signal] - Stops the hook when the job is cancelled
+   * @param {Function} [options.onOutput] - Receives every line the commands print
+   * @returns {Promise<Object>} Hook result
+   */
+  async runPostDeployHook(
+    container,
+    commands,
+    { signal = null, onOutput = null } = {},
+  ) {
+    const result = await this.runHook("postDeploy", commands, {
+      command: "docker",
+      getArgs: (shellCommand) => [
+        "exec",
+        container.id,
+        "sh",
+        "-c",
+        shellCommand,
+      ],
+      signal,
+      onOutput,
+    });
+
+    if (!result.success) {
+      logger.warn(
+        `postDeploy command of ${container.name} failed with exit code ${result.exitCode}`,
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Run the commands of a deployment hook one after another, stopping at the
+   * first one that fails
+   * @param {string} hook - Hook name, for logging
+   * @param {Array<string>} commands - Shell commands
+   * @param {Object} options - How to run a command
+   * @param {string} options.command - Program that runs the shell
+   * @param {Function} options.getArgs - Returns its arguments for a shell command
+   * @param {string} [options.cwd] - Working directory
+   * @param {AbortSignal} [options.signal] - Stops the hook when the job is cancelled
+   * @param {Function} [options.onOutput] - Receives every line the commands print
+   * @returns {Promise<Object>} success, exitCode of the last command run and
+   *   the exit code and duration of every command
+   */
+  async runHook(
+    hook,
+    commands,
+    { command, getArgs, cwd, signal = null, onOutput = null },
+  ) {
+    const results = [];
+
+    for (const shellCommand of commands) {
+      logger.info(`Running ${hook} command: ${shellCommand}`);
+      if (onOutput) {
+        onOutput(`$ ${shellCommand}`, "stdout");
+      }
+
+      const startedAt = Date.now();
+      const { code } = await executeCommand(command, getArgs(shellCommand), {
+        cwd,
+        signal,
+        onOutput,
+        ignoreError: true,
+      });
+      results.push({
+        command: shellCommand,
+        exitCode: code,
+        durationMs: Date.now() - startedAt,
+      });
+
+      if (code !== 0) {
+        break;
+      }
+    }
+
+    const exitCode = results[results.length - 1].exitCode;
+    return { success: exitCode === 0, exitCode, commands: results };
+  }
+
+  /**
+   * Find the image of the live release of a service to seed the next build's
+   * cache with
+   * @param {string} serviceName - Base service name
+   * @returns {Promise<string|null>} Image reference, or null if none is present
+   */
+  async getBuildCacheImage(serviceName) {
+    const releases = await releaseLedgerService.getReleases(serviceName);
+    const live = releases.find(
+      (release) =>
+        release.status === RELEASE_STATUS.LIVE && !release.imagePruned,
+    );
+    if (!live) {
+      return null;
+    }
+
+    const { code } = await executeCommand(
+      "docker",
+      ["image", "inspect", "--format", "{{.Id}}", live.image],
+      { ignoreError: true, silent: true },
+    );
+    return code === 0 ? live.image : null;
+  }
+
+  /**
+   * Write a copy of the repository's compose file that runs behind Traefik.
+   * The service receiving traffic gets the blue/green container name, the
+   * allocated host port, the env file and the Traefik labels; the other
+   * services (sidecars such as databases and caches) lose fixed container
+   * names and host ports and run in the service's sidecar project, which
+   * outlives deployments. The networks and unnamed volumes of the file are
+   * created here under names of the service rather than of a compose
+   * project, so every release reaches the same sidecars and data.
+   * @param {Object} options - Compose options
+   * @param {string} options.deployDir - Directory holding the cloned repository
+   * @param {string} options.serviceName - Container (blue/green) name
+   * @param {string} [options.composeService] - Service receiving traffic
+   * @param {string} options.imageName - Tag for the image of that service
+   * @param {number} options.hostPort - Host port for the container port
+   * @param {number} options.containerPort - Default port the app listens on
+   * @param {Array<Object>} [options.additionalPorts] - Extra port mappings
+   * @param {string} options.envFilePath - Env file next to the compose file
+   * @param {string} options.domain - Domain routed to the service
+   * @param {string} [options.cacheFrom] - Earlier image the build can reuse
+   * @param {Object} [options.health] - Health check settings
+   * @param {Object} [options.resources] - Resource settings
+   * @param {Array<Object>} [options.mounts] - Volumes of the deployment
+   * @returns {Promise<Object>} service receiving traffic, the containerPort
+   *   it listens on, the other services (sidecars) and their sidecarProject
+   */
+  async renderRepositoryCompose({
+    deployDir,
+    serviceName,
+    composeService,
+    imageName,
+    hostPort,
+    containerPort,
+    additionalPorts,
+    envFilePath,
+    domain,
+    cacheFrom = null,
+    health = this.getContainerHealthCheck(),
+    resources = this.getContainerResources(),
+    mounts = [],
+  }) {
+    const sourceFile = await this.findRepositoryComposeFile(deployDir);
+    const compose = yaml.load(
+      await fs.readFile(path.join(deployDir, sourceFile), "utf8"),
+    );
+    const services = compose?.services || {};
+    const serviceNames = Object.keys(services);
+
+    if (serviceNames.length === 0) {
+      throw new Error(`${sourceFile} defines no services`);
+    }
+
+    // Without an explicit choice the service built from the repository that
+    // publishes a port serves, so databases and caches next to it are skipped
+    const publishes = (name) =>
+      Boolean(services[name].ports?.length || services[name].expose?.length);
+    const webService =
+      composeService ||
+      serviceNames.find((name) => services[name].build && publishes(name)) ||
+      serviceNames.find((name) => services[name].build) ||
+      serviceNames.find(publishes) ||
+      serviceNames[0];
+    if (!services[webService]) {
+      throw new Error(`Service ${webService} not found in ${sourceFile}`);
+    }
+
+    for (const name of serviceNames) {
+      if (name !== webService) {
+        delete services[name].container_name;
+        delete services[name].ports;
+      }
+    }
+
+    const web = services[webService];
+    const appPort =
+      this.getComposeContainerPort(web.ports?.[0] ?? web.expose?.[0]) ||
+      containerPort;
+
+    if (web.build) {
+      // Tag the build as the release image
+      web.image = imageName;
+      if (cacheFrom) {
+        if (typeof web.build === "string") {
+          web.build = { context: web.build };
+        }
+        web.build.cache_from = [
+          ...[].concat(web.build.cache_from || []),
+          cacheFrom,
+        ];
+      }
+    }
+    web.container_name = serviceName;
+    web.ports = [
+      `${hostPort}:${appPort}`,
+      ...(additionalPorts || []).map(
+        (portConfig) => `${portConfig.hostPort}:${portConfig.port}`,
+      ),
+    ];
+    web.env_file = [
+      ...[].concat(web.env_file || []),
+      path.basename(envFilePath),
+    ];
+
+    const traefikLabels = {
+      "traefik.enable": "true",
+      [`traefik.http.routers.${serviceName}.rule`]: `Host(\`${domain}\`)`,
+      [`traefik.http.routers.${serviceName}.entrypoints`]: "web,websecure",
+      [`traefik.http.routers.${serviceName}.tls.certresolver`]: "letsencrypt",
+      [`traefik.http.services.${serviceName}.loadbalancer.server.port`]:
+        String(appPort),
+    };
+    web.labels = Array.isArray(web.labels)
+      ? [
+          ...web.labels,
+          ...Object.entries(traefikLabels).map(
+            ([key, value]) => `${key}=${value}`,
+          ),
+        ]
+      : { ...(web.labels || {}), ...traefikLabels };
+
+    // HTTP and TCP checks are run by the agent, so the service keeps its own
+    const healthcheck = this.getComposeHealthCheck(health);
+    if (healthcheck) {
+      web.healthcheck = healthcheck;
+    }
+
+    // The deployment's limits replace the ones the repository sets
+    const { deploy, ...serviceResources } = this.getComposeResources(resources);
+    Object.assign(web, serviceResources);
+    if (deploy) {
+      web.deploy = {
+        ...web.deploy,
+        resources: {
+          ...web.deploy?.resources,
+          limits: {
+            ...web.deploy?.resources?.limits,
+            ...deploy.resources.limits,
+          },
+        },
+      };
+    }
+
+    // Shared by the sidecar project and the deployment's own project
+    const baseServiceName = serviceName.replace(/-blue$|-green$/, "");
+    const sidecarProject = this.getSidecarProjectName(baseServiceName);
+    const networks = { default: null, ...(compose.networks || {}) };
+    for (const [name, network] of Object.entries(networks)) {
+      if (network?.external) {
+        continue;
+      }
+      const networkName = network?.name || `${sidecarProject}_${name}`;
+      // Fails harmlessly when the network exists from an earlier deployment
+      await executeCommand(
+        "docker",
+        [
+          "network",
+          "create",
+          ...(network?.driver ? ["--driver", network.driver] : []),
+          networkName,
+        ],
+        { ignoreError: true, silent: true },
+      );
+      networks[name] = { name: networkName, external: true };
+    }
+    compose.networks = networks;
+    for (const [name, volume] of Object.entries(compose.volumes || {})) {
+      // Explicitly named volumes are shared across projects already
+      if (!volume?.external && !volume?.name) {
+        compose.volumes[name] = {
+          name: await volumeService.createVolume(baseServiceName, name),
+          external: true,
+        };
+      }
+    }
+
+    // Keep the service on the project network so it still reaches the others
+    if (Array.isArray(web.networks)) {
+      web.networks = [...new Set([...web.networks, "traefik-network"])];
+    } else if (web.networks) {
+      web.networks = { ...web.networks, "traefik-network": {} };
+    } else {
+      web.networks = ["default", "traefik-network"];
+    }
+    compose.networks = {
+      ...(compose.networks || {}),
+      "traefik-network": { external: true },
+    };
+
+    // The deployment's volumes replace those the service mounts at the same
+    // path and are shared by every release of the service
+    const { entries, external } = this.getComposeVolumes(mounts);
+    if (entries.length > 0) {
+      const targets = mounts.map((mount) => mount.target);
+      web.volumes = [
+        ...(web.volumes || []).filter((entry) => {
+          const parts = String(entry).split(":");
+          const target =
+            typeof entry === "object"
+              ? entry.target
+              : parts[parts.length > 1 ? 1 : 0];
+          return !targets.includes(target);
+        }),
+        ...entries,
+      ];
+    }
+    for (const volumeName of external) {
+      compose.volumes = {
+        ...(compose.volumes || {}),
+        [volumeName]: { external: true },
+      };
+    }
+
+    await fs.writeFile(
+      path.join(deployDir, REPOSITORY_COMPOSE_FILE),
+      yaml.dump(compose, { lineWidth: -1 }),
+    );
+
+    return {
+      service: webService,
+      containerPort: appPort,
+      sidecars: serviceNames.filter((name) => name !== webService),
+      sidecarProject,
+    };
+  }
+
+  /**
+   * Get the container side of a compose port entry
+   * @param {string|number|Object} entry - Short ("8080:3000", "3000/tcp") or
+   *   long ({ target: 3000 }) port syntax
+   * @returns {number|null} Container port or null if there is none
+   */
+  getComposeContainerPort(entry) {
+    if (entry === undefined || entry === null) {
+      return null;
+    }
+    if (typeof entry === "object") {
+      return parseInt(entry.target, 10) || null;
+    }
 
-      // Setup health check with optimized settings
-      const health = {
-        checkPath: "/health",
-        interval: "20s", // Reduced from 30s
-        timeout: "10s", // Increased from 5s for React apps
-        retries: 2, // Reduced from 3
-        start_period: "30s", // Reduced from 40s
-      };
+    const containerSide = String(entry).split(":").pop().split("/")[0];
+    // Ranges such as 3000-3005 are routed to their first port
+    return parseInt(containerSide.split("-")[0], 10) || null;
+  }
 
-      if (this.useNixpacks) {
-        // Use Nixpacks to build the Docker image
-        logger.info(`Using Nixpacks to build ${serviceName} (${appType})`);
+  /**
+   * Health check settings of a deployment, with defaults for what the
+   * payload leaves out
+   * @param {Object} [healthCheck] - Health check from the deploy payload
+   * @returns {Object} Health check settings; durations are in seconds
+   */
+  getContainerHealthCheck(healthCheck = null) {
+    return {
+      type: HEALTH_CHECK_TYPES.HTTP,
+      path: "/health",
+      // Any 2xx or 3xx response unless a status is given
+      expectedStatus: null,
+      command: null,
+      interval: 20,
+      timeout: 10,
+      retries: this.healthCheckRetries,
+      gracePeriod: 30,
+      ...(healthCheck || {}),
+    };
+  }
 
-        // Load environment variables from env file
-        const envContent = await fs.readFile(envFilePath, "utf-8");
-        const envVars = {};
-        envContent.split("\n").forEach((line) => {
-          if (line && !line.startsWith("#")) {
-            const [key, ...valueParts] = line.split("=");
-            if (key && valueParts.length) {
-              envVars[key.trim()] = valueParts.join("=").trim();
-            }
+  /**
+   * Rollout settings of a deployment, with defaults for what the payload
+   * leaves out
+   * @param {Object} [rollout] - Rollout from the deploy payload
+   * @returns {Object} Rollout settings; canary steps are ascending
+   *   percentages below 100 and durations are in seconds
+   */
+  getRolloutSettings(rollout = null) {
+    const settings = {
+      strategy: ROLLOUT_STRATEGIES.IMMEDIATE,
+      steps: [10, 50],
+      stepDuration: 60,
+      sampleInterval: 5,
+      maxProbeFailureRate: 0.1,
+      ...(rollout || {}),
+    };
+    settings.steps = [...new Set(settings.steps)].sort((a, b) => a - b);
+    return settings;
+  }
+
+  /**
+   * Resource settings of a deployment: the agent's defaults overridden by
+   * the payload
+   * @param {Object} [resources] - Resources from the deploy payload
+   * @returns {Object} Resource settings; a limit of 0 is no limit
+   */
+  getContainerResources(resources = null) {
+    return { ...this.containerResources, ...(resources || {}) };
+  }
+
+  /**
+   * Compose volume entries for the volumes of a deployment
+   * @param {Array<Object>} [mounts] - Mounts from volumeService.prepareVolumes
+   * @returns {{entries: Array<string>, external: Array<string>}} Short syntax
+   *   service volumes and the named volumes to declare as external
+   */
+  getComposeVolumes(mounts = []) {
+    return {
+      entries: mounts.map(
+        (mount) =>
+          `${mount.source}:${mount.target}${mount.readOnly ? ":ro" : ""}`,
+      ),
+      external: mounts
+        .filter((mount) => mount.type === "volume")
+        .map((mount) => mount.source),
+    };
+  }
+
+  /**
+   * Compose service keys for resource settings
+   * @param {Object} resources - Resource settings
+   * @returns {Object} restart, stop_grace_period and, when limited, deploy
+   *   resource limits and ulimits
+   */
+  getComposeResources(resources) {
+    const limits = {};
+    if (resources.cpus > 0) {
+      limits.cpus = String(resources.cpus);
+    }
+    if (parseFloat(resources.memory) > 0) {
+      limits.memory = resources.memory;
+    }
+    if (resources.pids > 0) {
+      limits.pids = resources.pids;
+    }
+
+    return {
+      restart: resources.restartPolicy,
+      stop_grace_period: `${resources.stopGracePeriod}s`,
+      ...(Object.keys(limits).length > 0
+        ? { deploy: { resources: { limits } } }
+        : {}),
+      ...(resources.nofile
+        ? {
+            ulimits: {
+              nofile: { soft: resources.nofile, hard: resources.nofile },
+            },
           }
-        });
+        : {}),
+    };
+  }
 
-        // Add PORT to environment variables
-        envVars["PORT"] = containerPort.toString();
+  /**
+   * docker run options for resource settings, matching getComposeResources
+   * @param {Object} resources - Resource settings
+   * @returns {Array<string>} Arguments
+   */
+  getDockerRunResourceArgs(resources) {
+    const args = [
+      "--restart",
+      resources.restartPolicy,
+      "--stop-timeout",
+      String(resources.stopGracePeriod),
+    ];
+    if (resources.cpus > 0) {
+      args.push("--cpus", String(resources.cpus));
+    }
+    if (parseFloat(resources.memory) > 0) {
+      args.push("--memory", resources.memory);
+    }
+    if (resources.pids > 0) {
+      args.push("--pids-limit", String(resources.pids));
+    }
+    if (resources.nofile) {
+      args.push("--ulimit", `nofile=${resources.nofile}:${resources.nofile}`);
+    }
+    return args;
+  }
 
-        // For React apps, disable CI mode to prevent ESLint warnings from being treated as errors
-        if (appType === "react") {
-          envVars["CI"] = "false";
-          envVars["GENERATE_SOURCEMAP"] = "false";
-          envVars["DISABLE_ESLINT_PLUGIN"] = "true";
-          envVars["TSC_COMPILE_ON_ERROR"] = "true";
-          envVars["ESLINT_NO_DEV_ERRORS"] = "true";
-          envVars["NPM_CONFIG_UPDATE_NOTIFIER"] = "false";
-          envVars["NPM_CONFIG_FUND"] = "false";
-          envVars["NPM_CONFIG_AUDIT"] = "false";
-          logger.info(
-            "Applied React build optimizations: disabled sourcemaps, ESLint warnings, and npm notifications",
-          );
-        }
+  /**
+   * Compose healthcheck for a health check. Only command checks run inside
+   * the container; HTTP and TCP checks are probed by the agent, which needs
+   * no curl in the image, and an image's own healthcheck is not consulted.
+   * @param {Object} health - Health check settings
+   * @returns {Object|null} Compose healthcheck, or null to keep the image's
+   */
+  getComposeHealthCheck(health) {
+    if (health.type === HEALTH_CHECK_TYPES.NONE) {
+      return { disable: true };
+    }
+    if (health.type !== HEALTH_CHECK_TYPES.COMMAND) {
+      return null;
+    }
+    return {
+      test: ["CMD-SHELL", health.command],
+      interval: `${health.interval}s`,
+      timeout: `${health.timeout}s`,
+      retries: health.retries,
+      start_period: `${health.gracePeriod}s`,
+    };
+  }
 
-        // Build the image with Nixpacks with optimizations
-        await NixpacksBuilder.buildImage({
-          projectDir: deployDir,
-          imageName,
-          envVars,
-        });
+  /**
+   * docker run options for a health check, matching getComposeHealthCheck
+   * @param {Object} health - Health check settings
+   * @returns {Array<string>} Arguments; empty to keep the image's healthcheck
+   */
+  getDockerRunHealthArgs(health) {
+    const healthcheck = this.getComposeHealthCheck(health);
+    if (!healthcheck) {
+      return [];
+    }
+    if (healthcheck.disable) {
+      return ["--no-healthcheck"];
+    }
+    return [
+      "--health-cmd",
+      health.command,
+      "--health-interval",
+      healthcheck.interval,
+      "--health-timeout",
+      healthcheck.timeout,
+      "--health-retries",
+      String(healthcheck.retries),
+      "--health-start-period",
+      healthcheck.start_period,
+    ];
+  }
 
-        // Enable Docker BuildKit for faster builds if available
-        const buildEnv = { ...process.env };
-        if (!buildEnv.DOCKER_BUILDKIT) {
-          buildEnv.DOCKER_BUILDKIT = "1";
-          buildEnv.COMPOSE_DOCKER_CLI_BUILD = "1";
-        }
+  /**
+   * Probe a container from the agent: an HTTP request or TCP connection to
+   * its host port, or the check command run inside it
+   * @param {Object} container - Container with id and hostPort
+   * @param {Object} health - Health check settings
+   * @returns {Promise<{healthy: boolean, detail: string}>} Probe outcome
+   */
+  async probeHealth(container, health) {
+    if (health.type === HEALTH_CHECK_TYPES.COMMAND) {
+      const { code } = await executeCommand(
+        "docker",
+        ["exec", container.id, "sh", "-c", health.command],
+        { ignoreError: true, silent: true },
+      );
+      return { healthy: code === 0, detail: `command exited with ${code}` };
+    }
 
-        // Create a minimal docker-compose.yml file directly
-        let portsConfig = `      - "${hostPort}:${containerPort}"`;
+    if (!container.hostPort) {
+      // Nothing published to probe; a running container has to do
+      return { healthy: true, detail: "no published port to probe" };
+    }
 
-        // Add additional port mappings if specified
-        if (additionalPorts && additionalPorts.length > 0) {
-          additionalPorts.forEach((portConfig) => {
-            portsConfig += `\n      - "${portConfig.hostPort}:${portConfig.port}"`;
-          });
-        }
+    if (health.type === HEALTH_CHECK_TYPES.TCP) {
+      return new Promise((resolve) => {
+        const socket = net.connect({
+          host: "127.0.0.1",
+          port: container.hostPort,
+        });
+        socket.setTimeout(health.timeout * 1000);
+        const finish = (healthy, detail) => {
+          socket.destroy();
+          resolve({ healthy, detail });
+        };
+        socket.once("connect", () =>
+          finish(true, `port ${container.hostPort} accepts connections`),
+        );
+        socket.once("timeout", () =>
+          finish(false, `connection to port ${container.hostPort} timed out`),
+        );
+        socket.once("error", (error) => finish(false, error.message));
+      });
+    }
+
+    try {
+      const response = await axios.get(
+        `http://127.0.0.1:${container.hostPort}${health.path}`,
+        {
+          timeout: health.timeout * 1000,
+          maxRedirects: 0,
+          validateStatus: () => true,
+        },
+      );
+      const expected = health.expectedStatus
+        ? [].concat(health.expectedStatus)
+        : null;
+      const healthy = expected
+        ? expected.includes(response.status)
+        : response.status >= 200 && response.status < 400;
+      return {
+        healthy,
+        detail: `${health.path} answered ${response.status}`,
+      };
+    } catch (error) {
+      return { healthy: false, detail: `${health.path}: ${error.message}` };
+    }
+  }
+
+  /**
+   * Render the docker-compose.yml that runs a prebuilt image behind Traefik
+   * @param {Object} options - Compose options
+   * @param {string} options.serviceName - Container (blue/green) name
+   * @param {string} options.imageName - Image to run
+   * @param {number} options.hostPort - Host port for the container port
+   * @param {number} options.containerPort - Port the app listens on
+   * @param {Array<Object>} [options.additionalPorts] - Extra port mappings
+   * @param {string} options.envFilePath - Env file next to the compose file
+   * @param {string} options.domain - Domain routed to the container
+   * @param {Object} options.health - Health check settings
+   * @param {Object} options.resources - Resource settings
+   * @param {Array<Object>} [options.mounts] - Volumes the container mounts
+   * @returns {string} Compose file content
+   */
+  renderComposeFile({
+    serviceName,
+    imageName,
+    hostPort,
+    containerPort,
+    additionalPorts,
+    envFilePath,
+    domain,
+    health,
+    resources = this.getContainerResources(),
+    mounts = [],
+  }) {
+    let portsConfig = `      - "${hostPort}:${containerPort}"`;
+
+    const healthcheck = this.getComposeHealthCheck(health);
+    const healthConfig = healthcheck
+      ? yaml
+          .dump({ healthcheck }, { lineWidth: -1 })
+          .trimEnd()
+          .split("\n")
+          .map((line) => `\n    ${line}`)
+          .join("")
+      : "";
+    const resourceConfig = yaml
+      .dump(this.getComposeResources(resources), { lineWidth: -1 })
+      .trimEnd()
+      .split("\n")
+      .map((line) => `    ${line}`)
+      .join("\n");
+    const { entries, external } = this.getComposeVolumes(mounts);
+    const volumesConfig =
+      entries.length > 0
+        ? `\n    volumes:${entries.map((entry) => `\n      - "${entry}"`).join("")}`
+        : "";
+    const volumeDefinitions =
+      external.length > 0
+        ? `\n\nvolumes:${external.map((volumeName) => `\n  ${volumeName}:\n    external: true`).join("")}`
+        : "";
+
+    // Add additional port mappings if specified
+    if (additionalPorts && additionalPorts.length > 0) {
+      additionalPorts.forEach((portConfig) => {
+        portsConfig += `\n      - "${portConfig.hostPort}:${portConfig.port}"`;
+      });
+    }
 
-        const dockerComposeContent = `
+    return `
 version: '3.8'
 
 services:
   ${serviceName}:
     container_name: ${serviceName}
     image: ${imageName}
-    restart: unless-stopped
+${resourceConfig}
     ports:
 ${portsConfig}
     env_file:
-      - "${path.basename(envFilePath)}"
+      - "${path.basename(envFilePath)}"${volumesConfig}
     networks:
       - traefik-network
     labels:
@@ -1252,76 +3832,147 @@ ${portsConfig}
       - "traefik.http.routers.${serviceName}.rule=Host(\`${domain}\`)"
       - "traefik.http.routers.${serviceName}.entrypoints=web,websecure"
       - "traefik.http.routers.${serviceName}.tls.certresolver=letsencrypt"
-      - "traefik.http.services.${serviceName}.loadbalancer.server.port=${containerPort}"
-    healthcheck:
-      test: ["CMD", "curl", "-f", "http://localhost:${containerPort}/health"]
-      interval: ${health.interval}
-      timeout: ${health.timeout}
-      retries: ${health.retries}
-      start_period: ${health.start_period}
+      - "traefik.http.services.${serviceName}.loadbalancer.server.port=${containerPort}"${healthConfig}
 
 networks:
   traefik-network:
-    external: true
+    external: true${volumeDefinitions}
 `;
+  }
 
-        await fs.writeFile(
-          path.join(deployDir, "docker-compose.yml"),
-          dockerComposeContent,
-        );
-      } else {
-        // Use the traditional template approach for backward compatibility
-        // Now generate deployment files with updated port if necessary
-        if (!this.templateHandler) {
-          this.templateHandler = new TemplateHandler(
-            this.templatesDir,
-            require("../deployConfig.json"),
-          );
-        }
+  /**
+   * Start or update the sidecars of a repository compose file in the
+   * service's sidecar project. Sidecars whose configuration and image did
+   * not change keep running; the ones built from the repository are rebuilt
+   * and replaced when their build changed.
+   * @param {Object} options - Start options
+   * @param {string} options.projectName - Sidecar project name
+   * @param {string} options.deployDir - Directory holding the compose file
+   * @param {string} options.composeFile - Compose file in deployDir
+   * @param {Array<string>} options.services - Sidecar services
+   * @param {AbortSignal} [options.signal] - Stops when the job is cancelled
+   * @param {Function} [options.onOutput] - Receives every line compose prints
+   * @returns {Promise<void>}
+   */
+  async startComposeSidecars({
+    projectName,
+    deployDir,
+    composeFile,
+    services,
+    signal = null,
+    onOutput = null,
+  }) {
+    if (services.length === 0) {
+      return;
+    }
 
-        const files = await this.templateHandler.generateDeploymentFiles({
-          appType: appType,
-          appName: serviceName,
-          environment,
-          hostPort, // This may be a new port if we had to find an alternative
-          containerPort,
-          domain,
-          envFile: path.basename(envFilePath),
-          health,
-        });
+    logger.info(
+      `Starting sidecars ${services.join(", ")} in project ${projectName}`,
+    );
+    await executeCommand(
+      "docker-compose",
+      [
+        "-p",
+        projectName,
+        "-f",
+        composeFile,
+        "up",
+        "-d",
+        "--build",
+        "--no-deps",
+        ...services,
+      ],
+      {
+        cwd: deployDir,
+        env: {
+          ...process.env,
+          DOCKER_BUILDKIT: "1",
+          COMPOSE_DOCKER_CLI_BUILD: "1",
+        },
+        signal,
+        onOutput,
+      },
+    );
+  }
 
-        // Write the files
-        await Promise.all([
-          fs.writeFile(path.join(deployDir, "Dockerfile"), files.dockerfile),
-          fs.writeFile(
-            path.join(deployDir, "docker-compose.yml"),
-            files.dockerCompose,
-          ),
-        ]);
+  /**
+   * Start a compose project and return the container it created
+   * @param {Object} options - Start options
+   * @param {string} options.projectName - Compose project name
+   * @param {string} options.serviceName - Container (blue/green) name
+   * @param {string} options.deployDir - Directory holding docker-compose.yml
+   * @param {number} options.hostPort - Expected host port
+   * @param {number} options.containerPort - Port the app listens on
+   * @param {string} [options.composeFile] - Compose file in deployDir
+   * @param {string} [options.composeService] - Compose service of the
+   *   container, when it differs from serviceName
+   * @returns {Promise<Object>} Container with id, name, hostPort and containerPort
+   */
+  async startComposeProject({
+    projectName,
+    serviceName,
+    deployDir,
+    hostPort,
+    containerPort,
+    composeFile = "docker-compose.yml",
+    composeService = serviceName,
+  }) {
+    // Start the container using docker-compose with optimizations
+    logger.info(`Starting container on port ${hostPort}...`);
 
-        // Build the container with docker-compose and optimizations
-        logger.info(`Building container with project name ${projectName}...`);
-        await executeCommand(
-          "docker-compose",
-          ["-p", projectName, "build", "--no-cache", "--parallel"],
-          {
-            cwd: deployDir,
-            env: {
-              ...process.env,
-              DOCKER_BUILDKIT: "1",
-              COMPOSE_DOCKER_CLI_BUILD: "1",
-            },
+    try {
+      await executeCommand(
+        "docker-compose",
+        [
+          "-p",
+          projectName,
+          "-f",
+          composeFile,
+          "up",
+          "-d",
+          "--no-deps",
+          composeService,
+        ],
+        {
+          cwd: deployDir,
+          env: {
+            ...process.env,
+            DOCKER_BUILDKIT: "1",
+            COMPOSE_DOCKER_CLI_BUILD: "1",
           },
+        },
+      );
+    } catch (composeError) {
+      // Handle container name conflicts
+      if (composeError.message.includes("is already in use by container")) {
+        logger.warn(
+          `Container name conflict detected for ${serviceName}. Attempting to resolve...`,
         );
-      }
 
-      // Start the container using docker-compose with optimizations
-      logger.info(`Starting container on port ${hostPort}...`);
+        // Force remove any existing container with the same name
+        try {
+          await executeCommand("docker", ["rm", "-f", serviceName]);
+          logger.info(`Removed conflicting container: ${serviceName}`);
+        } catch (removeError) {
+          logger.warn(
+            `Could not remove conflicting container: ${removeError.message}`,
+          );
+        }
 
-      try {
+        // Retry the docker-compose up
+        logger.info("Retrying container startup after conflict resolution...");
         await executeCommand(
           "docker-compose",
-          ["-p", projectName, "up", "-d"],
+          [
+            "-p",
+            projectName,
+            "-f",
+            composeFile,
+            "up",
+            "-d",
+            "--no-deps",
+            composeService,
+          ],
           {
             cwd: deployDir,
             env: {
@@ -1331,109 +3982,66 @@ networks:
             },
           },
         );
-      } catch (composeError) {
-        // Handle container name conflicts
-        if (composeError.message.includes("is already in use by container")) {
-          logger.warn(
-            `Container name conflict detected for ${serviceName}. Attempting to resolve...`,
-          );
-
-          // Force remove any existing container with the same name
-          try {
-            await executeCommand("docker", ["rm", "-f", serviceName]);
-            logger.info(`Removed conflicting container: ${serviceName}`);
-          } catch (removeError) {
-            logger.warn(
-              `Could not remove conflicting container: ${removeError.message}`,
-            );
-          }
-
-          // Retry the docker-compose up
-          logger.info(
-            "Retrying container startup after conflict resolution...",
-          );
-          await executeCommand(
-            "docker-compose",
-            ["-p", projectName, "up", "-d"],
-            {
-              cwd: deployDir,
-              env: {
-                ...process.env,
-                DOCKER_BUILDKIT: "1",
-                COMPOSE_DOCKER_CLI_BUILD: "1",
-              },
-            },
-          );
-        } else {
-          // Re-throw if it's not a name conflict issue
-          throw composeError;
-        }
+      } else {
+        // Re-throw if it's not a name conflict issue
+        throw composeError;
       }
+    }
 
-      // Get the new container ID
-      const { stdout: newContainerId } = await executeCommand(
-        "docker-compose",
-        ["-p", projectName, "ps", "-q", serviceName],
-        { cwd: deployDir },
-      );
-
-      if (!newContainerId.trim()) {
-        throw new Error(
-          "Failed to get new container ID - container may not have started properly",
-        );
-      }
+    // Get the new container ID
+    const { stdout: newContainerId } = await executeCommand(
+      "docker-compose",
+      ["-p", projectName, "-f", composeFile, "ps", "-q", composeService],
+      { cwd: deployDir },
+    );
 
-      logger.info(
-        `Container started successfully with ID: ${newContainerId.trim()}`,
+    if (!newContainerId.trim()) {
+      throw new Error(
+        "Failed to get new container ID - container may not have started properly",
       );
+    }
 
-      // Verify the actual port used by the container
-      logger.info(
-        `Verifying actual port for container ${newContainerId.trim()}`,
-      );
-      try {
-        const { stdout: portMappings } = await executeCommand("docker", [
-          "port",
-          newContainerId.trim(),
-        ]);
+    logger.info(
+      `Container started successfully with ID: ${newContainerId.trim()}`,
+    );
 
-        logger.info(`Container port mappings: ${portMappings}`);
+    // Verify the actual port used by the container
+    logger.info(`Verifying actual port for container ${newContainerId.trim()}`);
+    try {
+      const { stdout: portMappings } = await executeCommand("docker", [
+        "port",
+        newContainerId.trim(),
+      ]);
 
-        // Parse the port mappings to find the actual port
-        const hostPortMatch = portMappings.match(/0\.0\.0\.0:(\d+)/);
-        if (hostPortMatch && hostPortMatch[1]) {
-          const actualPort = parseInt(hostPortMatch[1], 10);
+      logger.info(`Container port mappings: ${portMappings}`);
 
-          if (actualPort !== hostPort) {
-            logger.warn(
-              `Port mismatch detected! Expected ${hostPort} but container is using ${actualPort}`,
-            );
+      // Parse the port mappings to find the actual port
+      const hostPortMatch = portMappings.match(/0\.0\.0\.0:(\d+)/);
+      if (hostPortMatch && hostPortMatch[1]) {
+        const actualPort = parseInt(hostPortMatch[1], 10);
 
-            // Update port manager with actual port
-            await portManager.verifyPortMapping(
-              serviceName.replace(/-blue$|-green$/, ""),
-              actualPort,
-            );
+        if (actualPort !== hostPort) {
+          logger.warn(
+            `Port mismatch detected! Expected ${hostPort} but container is using ${actualPort}`,
+          );
 
-            // Use the actual port instead of the expected one
-            hostPort = actualPort;
-          }
+          // Use the actual port instead of the expected one; the service's
+          // mapping moves to it in switchTraffic
+          hostPort = actualPort;
         }
-      } catch (portCheckError) {
-        logger.warn(
-          `Error checking container port mappings: ${portCheckError.message}`,
-        );
       }
-
-      return {
-        id: newContainerId.trim(),
-        name: serviceName,
-        hostPort, // This is now guaranteed to be the actual port used
-        containerPort,
-      };
-    } catch (error) {
-      throw new Error(`Failed to build/start container: ${error.message}`);
+    } catch (portCheckError) {
+      logger.warn(
+        `Error checking container port mappings: ${portCheckError.message}`,
+      );
     }
+
+    return {
+      id: newContainerId.trim(),
+      name: serviceName,
+      hostPort, // This is now guaranteed to be the actual port used
+      containerPort,
+    };
   }
 
   async performRollback(oldContainer, newContainer, domain) {
@@ -1535,6 +4143,7 @@ networks:
    * @param {Object} responseData - The raw response data from the front server
    * @param {Object} result - The processed result object
    * @param {string} projectId - Optional ID of the project this deployment belongs to
+   * @param {Object} [transport] - Transport the job arrived on
    * @returns {Promise<void>}
    */
   async notifyQueueOnRegistration(
@@ -1543,19 +4152,15 @@ networks:
     responseData,
     result,
     projectId = null,
+    transport = queueService,
   ) {
     try {
-      // Check if queue service is available
-      if (!queueService || !queueService.initialized) {
-        await queueService.initialize();
-      }
-
       logger.info(
         `Notifying queue about registration result for job ${jobId} and service ${serviceName}`,
       );
 
       // Send a result message to the queue
-      await queueService.publishResult({
+      await transport.publishResult({
         jobId: jobId,
         status: result.success ? "SUCCESS" : "FAILED",
         actionType: "app_deployment_result",
@@ -1571,11 +4176,21 @@ networks:
           rawResponse: responseData ? JSON.stringify(responseData) : null,
           // Include container details if available
           containerDetails: result.containerDetails || null,
+          // Commit the deployed image was built from
+          sourceCommit: result.sourceCommit || null,
+          // Registry copy of the image, if it was pushed
+          pushedImage: result.pushedImage || null,
+          // Phase durations and the cache the build started from
+          metrics: result.metrics || null,
+          // Exit codes of the deployment hooks
+          hooks: result.hooks || null,
+          // Traffic weights and health probe failure rates of the canary steps
+          rollout: result.rollout || null,
         },
       });
 
       // Also send a log message for better visibility
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: jobId,
         content: `Front server registration for ${serviceName}: ${result.message} ${result.domain ? `[Domain: ${result.domain}]` : ""}`,
         timestamp: new Date().toISOString(),
@@ -7,6 +7,7 @@
 
 const path = require("path");
 const dotenv = require("dotenv");
+const logger = require("../utils/logger");
 
 // Load environment variables
 if (process.env.NODE_ENV === "development") {
@@ -15,6 +16,22 @@ if (process.env.NODE_ENV === "development") {
   dotenv.config({ path: "/opt/cloudlunacy/.env" });
 }
 
+/**
+ * Parse per job type timeouts from a JSON object of job type to milliseconds
+ * @param {string} value - e.g. '{"install_database": 900000}'
+ * @returns {Object} Timeouts by job type
+ */
+function parseJobTimeouts(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Invalid JOB_TIMEOUTS value: ${error.message}`);
+    return {};
+  }
+}
+
 // Determine if we're in development mode
 const isDevelopment = process.env.NODE_ENV === "development";
 
@@ -48,6 +65,10 @@ const config = {
     certs: path.join(basePath, "certs"),
     cache: path.join(basePath, "cache"),
     temp: path.join(basePath, "temp"),
+    jobs: path.join(basePath, "jobs"),
+    releases: path.join(basePath, "releases"),
+    registryCredentials: path.join(basePath, "registry-credentials"),
+    volumeBackups: path.join(basePath, "volume-backups"),
     jwtFile: path.join(basePath, ".agent_jwt.json"),
   },
 
@@ -89,6 +110,53 @@ const config = {
   deployment: {
     maxConcurrent: parseInt(process.env.MAX_CONCURRENT_DEPLOYMENTS || "2", 10),
     timeout: parseInt(process.env.DEPLOYMENT_TIMEOUT || "300000", 10), // 5 minutes
+    // Limits of application containers that a deployment does not set
+    // itself, so one app cannot starve the host; 0 disables a limit
+    containerResources: {
+      cpus: parseFloat(process.env.CONTAINER_CPUS || "1"),
+      memory: process.env.CONTAINER_MEMORY || "1g",
+      pids: parseInt(process.env.CONTAINER_PIDS_LIMIT || "512", 10),
+      restartPolicy: process.env.CONTAINER_RESTART_POLICY || "unless-stopped",
+      stopGracePeriod: parseInt(
+        process.env.CONTAINER_STOP_GRACE_PERIOD || "10",
+        10,
+      ), // seconds
+    },
+  },
+
+  // Persistent volumes of deployed applications
+  volumes: {
+    // Host directories below which deployments may bind mount
+    bindMountRoots: (
+      process.env.BIND_MOUNT_ROOTS || path.join(basePath, "volumes")
+    )
+      .split(",")
+      .map((root) => root.trim())
+      .filter(Boolean),
+    // Image that archives volumes before they are removed
+    backupImage: process.env.VOLUME_BACKUP_IMAGE || "alpine:3",
+  },
+
+  // Job processing
+  jobs: {
+    resumeInterrupted: process.env.RESUME_INTERRUPTED_JOBS === "true",
+    journalRetention: parseInt(
+      process.env.JOB_JOURNAL_RETENTION || "604800000",
+      10,
+    ), // 7 days
+    journalMaxEntries: parseInt(
+      process.env.JOB_JOURNAL_MAX_ENTRIES || "1000",
+      10,
+    ),
+    defaultTimeout: parseInt(process.env.JOB_TIMEOUT || "600000", 10), // 10 minutes
+    timeouts: parseJobTimeouts(process.env.JOB_TIMEOUTS),
+    // Concurrent jobs other than deployments and builds
+    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_JOBS || "5", 10),
+    // Unacknowledged commands held by the agent, running or queued
+    prefetch: parseInt(process.env.JOB_PREFETCH || "20", 10),
+    // Failed commands are retried with exponential backoff, then dead-lettered
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || "5", 10),
+    retryBaseDelay: parseInt(process.env.JOB_RETRY_DELAY || "5000", 10), // 5 seconds
   },
 
   // Metrics collection
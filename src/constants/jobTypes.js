@@ -9,6 +9,10 @@
 // Application Deployment Job Types
 const APP_DEPLOYMENT_JOBS = {
   DEPLOY_APPLICATION: "deploy_application",
+  DEPLOY_IMAGE: "deploy_image",
+  ROLLBACK_APPLICATION: "rollback_application",
+  LIST_RELEASES: "list_releases",
+  REMOVE_APPLICATION_VOLUMES: "remove_application_volumes",
 };
 
 // Database Job Types
@@ -25,6 +29,9 @@ const DATABASE_JOBS = {
 // System Management Job Types
 const SYSTEM_JOBS = {
   LIST_SERVICES: "list_services",
+  CANCEL_JOB: "cancel_job",
+  UPDATE_REGISTRY_CREDENTIALS: "update_registry_credentials",
+  REMOVE_REGISTRY_CREDENTIALS: "remove_registry_credentials",
 };
 
 // Repository Job Types
@@ -36,6 +43,7 @@ const REPOSITORY_JOBS = {
 // Container Management Job Types
 const CONTAINER_JOBS = {
   STREAM_CONTAINER_LOGS: "stream_container_logs",
+  STOP_CONTAINER_LOG_STREAM: "stop_container_log_stream",
 };
 
 // Aggregate all job types
@@ -57,6 +65,55 @@ const JOB_STATUS = {
   TIMEOUT: "TIMEOUT",
 };
 
+// States of a service release in the release ledger
+const RELEASE_STATUS = {
+  DEPLOYING: "DEPLOYING",
+  LIVE: "LIVE",
+  SUPERSEDED: "SUPERSEDED",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+// How an application image is built
+const BUILD_STRATEGY = {
+  AUTO: "auto",
+  DOCKERFILE: "dockerfile",
+  COMPOSE: "compose",
+  NIXPACKS: "nixpacks",
+  TEMPLATE: "template",
+};
+
+// How a deployment checks that a new container is ready for traffic
+const HEALTH_CHECK_TYPES = {
+  HTTP: "http",
+  TCP: "tcp",
+  COMMAND: "command",
+  NONE: "none",
+};
+
+// How traffic moves to a new release: at once, or in weighted canary steps
+const ROLLOUT_STRATEGIES = {
+  IMMEDIATE: "immediate",
+  CANARY: "canary",
+};
+
+// Phases a deployment reports progress for, in order; prebuilt images are
+// pulled instead of cloned and skip setup, install and build, and the hook
+// and canary phases only run when the deployment asks for them
+const DEPLOYMENT_PHASES = {
+  CLONE: "clone",
+  PULL: "pull",
+  SETUP: "setup",
+  INSTALL: "install",
+  BUILD: "build",
+  PRE_DEPLOY: "pre_deploy",
+  START: "start",
+  HEALTH: "health",
+  CANARY: "canary",
+  SWITCH: "switch",
+  POST_DEPLOY: "post_deploy",
+};
+
 // Queue names
 const QUEUE_NAMES = {
   COMMANDS: "agent.commands",
@@ -98,6 +155,11 @@ module.exports = {
   CONTAINER_JOBS,
   ALL_JOB_TYPES,
   JOB_STATUS,
+  RELEASE_STATUS,
+  BUILD_STRATEGY,
+  HEALTH_CHECK_TYPES,
+  ROLLOUT_STRATEGIES,
+  DEPLOYMENT_PHASES,
   QUEUE_NAMES,
   JOB_PRIORITY,
   normalizeActionType,
@@ -11,12 +11,150 @@ const databaseController = require("./databaseController");
 const repositoryController = require("./repositoryController");
 const messageHandler = require("./messageHandler");
 const queueService = require("../services/queueService");
-const { ALL_JOB_TYPES, normalizeActionType } = require("../constants/jobTypes");
+const jobJournalService = require("../services/jobJournalService");
+const jobScheduler = require("../services/jobScheduler");
+const jobHandlerRegistry = require("../services/jobHandlerRegistry");
+const registryCredentialService = require("../services/registryCredentialService");
+const volumeService = require("../services/volumeService");
+const { JOB_SCHEMAS } = require("../validators/jobSchemas");
+const {
+  ALL_JOB_TYPES,
+  JOB_STATUS,
+  normalizeActionType,
+} = require("../constants/jobTypes");
 const ResponseFormatter = require("../utils/responseFormatter");
+const {
+  parseRepositoryUrl,
+  redactRepositoryUrl,
+} = require("../utils/gitRemote");
+const config = require("../config");
 
 class CommandHandler {
   constructor() {
     this.initialized = false;
+    // Jobs currently being processed, keyed by job ID
+    this.activeJobs = new Map();
+    this.registerHandlers();
+  }
+
+  /**
+   * Register the built-in job handlers
+   */
+  registerHandlers() {
+    jobHandlerRegistry
+      .register({
+        actionType: ALL_JOB_TYPES.DEPLOY_APPLICATION,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.DEPLOY_APPLICATION],
+        capabilities: ["deployment", "docker"],
+        cancellable: true,
+        handler: (job, context) => this.handleDeploymentJob(job, context),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.DEPLOY_IMAGE,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.DEPLOY_IMAGE],
+        capabilities: ["deployment", "docker"],
+        cancellable: true,
+        handler: (job, context) => this.handleDeploymentJob(job, context),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.ROLLBACK_APPLICATION,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.ROLLBACK_APPLICATION],
+        capabilities: ["deployment", "docker"],
+        cancellable: true,
+        handler: (job, context) => this.handleRollbackJob(job, context),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.LIST_RELEASES,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.LIST_RELEASES],
+        capabilities: ["deployment"],
+        handler: (job) => this.handleListReleasesJob(job),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.REMOVE_APPLICATION_VOLUMES,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.REMOVE_APPLICATION_VOLUMES],
+        capabilities: ["deployment", "docker"],
+        handler: (job) => this.handleRemoveApplicationVolumesJob(job),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.LIST_SERVICES,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.LIST_SERVICES],
+        capabilities: ["docker"],
+        handler: (job, context) => this.handleListServicesJob(job, context),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.UPDATE_REGISTRY_CREDENTIALS,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.UPDATE_REGISTRY_CREDENTIALS],
+        capabilities: ["docker"],
+        handler: (job) => this.handleUpdateRegistryCredentialsJob(job),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.REMOVE_REGISTRY_CREDENTIALS,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.REMOVE_REGISTRY_CREDENTIALS],
+        capabilities: ["docker"],
+        handler: (job) => this.handleRemoveRegistryCredentialsJob(job),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.CANCEL_JOB,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.CANCEL_JOB],
+        handler: (job) => this.handleCancelJob(job),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.STREAM_CONTAINER_LOGS,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.STREAM_CONTAINER_LOGS],
+        capabilities: ["logs", "docker"],
+        handler: (job, context) =>
+          this.handleStreamContainerLogsJob(job, context),
+      })
+      .register({
+        actionType: ALL_JOB_TYPES.STOP_CONTAINER_LOG_STREAM,
+        ...JOB_SCHEMAS[ALL_JOB_TYPES.STOP_CONTAINER_LOG_STREAM],
+        capabilities: ["logs"],
+        handler: (job, context) =>
+          this.handleStopContainerLogStreamJob(job, context),
+      });
+
+    // Database commands; the operation comes from the job's parameters
+    for (const actionType of [
+      ALL_JOB_TYPES.INSTALL_DATABASE,
+      ALL_JOB_TYPES.CREATE_DATABASE,
+      ALL_JOB_TYPES.INSTALL_DATABASE_SYSTEM,
+      ALL_JOB_TYPES.BACKUP_DATABASE,
+      ALL_JOB_TYPES.RESTORE_DATABASE,
+    ]) {
+      jobHandlerRegistry.register({
+        actionType,
+        ...JOB_SCHEMAS[actionType],
+        capabilities: ["docker", "mongodb"],
+        handler: (job, { adapter, signal }) =>
+          this.handleDatabaseJob(job, adapter, signal),
+      });
+    }
+
+    for (const actionType of [
+      ALL_JOB_TYPES.UPDATE_DATABASE_CREDENTIALS,
+      ALL_JOB_TYPES.UPDATE_MONGODB_CREDENTIALS,
+    ]) {
+      jobHandlerRegistry.register({
+        actionType,
+        ...JOB_SCHEMAS[actionType],
+        capabilities: ["mongodb"],
+        handler: (job, context) =>
+          this.handleMongoCredentialsUpdateJob(job, context),
+      });
+    }
+
+    // Repository/Git commands
+    for (const actionType of [
+      ALL_JOB_TYPES.CLONE_REPOSITORY,
+      ALL_JOB_TYPES.UPDATE_REPOSITORY,
+    ]) {
+      jobHandlerRegistry.register({
+        actionType,
+        ...JOB_SCHEMAS[actionType],
+        capabilities: ["deployment"],
+        handler: (job, { adapter }) => this.handleRepositoryJob(job, adapter),
+      });
+    }
   }
 
   /**
@@ -41,11 +179,18 @@ class CommandHandler {
    * @param {Object} msg Raw AMQP message object (optional)
    * @param {Object} channel AMQP channel instance (optional)
    * @returns {Promise<Object>} Processing result
+   * @throws {Error} If a job from the queue failed, so that the queue service
+   *   retries it or moves it to the dead-letter queue
    */
-  async processJob(job, msg = null, channel = null) {
+  async processJob(job, msg = null, channel = null, transport = queueService) {
+    let activeJobId = null;
+    // Where direct replies go: the AMQP reply-to queue for queue jobs, the
+    // request ID for WebSocket jobs
+    const request = { msg, channel, requestId: job?.requestId || null };
+
     try {
       // Normalize the job object using standardized formatter
-      const normalizedJob = ResponseFormatter.normalizeJob(job);
+      let normalizedJob = ResponseFormatter.normalizeJob(job);
 
       // Log job details for debugging
       logger.info(
@@ -77,67 +222,161 @@ class CommandHandler {
         );
       }
 
-      // Create adapter and log start of processing
-      const adapter = this.createQueueAdapter(normalizedJob.id);
+      // Reject unknown types and malformed payloads before any work starts
+      if (!jobHandlerRegistry.has(jobType)) {
+        throw jobHandlerRegistry.createUnsupportedError(jobType);
+      }
+
+      const { value: canonicalJob, error: validationError } =
+        jobHandlerRegistry.validate(jobType, normalizedJob);
+      if (validationError) {
+        const error = this.createValidationError(jobType, validationError);
+        logger.warn(`Rejected job ${normalizedJob.id}: ${error.message}`);
+        await this.publishJobFailure(normalizedJob.id, error, transport);
+
+        const errorResponse = ResponseFormatter.error(
+          normalizedJob.id,
+          jobType,
+          error,
+          { validationErrors: error.validationErrors },
+        );
+        this.sendReply(transport, request, errorResponse);
+        return errorResponse;
+      }
 
-      await this.logJobStart(normalizedJob.id, jobType);
+      // Handlers only read the canonical parameters from here on
+      normalizedJob = canonicalJob;
 
-      // Process the job based on its determined type
-      const result = await this.routeJobToHandler(
-        normalizedJob,
+      // A redelivered job that is running or already finished must not run twice
+      const duplicateResult = await this.handleDuplicateJob(
+        normalizedJob.id,
         jobType,
-        adapter,
+        transport,
+        request,
+      );
+      if (duplicateResult) {
+        return duplicateResult;
+      }
+
+      // A redelivered job that was already reported as interrupted after an
+      // agent restart must not run again - the backend has its final status
+      if (jobJournalService.isInterrupted(normalizedJob.id)) {
+        logger.warn(
+          `Skipping job ${normalizedJob.id}: it was interrupted by an agent restart and already reported as failed`,
+        );
+        return ResponseFormatter.error(
+          normalizedJob.id,
+          jobType,
+          "Job was interrupted by an agent restart",
+        );
+      }
+
+      await jobJournalService.recordReceived(normalizedJob, jobType);
+
+      // Everything a handler needs to report back over the job's transport
+      const context = {
+        adapter: this.createTransportAdapter(normalizedJob.id, transport),
         msg,
         channel,
+        transport,
+        request,
+        reply: (payload) => transport.sendReply(request, payload),
+      };
+
+      // Track the job so that it can be cancelled while queued or running
+      const abortController = new AbortController();
+      let markCompleted;
+      const completion = new Promise((resolve) => {
+        markCompleted = resolve;
+      });
+      activeJobId = normalizedJob.id;
+      this.activeJobs.set(activeJobId, {
+        jobType,
+        abortController,
+        completion,
+        markCompleted,
+        timeoutTimer: null,
+        abortReport: null,
+        receivedAt: new Date().toISOString(),
+        startedAt: null,
+      });
+
+      // Wait for a free slot, then process the job based on its type
+      const result = await jobScheduler.schedule(
+        {
+          jobId: normalizedJob.id,
+          jobType,
+          priority: normalizedJob.priority,
+          signal: abortController.signal,
+          onQueued: (position, queueLength) =>
+            this.publishQueuePosition(
+              normalizedJob.id,
+              position,
+              queueLength,
+              transport,
+            ),
+        },
+        () => this.runJob(normalizedJob, jobType, context, abortController),
       );
 
       // Format the result using standardized formatter
-      const formattedResult =
-        result.success === false
-          ? ResponseFormatter.error(
-              normalizedJob.id,
-              jobType,
-              result.error || result.message,
-              result.result || result.data,
-            )
-          : ResponseFormatter.success(
-              normalizedJob.id,
-              jobType,
-              result.result || result.data,
-              result.message,
-            );
+      let formattedResult;
+      if (abortController.signal.aborted) {
+        formattedResult = await this.reportAbortedJob(
+          normalizedJob.id,
+          jobType,
+          abortController.signal,
+          transport,
+        );
+      } else if (result.success === false) {
+        formattedResult = ResponseFormatter.error(
+          normalizedJob.id,
+          jobType,
+          result.error || result.message,
+          result.result || result.data,
+        );
+      } else {
+        formattedResult = ResponseFormatter.success(
+          normalizedJob.id,
+          jobType,
+          result.result || result.data,
+          result.message,
+        );
+      }
 
-      // If this was an RPC request (has replyTo and correlationId) and it's not already
-      // handled by the specific handler, send response here
-      if (
-        msg &&
-        channel &&
-        msg.properties &&
-        msg.properties.replyTo &&
-        msg.properties.correlationId &&
-        jobType !== ALL_JOB_TYPES.LIST_SERVICES
-      ) {
-        try {
-          const rpcResponse = ResponseFormatter.rpcResponse(
-            msg.properties.correlationId,
-            formattedResult,
-          );
+      if (!abortController.signal.aborted) {
+        await jobJournalService.recordFinished(
+          normalizedJob.id,
+          formattedResult.status,
+          formattedResult.result,
+          formattedResult,
+        );
+      }
 
-          channel.sendToQueue(
-            msg.properties.replyTo,
-            Buffer.from(JSON.stringify(rpcResponse)),
-            { correlationId: msg.properties.correlationId },
-          );
-          logger.info(
-            `Sent standardized RPC response to ${msg.properties.replyTo} with correlationId ${msg.properties.correlationId}`,
-          );
-        } catch (rpcError) {
-          logger.error(`Failed to send RPC response: ${rpcError.message}`);
-        }
+      // Failed queue jobs go back to the queue service, which retries them
+      // with backoff or dead-letters them and publishes the FAILED result
+      if (msg && formattedResult.status === JOB_STATUS.FAILED) {
+        const failure = new Error(formattedResult.message);
+        failure.jobResponse = formattedResult;
+        throw failure;
+      }
+
+      // Reply to the request unless the handler already answered it
+      if (jobType !== ALL_JOB_TYPES.LIST_SERVICES) {
+        this.sendReply(transport, request, formattedResult);
       }
 
       return formattedResult;
     } catch (error) {
+      // A failed queue job has been journaled already; the last attempt
+      // answers the request before the failure goes back to the queue
+      if (error.jobResponse) {
+        if (!transport.willRetry(msg, error)) {
+          this.sendReply(transport, request, error.jobResponse);
+        }
+        throw error;
+      }
+
       logger.error(`Error processing job: ${error.message}`);
 
       // Create standardized error response
@@ -145,47 +384,309 @@ class CommandHandler {
       const jobType = job?.actionType || job?.jobType || "unknown";
       const errorResponse = ResponseFormatter.error(jobId, jobType, error);
 
+      // A handler that throws because its job was aborted is not a failure
+      const abortSignal =
+        activeJobId && this.activeJobs.get(activeJobId)?.abortController.signal;
+
       // Try to publish error if we have a job ID
-      if (jobId !== "unknown") {
-        await this.publishJobFailure(jobId, error);
+      if (jobId !== "unknown" && abortSignal?.aborted) {
+        await this.reportAbortedJob(jobId, jobType, abortSignal, transport);
+      } else if (jobId !== "unknown") {
+        // Queue jobs are retried; dead-lettering publishes the final failure
+        if (!msg) {
+          await this.publishJobFailure(jobId, error, transport);
+        }
+        await jobJournalService.recordFinished(
+          jobId,
+          JOB_STATUS.FAILED,
+          { error: error.message },
+          errorResponse,
+        );
       }
 
-      // Send RPC error response if applicable
-      if (
-        msg &&
-        channel &&
-        msg.properties &&
-        msg.properties.replyTo &&
-        msg.properties.correlationId
-      ) {
-        try {
-          const rpcErrorResponse = ResponseFormatter.rpcResponse(
-            msg.properties.correlationId,
-            null,
-            error,
-          );
-
-          channel.sendToQueue(
-            msg.properties.replyTo,
-            Buffer.from(JSON.stringify(rpcErrorResponse)),
-            { correlationId: msg.properties.correlationId },
-          );
-        } catch (rpcError) {
-          logger.error(
-            `Failed to send RPC error response: ${rpcError.message}`,
-          );
+      if (msg && !abortSignal?.aborted) {
+        // Retrying cannot fix a message the job never started from
+        if (!activeJobId) {
+          error.permanent = true;
+        }
+        if (!transport.willRetry(msg, error)) {
+          this.sendReply(transport, request, null, error);
         }
+        throw error;
       }
 
+      // Send RPC error response if applicable
+      this.sendReply(transport, request, null, error);
+
       return {
         success: false,
         error: error.message,
         jobId: job.id || job.jobId,
         timestamp: new Date().toISOString(),
       };
+    } finally {
+      const activeJob = activeJobId && this.activeJobs.get(activeJobId);
+      if (activeJob) {
+        clearTimeout(activeJob.timeoutTimer);
+        this.activeJobs.delete(activeJobId);
+        activeJob.markCompleted();
+      }
     }
   }
 
+  /**
+   * Turn a Joi error into an error listing every offending field
+   * @param {string} jobType The job type
+   * @param {Object} joiError Joi validation error
+   * @returns {Error} Error with a validationErrors list
+   */
+  createValidationError(jobType, joiError) {
+    const validationErrors = joiError.details.map((detail) => ({
+      field: `parameters.${detail.path.join(".")}`,
+      message: detail.message,
+      type: detail.type,
+    }));
+
+    const error = new Error(
+      `Invalid ${jobType} payload: ${validationErrors.map((detail) => detail.message).join("; ")}`,
+    );
+    error.validationErrors = validationErrors;
+    return error;
+  }
+
+  /**
+   * Short-circuit a redelivered job that is already running or has finished
+   * @param {string} jobId The job ID
+   * @param {string} jobType The job type
+   * @param {Object} transport Transport the duplicate arrived on
+   * @param {Object} request Request handle used for replies
+   * @returns {Promise<Object|null>} Cached result, or null if the job is new
+   */
+  async handleDuplicateJob(jobId, jobType, transport, request) {
+    // Read-only jobs are cheap and should always return fresh data
+    if (jobType === ALL_JOB_TYPES.LIST_SERVICES) {
+      return null;
+    }
+
+    const activeJob = this.activeJobs.get(jobId);
+    if (activeJob) {
+      // The original delivery publishes the result; wait for it so this
+      // delivery can still answer its RPC request
+      logger.warn(
+        `Job ${jobId} was redelivered while still running, waiting for it to finish`,
+      );
+      await activeJob.completion;
+
+      const response = jobJournalService.getFinishedResponse(jobId);
+      if (response) {
+        this.sendReply(transport, request, response);
+      }
+      return response || ResponseFormatter.processing(jobId, jobType);
+    }
+
+    const cachedResponse = jobJournalService.getFinishedResponse(jobId);
+    if (!cachedResponse) {
+      return null;
+    }
+
+    // A retry of a failed attempt has to run the job again
+    const isRetry = request.msg?.properties?.headers?.["x-retry-count"];
+    if (isRetry && cachedResponse.status === JOB_STATUS.FAILED) {
+      logger.info(`Retrying job ${jobId} after a failed attempt`);
+      return null;
+    }
+
+    logger.warn(
+      `Job ${jobId} was already processed with status ${cachedResponse.status}, re-publishing its result`,
+    );
+
+    try {
+      await transport.publishResult({
+        jobId,
+        status: cachedResponse.status,
+        result: cachedResponse.result,
+        error: cachedResponse.error?.message || undefined,
+      });
+    } catch (error) {
+      logger.warn(`Failed to re-publish cached result: ${error.message}`);
+    }
+
+    this.sendReply(transport, request, cachedResponse);
+    return cachedResponse;
+  }
+
+  /**
+   * Reply to the request a job came from, if it asked for a reply
+   * @param {Object} transport Transport the job arrived on
+   * @param {Object} request Request handle ({ msg, channel, requestId })
+   * @param {Object|null} formattedResult Standardized job result
+   * @param {Error|null} [error] Error to report instead of a result
+   */
+  sendReply(transport, request, formattedResult, error = null) {
+    const correlationId =
+      request.msg?.properties?.correlationId || request.requestId;
+    if (!correlationId) {
+      return;
+    }
+
+    transport.sendReply(
+      request,
+      ResponseFormatter.rpcResponse(correlationId, formattedResult, error),
+    );
+  }
+
+  /**
+   * Run a job that has been given a scheduler slot
+   * @param {Object} job The normalized job
+   * @param {string} jobType The job type
+   * @param {Object} context Handler context (adapter, transport, request, reply)
+   * @param {AbortController} abortController Controller for the job's signal
+   * @returns {Promise<Object|null>} Handler result, or null if the job was aborted
+   */
+  async runJob(job, jobType, context, abortController) {
+    if (abortController.signal.aborted) {
+      return null;
+    }
+
+    // The time limit covers running the job, not waiting in the queue
+    const timeoutMs = this.getJobTimeout(jobType);
+    const activeJob = this.activeJobs.get(job.id);
+    activeJob.startedAt = new Date().toISOString();
+    activeJob.timeoutTimer = setTimeout(() => {
+      const timeoutError = new Error(
+        `Job exceeded its ${timeoutMs / 1000}s time limit`,
+      );
+      timeoutError.status = JOB_STATUS.TIMEOUT;
+      logger.warn(`Job ${job.id} (${jobType}) timed out`);
+      abortController.abort(timeoutError);
+    }, timeoutMs);
+
+    await this.logJobStart(job.id, jobType, context.transport);
+    await jobJournalService.recordStarted(job.id);
+
+    const handlerPromise = this.routeJobToHandler(job, jobType, {
+      ...context,
+      signal: abortController.signal,
+    });
+    handlerPromise.catch((handlerError) => {
+      if (abortController.signal.aborted) {
+        logger.debug(
+          `Handler for aborted job ${job.id} failed: ${handlerError.message}`,
+        );
+      }
+    });
+
+    // Handlers that honor the signal clean up before returning
+    if (jobHandlerRegistry.isCancellable(jobType)) {
+      return await handlerPromise;
+    }
+
+    // For the others the abort is reported right away, but the job keeps its
+    // slot and entry until the handler returns, so the concurrency limits
+    // hold and a redelivery cannot run next to it
+    const result = await Promise.race([
+      handlerPromise,
+      this.waitForAbort(abortController.signal),
+    ]);
+    if (abortController.signal.aborted) {
+      await this.reportAbortedJob(
+        job.id,
+        jobType,
+        abortController.signal,
+        context.transport,
+      );
+      await handlerPromise.catch(() => {});
+    }
+    return result;
+  }
+
+  /**
+   * Get the time limit for a job type
+   * @param {string} jobType The job type
+   * @returns {number} Timeout in milliseconds
+   */
+  getJobTimeout(jobType) {
+    if (config.jobs.timeouts[jobType]) {
+      return config.jobs.timeouts[jobType];
+    }
+
+    if (
+      jobType === ALL_JOB_TYPES.DEPLOY_APPLICATION ||
+      jobType === ALL_JOB_TYPES.DEPLOY_IMAGE ||
+      jobType === ALL_JOB_TYPES.ROLLBACK_APPLICATION
+    ) {
+      return config.deployment.timeout;
+    }
+
+    return config.jobs.defaultTimeout;
+  }
+
+  /**
+   * Create a promise that resolves once the signal is aborted
+   * @param {AbortSignal} signal Job abort signal
+   * @returns {Promise<null>} Promise resolved on abort
+   */
+  waitForAbort(signal) {
+    return new Promise((resolve) => {
+      signal.addEventListener("abort", () => resolve(null), { once: true });
+    });
+  }
+
+  /**
+   * Report a cancelled or timed out job once, whether the abort is noticed
+   * by the job or by its abandoned handler first
+   * @param {string} jobId The job ID
+   * @param {string} jobType The job type
+   * @param {AbortSignal} signal The aborted job signal
+   * @param {Object} [transport] Transport to report on
+   * @returns {Promise<Object>} Formatted result
+   */
+  reportAbortedJob(jobId, jobType, signal, transport = queueService) {
+    const activeJob = this.activeJobs.get(jobId);
+    if (!activeJob) {
+      return this.finishAbortedJob(jobId, jobType, signal, transport);
+    }
+
+    if (!activeJob.abortReport) {
+      activeJob.abortReport = this.finishAbortedJob(
+        jobId,
+        jobType,
+        signal,
+        transport,
+      );
+    }
+    return activeJob.abortReport;
+  }
+
+  /**
+   * Publish and journal the final result of a cancelled or timed out job
+   * @param {string} jobId The job ID
+   * @param {string} jobType The job type
+   * @param {AbortSignal} signal The aborted job signal
+   * @param {Object} [transport] Transport to report on
+   * @returns {Promise<Object>} Formatted result
+   */
+  async finishAbortedJob(jobId, jobType, signal, transport = queueService) {
+    const status = signal.reason?.status || JOB_STATUS.CANCELLED;
+    const reason = signal.reason?.message || "Job cancelled";
+    const lastStep = jobJournalService.getEntry(jobId)?.step || null;
+
+    const formattedResult =
+      status === JOB_STATUS.TIMEOUT
+        ? ResponseFormatter.timeout(jobId, jobType, reason, { lastStep })
+        : ResponseFormatter.cancelled(jobId, jobType, reason, { lastStep });
+
+    await this.publishJobAborted(jobId, status, reason, lastStep, transport);
+    await jobJournalService.recordFinished(
+      jobId,
+      status,
+      { reason, lastStep },
+      formattedResult,
+    );
+
+    return formattedResult;
+  }
+
   /**
    * Determine the type of job from various properties (legacy method)
    * @param {Object} job The job object
@@ -248,21 +749,22 @@ class CommandHandler {
    * Log the start of job processing
    * @param {string} jobId The job ID
    * @param {string} jobType The job type
+   * @param {Object} [transport] Transport to report on
    * @returns {Promise<void>}
    */
-  async logJobStart(jobId, jobType) {
+  async logJobStart(jobId, jobType, transport = queueService) {
     try {
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: jobId,
         content: `Starting job ${jobId} (${jobType})`,
         timestamp: new Date().toISOString(),
       });
 
-      await queueService.publishResult({
+      await transport.publishResult({
         jobId: jobId,
         status: "PROCESSING",
         result: {
-          message: `Agent ${queueService.serverId || "unknown"} is processing the job`,
+          message: `Agent ${config.serverId || "unknown"} is processing the job`,
           timestamp: new Date().toISOString(),
         },
       });
@@ -272,21 +774,55 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Publish the position of a job waiting for a scheduler slot
+   * @param {string} jobId The job ID
+   * @param {number} position 1-based position in the queue
+   * @param {number} queueLength Number of queued jobs in the same pool
+   * @param {Object} [transport] Transport to report on
+   * @returns {Promise<void>}
+   */
+  async publishQueuePosition(
+    jobId,
+    position,
+    queueLength,
+    transport = queueService,
+  ) {
+    try {
+      await transport.publishResult({
+        jobId: jobId,
+        status: JOB_STATUS.PENDING,
+        result: {
+          message: `Job is queued at position ${position} of ${queueLength}`,
+          queuePosition: position,
+          queueLength,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    } catch (error) {
+      logger.warn(`Failed to publish queue position: ${error.message}`);
+    }
+  }
+
   /**
    * Publish job failure information
    * @param {string} jobId The job ID
    * @param {Error} error The error object
+   * @param {Object} [transport] Transport to report on
    * @returns {Promise<void>}
    */
-  async publishJobFailure(jobId, error) {
+  async publishJobFailure(jobId, error, transport = queueService) {
     try {
-      await queueService.publishResult({
+      await transport.publishResult({
         jobId: jobId,
         status: "FAILED",
         error: error.message,
+        ...(error.validationErrors && {
+          result: { validationErrors: error.validationErrors },
+        }),
       });
 
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: jobId,
         content: `Job failed: ${error.message}`,
         timestamp: new Date().toISOString(),
@@ -296,76 +832,58 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Publish information about a cancelled or timed out job
+   * @param {string} jobId The job ID
+   * @param {string} status CANCELLED or TIMEOUT
+   * @param {string} reason Why the job was aborted
+   * @param {string|null} lastStep Last step the job reached
+   * @param {Object} [transport] Transport to report on
+   * @returns {Promise<void>}
+   */
+  async publishJobAborted(
+    jobId,
+    status,
+    reason,
+    lastStep,
+    transport = queueService,
+  ) {
+    try {
+      await transport.publishResult({
+        jobId: jobId,
+        status,
+        error: reason,
+        result: { lastStep },
+      });
+
+      await transport.publishLog({
+        jobId: jobId,
+        content: `Job ${status === JOB_STATUS.TIMEOUT ? "timed out" : "cancelled"}${lastStep ? ` during step "${lastStep}"` : ""}: ${reason}`,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (e) {
+      logger.error(`Failed to publish aborted job result: ${e.message}`);
+    }
+  }
+
   /**
    * Route the job to the appropriate handler based on job type
    * @param {Object} job The job object
    * @param {string} jobType The job type
-   * @param {Object} adapter Queue adapter for responses
-   * @param {Object} msg Raw AMQP message (optional)
-   * @param {Object} channel AMQP channel (optional)
+   * @param {Object} context Handler context (adapter, transport, request, reply, signal)
    * @returns {Promise<Object>} Processing result
    */
-  async routeJobToHandler(job, jobType, adapter, msg = null, channel = null) {
-    switch (jobType) {
-      // Deployment commands - standardized
-      case ALL_JOB_TYPES.DEPLOY_APPLICATION:
-        return await this.handleDeploymentJob(job, adapter);
-
-      // System management
-      case ALL_JOB_TYPES.LIST_SERVICES:
-        return await this.handleListServicesJob(job, adapter, msg, channel);
-
-      // Container log streaming
-      case ALL_JOB_TYPES.STREAM_CONTAINER_LOGS:
-        return await this.handleStreamContainerLogsJob(
-          job,
-          adapter,
-          msg,
-          channel,
-        );
-
-      case "stop_container_log_stream": // Special case - not in constants yet
-        return await this.handleStopContainerLogStreamJob(
-          job,
-          adapter,
-          msg,
-          channel,
-        );
-
-      // Database commands - standardized
-      case ALL_JOB_TYPES.INSTALL_DATABASE:
-      case ALL_JOB_TYPES.CREATE_DATABASE:
-      case ALL_JOB_TYPES.INSTALL_DATABASE_SYSTEM:
-        return await this.handleDatabaseJob(job, adapter, "install");
-
-      case ALL_JOB_TYPES.BACKUP_DATABASE:
-        return await this.handleDatabaseJob(job, adapter, "backup");
-
-      case ALL_JOB_TYPES.RESTORE_DATABASE:
-        return await this.handleDatabaseJob(job, adapter, "restore");
-
-      case ALL_JOB_TYPES.UPDATE_DATABASE_CREDENTIALS:
-      case ALL_JOB_TYPES.UPDATE_MONGODB_CREDENTIALS:
-        return await this.handleMongoCredentialsUpdateJob(job, adapter);
-
-      // Repository/Git commands - standardized
-      case ALL_JOB_TYPES.CLONE_REPOSITORY:
-      case ALL_JOB_TYPES.UPDATE_REPOSITORY:
-        return await this.handleRepositoryJob(job, adapter);
-
-      // Handle other command types
-      default:
-        logger.warn(`Unknown job type: ${jobType}`);
-        throw new Error(`Unsupported job type: ${jobType}`);
-    }
+  async routeJobToHandler(job, jobType, context) {
+    return await jobHandlerRegistry.dispatch(jobType, job, context);
   }
 
   /**
-   * Create a WebSocket-like adapter for queue responses
+   * Create a WebSocket-like adapter that reports through a transport
    * @param {string} jobId The job ID
+   * @param {Object} transport Transport the job arrived on
    * @returns {Object} WebSocket-like object
    */
-  createQueueAdapter(jobId) {
+  createTransportAdapter(jobId, transport) {
     return {
       readyState: 1, // Simulating OPEN WebSocket state
       send: async (data) => {
@@ -392,7 +910,7 @@ class CommandHandler {
                 resultStatus = "FAILED";
               }
 
-              await queueService.publishResult({
+              await transport.publishResult({
                 jobId: jobId,
                 status: resultStatus,
                 result: message,
@@ -400,7 +918,7 @@ class CommandHandler {
               });
 
               // Also log the status update
-              await queueService.publishLog({
+              await transport.publishLog({
                 jobId: jobId,
                 content:
                   message.message || `Deployment status: ${message.status}`,
@@ -412,14 +930,14 @@ class CommandHandler {
             case "database_installation_failed":
             case "database_operation_completed":
               // Handle database operation status
-              await queueService.publishResult({
+              await transport.publishResult({
                 jobId: jobId,
                 status: message.success === false ? "FAILED" : "SUCCESS",
                 result: message,
                 error: message.error || null,
               });
 
-              await queueService.publishLog({
+              await transport.publishLog({
                 jobId: jobId,
                 content: `Database operation ${message.success === false ? "failed" : "completed"}: ${JSON.stringify(message)}`,
                 timestamp: new Date().toISOString(),
@@ -428,13 +946,13 @@ class CommandHandler {
 
             case "error":
               // Handle error messages
-              await queueService.publishResult({
+              await transport.publishResult({
                 jobId: jobId,
                 status: "FAILED",
                 error: message.error || "Unknown error",
               });
 
-              await queueService.publishLog({
+              await transport.publishLog({
                 jobId: jobId,
                 content: `Error: ${message.error || "Unknown error"}`,
                 timestamp: new Date().toISOString(),
@@ -443,7 +961,7 @@ class CommandHandler {
 
             case "log":
               // Send log message
-              await queueService.publishLog({
+              await transport.publishLog({
                 jobId: jobId,
                 content:
                   message.content || message.message || JSON.stringify(message),
@@ -454,7 +972,7 @@ class CommandHandler {
 
             default:
               // For other message types, publish as log
-              await queueService.publishLog({
+              await transport.publishLog({
                 jobId: jobId,
                 content: `Agent message: ${JSON.stringify(message)}`,
                 timestamp: new Date().toISOString(),
@@ -462,19 +980,19 @@ class CommandHandler {
           }
         } catch (error) {
           logger.error(
-            `Error processing message in queue adapter: ${error.message}`,
+            `Error processing message in transport adapter: ${error.message}`,
           );
 
           // Try to publish error as log
           try {
-            await queueService.publishLog({
+            await transport.publishLog({
               jobId: jobId,
               content: `Error processing message: ${error.message}`,
               timestamp: new Date().toISOString(),
             });
 
             // Also publish as result for visibility
-            await queueService.publishResult({
+            await transport.publishResult({
               jobId: jobId,
               status: "FAILED",
               error: `Message processing error: ${error.message}`,
@@ -490,73 +1008,91 @@ class CommandHandler {
   /**
    * Handle deployment related jobs
    * @param {Object} job The job object
-   * @param {Object} adapter Queue adapter for responses
+   * @param {Object} context Handler context
+   * @param {Object} context.adapter Transport adapter for responses
+   * @param {AbortSignal} [context.signal] Signal fired when the job is cancelled
+   * @param {Object} context.transport Transport the job arrived on
    * @returns {Promise<Object>} Result of the deployment job
    */
-  async handleDeploymentJob(job, adapter) {
+  async handleDeploymentJob(job, { adapter, signal = null, transport }) {
     try {
       logger.info(`Processing deployment job: ${job.id || job.jobId}`);
 
-      if (job.parameters) {
-        // Handle job in core format (with parameters object)
-        await queueService.publishLog({
-          jobId: job.id,
-          content: `Starting deployment from ${job.parameters.repositoryUrl}`,
-          timestamp: new Date().toISOString(),
-        });
+      const params = job.parameters;
 
-        // Generate a proper deploymentId from the job ID
-        const jobId = job.id;
-        const deploymentId = job.parameters.deploymentId;
-
-        const message = {
-          type: "deploy_app",
-          requestId: jobId,
-          payload: {
-            deploymentId: deploymentId, // Use the properly formatted deploymentId
-            jobId: jobId, // Keep track of the original jobId too
-            appType: job.parameters.appType || "nodejs",
-            repositoryUrl: job.parameters.repositoryUrl,
-            branch: job.parameters.branch,
-            githubToken: job.parameters.githubToken,
-            environment: job.parameters.environment || "production",
-            // Use serviceName directly or fall back to legacy appName field for backward compatibility
-            serviceName: job.parameters.serviceName || job.parameters.appName,
-            // Domain is optional - will be generated from serviceName if not provided
-            domain: job.parameters.domain,
-            envVarsToken: job.parameters.envVarsToken,
-            // Flag to enable auto-detection of app type if needed
-            autoDetectAppType: true,
-          },
-        };
+      await transport.publishLog({
+        jobId: job.id,
+        content: `Starting deployment from ${params.image || params.repositoryUrl}`,
+        timestamp: new Date().toISOString(),
+      });
 
-        // Route to appropriate controller based on app type
-        if (
-          message.payload.appType?.toLowerCase() === "mongodb" ||
-          message.payload.appType?.toLowerCase() === "mongo"
-        ) {
-          await databaseController.handleDatabaseDeployment(
-            message.payload,
-            adapter,
-          );
-        } else {
-          await deployController.handleDeployApp(message, adapter);
-        }
+      const message = {
+        type: "deploy_app",
+        requestId: job.id,
+        payload: {
+          deploymentId: params.deploymentId,
+          jobId: job.id, // Keep track of the original jobId too
+          projectId: params.projectId,
+          appType: params.appType,
+          repositoryUrl: params.repositoryUrl,
+          // deploy_image jobs run a prebuilt image instead of a repository
+          image: params.image,
+          registryCredentials: params.registryCredentials,
+          pushImage: params.pushImage,
+          buildStrategy: params.buildStrategy,
+          composeService: params.composeService,
+          noCache: params.noCache,
+          branch: params.branch,
+          commitSha: params.commitSha,
+          tag: params.tag,
+          gitProvider: params.gitProvider,
+          gitToken: params.gitToken,
+          gitUsername: params.gitUsername,
+          sshKey: params.sshKey,
+          environment: params.environment,
+          serviceName: params.serviceName,
+          // Domain is optional - will be generated from serviceName if not provided
+          domain: params.domain,
+          envVarsToken: params.envVarsToken,
+          additionalPorts: params.additionalPorts,
+          preDeploy: params.preDeploy,
+          postDeploy: params.postDeploy,
+          healthCheck: params.healthCheck,
+          rollout: params.rollout,
+          replicas: params.replicas,
+          resources: params.resources,
+          volumes: params.volumes,
+          // Flag to enable auto-detection of app type if needed
+          autoDetectAppType: true,
+        },
+      };
+
+      // Route to appropriate controller based on app type
+      if (
+        message.payload.appType.toLowerCase() === "mongodb" ||
+        message.payload.appType.toLowerCase() === "mongo"
+      ) {
+        await databaseController.handleDatabaseDeployment(
+          message.payload,
+          adapter,
+        );
       } else {
-        // Handle job in controller format (flat object)
-        const deploymentParams = {
-          repositoryUrl: job.repositoryUrl || job.repoUrl,
-          branch: job.branch,
-          deploymentId: job.deploymentId || job.id || job.jobId,
-          projectName: job.projectName || job.name,
-          environmentName:
-            job.environmentName || job.environment || "production",
-          configOptions: job.config || job.configOptions || {},
-          forceRebuild: job.forceRebuild || false,
-        };
+        const outcome = await deployController.handleDeployApp(
+          message,
+          adapter,
+          { signal, transport },
+        );
 
-        // Call deployment controller
-        await deployController.deployApplication(deploymentParams, adapter);
+        // The deployer reports its own failures; the job still has to fail
+        if (outcome && outcome.success === false) {
+          return {
+            success: false,
+            jobId: job.id || job.jobId,
+            error: outcome.message,
+            result: outcome.result,
+            timestamp: new Date().toISOString(),
+          };
+        }
       }
 
       return {
@@ -581,58 +1117,192 @@ class CommandHandler {
     }
   }
 
+  /**
+   * Handle rollback_application jobs
+   * @param {Object} job The job object
+   * @param {Object} context Handler context
+   * @param {AbortSignal} [context.signal] Signal fired when the job is cancelled
+   * @param {Object} context.transport Transport the job arrived on
+   * @returns {Promise<Object>} Restored release and container details
+   */
+  async handleRollbackJob(job, { signal = null, transport }) {
+    const params = job.parameters;
+
+    await transport.publishLog({
+      jobId: job.id,
+      content: `Rolling back ${params.serviceName} to ${params.deploymentId ? `release ${params.deploymentId}` : "the previous release"}`,
+      timestamp: new Date().toISOString(),
+    });
+
+    const result = await deployController.handleRollback(
+      {
+        serviceName: params.serviceName,
+        deploymentId: params.deploymentId,
+        environment: params.environment,
+        domain: params.domain,
+        projectId: params.projectId,
+        jobId: job.id,
+      },
+      { signal },
+    );
+
+    await transport.publishResult({
+      jobId: job.id,
+      status: JOB_STATUS.SUCCESS,
+      result,
+    });
+    await transport.publishLog({
+      jobId: job.id,
+      content: result.message,
+      timestamp: new Date().toISOString(),
+    });
+
+    return {
+      success: true,
+      jobId: job.id,
+      message: result.message,
+      result,
+    };
+  }
+
+  /**
+   * Handle list_releases jobs
+   * @param {Object} job The job object
+   * @returns {Promise<Object>} Releases of the service, newest first
+   */
+  async handleListReleasesJob(job) {
+    const { serviceName, limit } = job.parameters;
+    const releases = await deployController.listReleases(serviceName, limit);
+
+    return {
+      success: true,
+      jobId: job.id,
+      message: `Found ${releases.length} release(s) of ${serviceName}`,
+      result: { serviceName, releases, count: releases.length },
+    };
+  }
+
+  /**
+   * Handle remove_application_volumes jobs, sent when a service is deleted.
+   * Volumes still in use by a container are reported as failed.
+   * @param {Object} job The job object
+   * @returns {Promise<Object>} Removed volumes and their backups
+   */
+  async handleRemoveApplicationVolumesJob(job) {
+    const { serviceName, backup } = job.parameters;
+    const result = await volumeService.removeVolumes(serviceName, { backup });
+
+    return {
+      success: result.failed.length === 0,
+      jobId: job.id,
+      message: `Removed ${result.removed.length} volume(s) of ${serviceName}${result.failed.length > 0 ? `, ${result.failed.length} could not be removed` : ""}`,
+      result: { serviceName, ...result },
+    };
+  }
+
+  /**
+   * Handle update_registry_credentials jobs. The credentials are checked with
+   * a docker login before they are stored.
+   * @param {Object} job The job object
+   * @returns {Promise<Object>} Registries the agent holds credentials for
+   */
+  async handleUpdateRegistryCredentialsJob(job) {
+    const { registry, username, password } = job.parameters;
+
+    await registryCredentialService.withRegistryLogin(
+      registry,
+      { username, password },
+      async () => {},
+    );
+    await registryCredentialService.setCredentials(registry, {
+      username,
+      password,
+    });
+
+    return {
+      success: true,
+      jobId: job.id,
+      message: `Stored credentials for registry ${registry}`,
+      result: { registries: await registryCredentialService.listRegistries() },
+    };
+  }
+
+  /**
+   * Handle remove_registry_credentials jobs
+   * @param {Object} job The job object
+   * @returns {Promise<Object>} Registries the agent still holds credentials for
+   */
+  async handleRemoveRegistryCredentialsJob(job) {
+    const { registry } = job.parameters;
+    const removed = await registryCredentialService.removeCredentials(registry);
+
+    return {
+      success: true,
+      jobId: job.id,
+      message: removed
+        ? `Removed credentials for registry ${registry}`
+        : `No credentials stored for registry ${registry}`,
+      result: { registries: await registryCredentialService.listRegistries() },
+    };
+  }
+
+  /**
+   * Handle cancel_job command
+   * @param {Object} job The job object with the ID of the job to cancel
+   * @returns {Promise<Object>} Result of the cancellation request
+   */
+  async handleCancelJob(job) {
+    const { targetJobId, reason } = job.parameters;
+
+    const activeJob = this.activeJobs.get(targetJobId);
+    if (!activeJob) {
+      throw new Error(`No running job found with ID ${targetJobId}`);
+    }
+
+    // Any job can be dropped while it is still waiting for a slot
+    const queued = jobScheduler.isQueued(targetJobId);
+    if (!queued && !jobHandlerRegistry.isCancellable(activeJob.jobType)) {
+      throw new Error(
+        `Job ${targetJobId} (${activeJob.jobType}) does not support cancellation`,
+      );
+    }
+
+    logger.info(`Cancelling job ${targetJobId} (${activeJob.jobType})`);
+    const cancelError = new Error(reason);
+    cancelError.status = JOB_STATUS.CANCELLED;
+    activeJob.abortController.abort(cancelError);
+
+    return {
+      success: true,
+      jobId: job.id || job.jobId,
+      message: `Cancellation requested for job ${targetJobId}`,
+      data: {
+        targetJobId,
+        jobType: activeJob.jobType,
+        queued,
+        reason,
+      },
+      timestamp: new Date().toISOString(),
+    };
+  }
+
   /**
    * Handle database related jobs
    * @param {Object} job The job object
    * @param {Object} adapter Queue adapter for responses
-   * @param {string} [defaultOperation="install"] Default operation if not specified
+   * @param {AbortSignal} [signal] Signal fired when the job times out
    * @returns {Promise<Object>} Result of the database job
    */
-  async handleDatabaseJob(job, adapter, defaultOperation = "install") {
+  async handleDatabaseJob(job, adapter, signal = null) {
     try {
       logger.info(`Processing database job: ${job.id || job.jobId}`);
 
-      // Standardize the job structure based on known patterns
-      let dbParams;
-
-      // Check which format we're dealing with
-      if (job.parameters) {
-        // Core command handler format (parameters object)
-        logger.info("Processing job in core format (parameters object)");
-        dbParams = {
-          operation: defaultOperation,
-          dbType: job.parameters.dbType,
-          dbName: job.parameters.dbName,
-          username: job.parameters.username,
-          password: job.parameters.password,
-          options: job.parameters.options || {},
-          installationId: job.id,
-          backupPath: job.parameters.backupPath,
-        };
-      } else {
-        // Controller format (flat object)
-        logger.info("Processing job in controller format (flat object)");
-        dbParams = {
-          operation: job.operation || job.operationType || defaultOperation,
-          dbType: job.databaseType || job.dbType,
-          dbName: job.databaseName || job.name || job.dbName,
-          username: job.credentials?.username || job.username,
-          password: job.credentials?.password || job.password,
-          options: job.options || {},
-          installationId: job.id || job.jobId,
-          backupPath: job.backupPath,
-        };
-      }
-
-      // Validate required parameters
-      const requiredParams = ["dbType", "dbName", "installationId"];
-      const missingParams = requiredParams.filter((param) => !dbParams[param]);
-
-      if (missingParams.length > 0) {
-        throw new Error(
-          `Missing required database parameters: ${missingParams.join(", ")}`,
-        );
-      }
+      const dbParams = {
+        ...job.parameters,
+        installationId: job.id,
+        // Kills the install and uninstall commands when the job times out
+        signal,
+      };
 
       logger.info(
         `Database operation: ${dbParams.operation} on ${dbParams.dbType} database: ${dbParams.dbName}`,
@@ -656,7 +1326,7 @@ class CommandHandler {
         JSON.stringify({
           type: "database_operation_failed",
           status: "failed",
-          operation: job.operation || defaultOperation,
+          operation: job.parameters.operation,
           error: error.message,
         }),
       );
@@ -675,16 +1345,7 @@ class CommandHandler {
     try {
       logger.info(`Processing repository job: ${job.id || job.jobId}`);
 
-      // Map job parameters to repository controller format
-      const repoParams = {
-        operation:
-          job.operation || (job.jobType === "repo_clone" ? "clone" : "pull"),
-        repositoryUrl:
-          job.parameters?.repositoryUrl || job.repositoryUrl || job.repoUrl,
-        branch: job.parameters?.branch || job.branch,
-        targetPath: job.parameters?.targetPath || job.targetPath || job.path,
-        credentials: job.parameters?.credentials || job.credentials || {},
-      };
+      const repoParams = job.parameters;
 
       // Call repository controller
       const result = await repositoryController.processRepositoryOperation(
@@ -707,7 +1368,7 @@ class CommandHandler {
         JSON.stringify({
           type: "repo_operation_failed",
           status: "failed",
-          operation: job.operation || "unknown",
+          operation: job.parameters.operation,
           error: error.message,
         }),
       );
@@ -719,12 +1380,14 @@ class CommandHandler {
   /**
    * Handle service installation job
    * @param {Object} job The job object
-   * @param {Object} adapter Queue adapter for responses
+   * @param {Object} context Handler context
+   * @param {Object} context.adapter Transport adapter for responses
+   * @param {Object} context.transport Transport the job arrived on
    * @returns {Promise<Object>} Result
    */
-  async handleServiceInstallation(job, adapter) {
+  async handleServiceInstallation(job, { adapter, transport }) {
     try {
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: job.id || job.jobId,
         content: `Starting installation of ${job.parameters?.serviceType || "unknown"} service`,
         timestamp: new Date().toISOString(),
@@ -751,12 +1414,14 @@ class CommandHandler {
   /**
    * Handle service restart job
    * @param {Object} job The job object
-   * @param {Object} adapter Queue adapter for responses
+   * @param {Object} context Handler context
+   * @param {Object} context.adapter Transport adapter for responses
+   * @param {Object} context.transport Transport the job arrived on
    * @returns {Promise<Object>} Result
    */
-  async handleServiceRestart(job, adapter) {
+  async handleServiceRestart(job, { adapter, transport }) {
     try {
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: job.id || job.jobId,
         content: `Starting restart of service ${job.parameters?.serviceName || "unknown"}`,
         timestamp: new Date().toISOString(),
@@ -783,12 +1448,14 @@ class CommandHandler {
   /**
    * Handle firewall configuration job
    * @param {Object} job The job object
-   * @param {Object} adapter Queue adapter for responses
+   * @param {Object} context Handler context
+   * @param {Object} context.adapter Transport adapter for responses
+   * @param {Object} context.transport Transport the job arrived on
    * @returns {Promise<Object>} Result
    */
-  async handleFirewallConfiguration(job, adapter) {
+  async handleFirewallConfiguration(job, { adapter, transport }) {
     try {
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: job.id || job.jobId,
         content: `Starting firewall configuration with ${job.parameters?.rules?.length || 0} rules`,
         timestamp: new Date().toISOString(),
@@ -815,24 +1482,13 @@ class CommandHandler {
   /**
    * Handle list_services RPC request
    * @param {Object} job The job object
-   * @param {Object} adapter Queue adapter for responses
-   * @param {Object} msg Raw AMQP message
-   * @param {Object} channel AMQP channel
+   * @param {Object} context Handler context
+   * @param {Function} context.reply Sends a direct reply to the requester
    * @returns {Promise<Object>} Result of listing services
    */
-  async handleListServicesJob(job, adapter, msg, channel) {
+  async handleListServicesJob(job, { reply }) {
     try {
       logger.info(`Processing list_services request`);
-      logger.info(`Incoming msg.properties:, ${JSON.stringify(msg)}`);
-      if (
-        !msg ||
-        !channel ||
-        !msg.properties ||
-        !msg.properties.replyTo ||
-        !msg.properties.correlationId
-      ) {
-        throw new Error("Missing RPC metadata (replyTo or correlationId)");
-      }
 
       // Use child_process to run docker ps command
       const { exec } = require("child_process");
@@ -845,18 +1501,12 @@ class CommandHandler {
         if (error) {
           logger.error(`Error executing docker ps: ${error.message}`);
 
-          // Send error response back on the replyTo queue
-          channel.sendToQueue(
-            msg.properties.replyTo,
-            Buffer.from(
-              JSON.stringify({
-                success: false,
-                error: `Failed to list containers: ${error.message}`,
-                timestamp: new Date().toISOString(),
-              }),
-            ),
-            { correlationId: msg.properties.correlationId },
-          );
+          // Send error response back to the requester
+          reply({
+            success: false,
+            error: `Failed to list containers: ${error.message}`,
+            timestamp: new Date().toISOString(),
+          });
 
           return;
         }
@@ -885,16 +1535,10 @@ class CommandHandler {
           timestamp: new Date().toISOString(),
         };
 
-        // Send response back to the replyTo queue with the correlationId
-        channel.sendToQueue(
-          msg.properties.replyTo,
-          Buffer.from(JSON.stringify(response)),
-          { correlationId: msg.properties.correlationId },
-        );
-
-        logger.info(
-          `Sent container list to ${msg.properties.replyTo} with correlationId ${msg.properties.correlationId}`,
-        );
+        // Send response back to the requester
+        if (reply(response)) {
+          logger.info(`Sent container list for job ${job.id}`);
+        }
       });
 
       // Return a success response to the agent's job processing system
@@ -908,31 +1552,11 @@ class CommandHandler {
       logger.error(`list_services job failed: ${error.message}`);
 
       // Try to send RPC error response
-      if (
-        msg &&
-        channel &&
-        msg.properties &&
-        msg.properties.replyTo &&
-        msg.properties.correlationId
-      ) {
-        try {
-          channel.sendToQueue(
-            msg.properties.replyTo,
-            Buffer.from(
-              JSON.stringify({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString(),
-              }),
-            ),
-            { correlationId: msg.properties.correlationId },
-          );
-        } catch (rpcError) {
-          logger.error(
-            `Failed to send RPC error response: ${rpcError.message}`,
-          );
-        }
-      }
+      reply({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
 
       throw error;
     }
@@ -941,47 +1565,30 @@ class CommandHandler {
   /**
    * Handle MongoDB credentials update job
    * @param {Object} job The job object
-   * @param {Object} adapter Queue adapter for responses
+   * @param {Object} context Handler context
+   * @param {Object} context.adapter Transport adapter for responses
+   * @param {Object} context.transport Transport the job arrived on
    * @returns {Promise<Object>} Result of the credentials update
    */
-  async handleMongoCredentialsUpdateJob(job, adapter) {
+  async handleMongoCredentialsUpdateJob(job, { adapter, transport }) {
     try {
       logger.info(
         `Processing MongoDB credentials update job: ${job.id || job.jobId}`,
       );
 
-      // Extract parameters
-      const params = job.parameters || {};
+      const params = job.parameters;
       const jobId = job.id || job.jobId;
 
       // Log the start of the operation
-      await queueService.publishLog({
+      await transport.publishLog({
         jobId: jobId,
         content: `Starting MongoDB credentials update for database: ${params.dbName}`,
         timestamp: new Date().toISOString(),
       });
 
-      // Validate required parameters
-      const requiredParams = [
-        "databaseId",
-        "dbName",
-        "username",
-        "password",
-        "adminUser",
-        "adminPassword",
-      ];
-      const missingParams = requiredParams.filter((param) => !params[param]);
-
-      if (missingParams.length > 0) {
-        throw new Error(
-          `Missing required parameters: ${missingParams.join(", ")}`,
-        );
-      }
-
       // MongoDB connection configuration
       const { MongoClient } = require("mongodb");
-      const port = params.port || 27017;
-      const host = params.host || "localhost";
+      const { port, host } = params;
       const adminUri = `mongodb://${params.adminUser}:${encodeURIComponent(params.adminPassword)}@${host}:${port}/admin?directConnection=true`;
 
       logger.info(
@@ -1084,39 +1691,28 @@ class CommandHandler {
   /**
    * Handle stream_container_logs command
    * @param {Object} job The job object with container log streaming parameters
-   * @param {Object} adapter Queue adapter for responses
-   * @param {Object} msg Raw AMQP message
-   * @param {Object} channel AMQP channel
+   * @param {Object} context Handler context
+   * @param {Object} context.request Request handle the job arrived with
+   * @param {Function} context.reply Sends a direct reply to the requester
    * @returns {Promise<Object>} Result of starting log stream
    */
-  async handleStreamContainerLogsJob(job, adapter, msg, channel) {
+  async handleStreamContainerLogsJob(job, { request, reply }) {
     try {
       logger.info(
-        `Processing stream_container_logs request for container ${job.containerId || job.parameters?.containerId}`,
+        `Processing stream_container_logs request for container ${job.parameters.containerId}`,
       );
 
       // Import the containerLogService
       const containerLogService = require("../services/containerLogService");
 
-      // Extract parameters - support both flat structure and parameters object
-      const containerId = job.containerId || job.parameters?.containerId;
-      const streamId = job.streamId || job.parameters?.streamId;
-      const options = job.options || job.parameters?.options || {};
-
-      // Use correlationId from the message for routing log chunks
-      const correlationId = msg?.properties?.correlationId;
+      const { containerId, streamId, options } = job.parameters;
 
-      // Validate required parameters
-      if (!containerId) {
-        throw new Error("Missing required parameter: containerId");
-      }
-
-      if (!streamId) {
-        throw new Error("Missing required parameter: streamId");
-      }
+      // Use the request's correlation ID for routing log chunks
+      const correlationId =
+        request.msg?.properties?.correlationId || request.requestId;
 
       if (!correlationId) {
-        throw new Error("Missing correlationId from message properties");
+        throw new Error("Missing correlationId or requestId for the request");
       }
 
       logger.info(
@@ -1132,16 +1728,8 @@ class CommandHandler {
       });
 
       // Send response if this was an RPC request
-      if (msg && channel && msg.properties && msg.properties.replyTo) {
-        channel.sendToQueue(
-          msg.properties.replyTo,
-          Buffer.from(JSON.stringify(result)),
-          { correlationId: correlationId },
-        );
-
-        logger.info(
-          `Sent log stream start response to ${msg.properties.replyTo}`,
-        );
+      if (reply(result)) {
+        logger.info(`Sent log stream start response for ${streamId}`);
       }
 
       return result;
@@ -1149,31 +1737,11 @@ class CommandHandler {
       logger.error(`Failed to start container log stream: ${error.message}`);
 
       // Send error response if this was an RPC request
-      if (
-        msg &&
-        channel &&
-        msg.properties &&
-        msg.properties.replyTo &&
-        msg.properties.correlationId
-      ) {
-        try {
-          channel.sendToQueue(
-            msg.properties.replyTo,
-            Buffer.from(
-              JSON.stringify({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString(),
-              }),
-            ),
-            { correlationId: msg.properties.correlationId },
-          );
-        } catch (rpcError) {
-          logger.error(
-            `Failed to send RPC error response: ${rpcError.message}`,
-          );
-        }
-      }
+      reply({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
 
       throw error;
     }
@@ -1182,28 +1750,21 @@ class CommandHandler {
   /**
    * Handle stop_container_log_stream command
    * @param {Object} job The job object with stream ID to stop
-   * @param {Object} adapter Queue adapter for responses
-   * @param {Object} msg Raw AMQP message
-   * @param {Object} channel AMQP channel
+   * @param {Object} context Handler context
+   * @param {Object} context.request Request handle the job arrived with
+   * @param {Function} context.reply Sends a direct reply to the requester
    * @returns {Promise<Object>} Result of stopping log stream
    */
-  async handleStopContainerLogStreamJob(job, adapter, msg, channel) {
+  async handleStopContainerLogStreamJob(job, { request, reply }) {
     try {
-      // Extract parameters - support both flat structure and parameters object
-      const streamId = job.streamId || job.parameters?.streamId;
-      const reason =
-        job.reason || job.parameters?.reason || "Stream stopped by request";
+      const { streamId, reason } = job.parameters;
 
-      // Use correlationId from the message for routing log chunks
-      const correlationId = msg?.properties?.correlationId;
-
-      // Validate required parameters
-      if (!streamId) {
-        throw new Error("Missing required parameter: streamId");
-      }
+      // Use the request's correlation ID for routing log chunks
+      const correlationId =
+        request.msg?.properties?.correlationId || request.requestId;
 
       if (!correlationId) {
-        throw new Error("Missing correlationId from message properties");
+        throw new Error("Missing correlationId or requestId for the request");
       }
 
       logger.info(
@@ -1221,16 +1782,8 @@ class CommandHandler {
       );
 
       // Send response if this was an RPC request
-      if (msg && channel && msg.properties && msg.properties.replyTo) {
-        channel.sendToQueue(
-          msg.properties.replyTo,
-          Buffer.from(JSON.stringify(result)),
-          { correlationId: correlationId },
-        );
-
-        logger.info(
-          `Sent log stream stop response to ${msg.properties.replyTo}`,
-        );
+      if (reply(result)) {
+        logger.info(`Sent log stream stop response for ${streamId}`);
       }
 
       return result;
@@ -1238,31 +1791,11 @@ class CommandHandler {
       logger.error(`Failed to stop container log stream: ${error.message}`);
 
       // Send error response if this was an RPC request
-      if (
-        msg &&
-        channel &&
-        msg.properties &&
-        msg.properties.replyTo &&
-        msg.properties.correlationId
-      ) {
-        try {
-          channel.sendToQueue(
-            msg.properties.replyTo,
-            Buffer.from(
-              JSON.stringify({
-                success: false,
-                error: error.message,
-                timestamp: new Date().toISOString(),
-              }),
-            ),
-            { correlationId: msg.properties.correlationId },
-          );
-        } catch (rpcError) {
-          logger.error(
-            `Failed to send RPC error response: ${rpcError.message}`,
-          );
-        }
-      }
+      reply({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString(),
+      });
 
       throw error;
     }
@@ -1271,43 +1804,17 @@ class CommandHandler {
   /**
    * Parse repository owner from repository URL
    * @param {string} repositoryUrl Repository URL
-   * @returns {string} Repository owner
+   * @returns {string} Repository owner, including any subgroups
    */
   parseRepositoryOwner(repositoryUrl) {
-    try {
-      // Handle different Git URL formats
-      if (repositoryUrl.includes("github.com")) {
-        // GitHub URL format: https://github.com/owner/repo.git or git@github.com:owner/repo.git
-        const ownerRepoPart = repositoryUrl
-          .split("github.com")[1]
-          .replace(":", "/")
-          .split("/");
-        return ownerRepoPart[1];
-      } else if (repositoryUrl.includes("gitlab.com")) {
-        // GitLab URL format: https://gitlab.com/owner/repo.git or git@gitlab.com:owner/repo.git
-        const ownerRepoPart = repositoryUrl
-          .split("gitlab.com")[1]
-          .replace(":", "/")
-          .split("/");
-        return ownerRepoPart[1];
-      } else if (repositoryUrl.includes("bitbucket.org")) {
-        // Bitbucket URL format: https://bitbucket.org/owner/repo.git or git@bitbucket.org:owner/repo.git
-        const ownerRepoPart = repositoryUrl
-          .split("bitbucket.org")[1]
-          .replace(":", "/")
-          .split("/");
-        return ownerRepoPart[1];
-      } else {
-        // Generic approach for other Git providers
-        const parts = repositoryUrl.split("/");
-        return parts[parts.length - 2];
-      }
-    } catch (error) {
+    const repository = parseRepositoryUrl(repositoryUrl);
+    if (!repository) {
       logger.warn(
-        `Could not parse repository owner from URL ${repositoryUrl}: ${error.message}`,
+        `Could not parse repository owner from URL ${redactRepositoryUrl(repositoryUrl)}`,
       );
       return "unknown";
     }
+    return repository.owner;
   }
 
   /**
@@ -1316,17 +1823,14 @@ class CommandHandler {
    * @returns {string} Repository name
    */
   parseRepositoryName(repositoryUrl) {
-    try {
-      // Extract the repository name from the URL and remove .git extension if present
-      const parts = repositoryUrl.split("/");
-      const repoNameWithExt = parts[parts.length - 1];
-      return repoNameWithExt.replace(".git", "");
-    } catch (error) {
+    const repository = parseRepositoryUrl(repositoryUrl);
+    if (!repository) {
       logger.warn(
-        `Could not parse repository name from URL ${repositoryUrl}: ${error.message}`,
+        `Could not parse repository name from URL ${redactRepositoryUrl(repositoryUrl)}`,
       );
       return "unknown";
     }
+    return repository.name;
   }
 }
 
@@ -7,6 +7,8 @@
 const logger = require("../../utils/logger");
 const ZeroDowntimeDeployer = require("../../modules/zeroDowntimeDeployer");
 const config = require("../config");
+const releaseLedgerService = require("../services/releaseLedgerService");
+const { redactRepositoryUrl } = require("../utils/gitRemote");
 
 class DeployController {
   constructor() {
@@ -28,8 +30,12 @@ class DeployController {
    * Handle deploy app message.
    * @param {Object} message - Deploy app message.
    * @param {WebSocket} ws - WebSocket connection to respond on.
+   * @param {Object} [options] - Deployment options.
+   * @param {AbortSignal} [options.signal] - Signal fired when the job is cancelled.
+   * @param {Object} [options.transport] - Transport that receives build logs and progress.
+   * @returns {Promise<Object>} Deployment outcome (success, message, result).
    */
-  async handleDeployApp(message, ws) {
+  async handleDeployApp(message, ws, options = {}) {
     const { payload } = message;
 
     try {
@@ -43,11 +49,14 @@ class DeployController {
       // Initialize deployer if not already done
       const deployer = this.getDeployer();
 
-      // All deployments now use GitHub token authentication
-      logger.info("Deploying with GitHub App authentication");
+      logger.info(
+        payload.image
+          ? `Deploying prebuilt image ${payload.image}`
+          : `Deploying from repository ${redactRepositoryUrl(payload.repositoryUrl)}`,
+      );
 
       // Start deployment process
-      await deployer.deploy(payload, ws);
+      return await deployer.deploy(payload, ws, options);
     } catch (error) {
       logger.error(`Deployment failed: ${error.message}`, error);
 
@@ -62,23 +71,73 @@ class DeployController {
           }),
         );
       }
+
+      return { success: false, message: error.message };
     }
   }
 
+  /**
+   * Roll a service back to one of its retained releases.
+   * @param {Object} payload - Rollback payload (serviceName, deploymentId, ...).
+   * @param {Object} [options] - Rollback options.
+   * @param {AbortSignal} [options.signal] - Signal fired when the job is cancelled.
+   * @returns {Promise<Object>} Restored release and container details.
+   */
+  async handleRollback(payload, options = {}) {
+    logger.info(
+      `Starting rollback of ${payload.serviceName} to ${payload.deploymentId || "the previous release"}`,
+    );
+    return await this.getDeployer().rollback(payload, options);
+  }
+
+  /**
+   * List the recorded releases of a service, newest first.
+   * @param {string} serviceName - Base service name.
+   * @param {number} [limit] - Maximum number of releases to return.
+   * @returns {Promise<Array<Object>>} Releases, each flagged with whether its
+   *   image is still available for a rollback.
+   */
+  async listReleases(serviceName, limit = 20) {
+    const deployer = this.getDeployer();
+    const releases = await releaseLedgerService.getReleases(serviceName);
+
+    let retainedImages = null;
+    try {
+      retainedImages = new Set(
+        (await deployer.listReleaseImages(serviceName)).map(
+          (release) => release.image,
+        ),
+      );
+    } catch (error) {
+      logger.warn(
+        `Could not list release images of ${serviceName}: ${error.message}`,
+      );
+    }
+
+    return releases.slice(0, limit).map((release) => ({
+      ...release,
+      imageAvailable: retainedImages
+        ? retainedImages.has(release.image)
+        : !release.imagePruned,
+    }));
+  }
+
   /**
    * Validate deployment payload contains all required fields
    * @param {Object} payload - Deployment payload
    * @throws {Error} If validation fails
    */
   validateDeployPayload(payload) {
-    const requiredFields = [
-      "deploymentId",
-      "serviceName",
-      "repositoryUrl",
-      "appType",
-      "githubToken",
-      "envVarsToken",
-    ];
+    // Prebuilt images replace the repository
+    const requiredFields = payload.image
+      ? ["deploymentId", "serviceName", "image", "envVarsToken"]
+      : [
+          "deploymentId",
+          "serviceName",
+          "repositoryUrl",
+          "appType",
+          "envVarsToken",
+        ];
 
     const missingFields = requiredFields.filter((field) => !payload[field]);
 
@@ -87,8 +146,6 @@ class DeployController {
         `Missing required deployment fields: ${missingFields.join(", ")}`,
       );
     }
-
-    // No need to check for sshKey or isPrivate - we're only supporting githubToken now
   }
 }
 
@@ -2,21 +2,25 @@
  * Message Handler
  *
  * Processes incoming WebSocket messages and routes them
- * to the appropriate handlers.
+ * to the appropriate handlers. Messages named after a registered job action
+ * type run through the command handler, exactly like jobs from the queue.
  */
 
 const logger = require("../../utils/logger");
 const deployController = require("./deployController");
 const databaseController = require("./databaseController");
 const repositoryController = require("./repositoryController");
+const jobHandlerRegistry = require("../services/jobHandlerRegistry");
 
 class MessageHandler {
   /**
    * Handle incoming messages from the backend.
    * @param {Object} message - The message object.
    * @param {WebSocket} ws - The WebSocket connection object.
+   * @param {Object} [transport] - Service the message arrived on, used to
+   *   report on jobs (publishResult, publishLog, sendReply).
    */
-  handleMessage(message, ws) {
+  handleMessage(message, ws, transport = null) {
     // Log detailed message information for debugging
     try {
       const messagePayloadStr = JSON.stringify(message.payload || {});
@@ -100,13 +104,47 @@ class MessageHandler {
           break;
 
         default:
-          this.handleUnknownMessageType(message, ws);
+          if (transport && jobHandlerRegistry.has(message.type)) {
+            this.handleJobMessage(message, transport);
+          } else {
+            this.handleUnknownMessageType(message, ws);
+          }
       }
     } catch (error) {
       this.handleMessageError(error, message, ws);
     }
   }
 
+  /**
+   * Run a job received over the WebSocket through the command handler.
+   * @param {Object} message - Message whose type is a job action type.
+   * @param {Object} transport - Service the message arrived on.
+   * @returns {Promise<Object>} Job result.
+   * @throws {Error} If the message carries neither a job ID nor a request ID.
+   */
+  handleJobMessage(message, transport) {
+    // Required here to avoid a circular dependency with the command handler
+    const commandHandler = require("./commandHandler");
+    const payload = message.payload || {};
+
+    // Jobs are tracked, journaled and cancelled by their ID
+    const jobId = message.jobId || payload.jobId || message.requestId;
+    if (!jobId) {
+      throw new Error(`${message.type} job has no jobId or requestId`);
+    }
+
+    const job = {
+      id: jobId,
+      requestId: message.requestId || null,
+      actionType: message.type,
+      priority: message.priority ?? payload.priority,
+      parameters: payload.parameters || payload,
+    };
+
+    logger.info(`Running ${message.type} job ${job.id} from WebSocket`);
+    return commandHandler.processJob(job, null, null, transport);
+  }
+
   /**
    * Handle registration acknowledgement from the backend.
    * @param {Object} message - The message object.
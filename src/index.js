@@ -21,6 +21,7 @@ function ensureDirectoriesExist() {
     config.paths.certs,
     config.paths.cache,
     config.paths.temp,
+    config.paths.jobs,
   ];
 
   for (const dir of directories) {
@@ -7,15 +7,14 @@
 
 const axios = require("axios");
 const fs = require("fs").promises;
-const crypto = require("crypto");
 const logger = require("../../utils/logger");
 const config = require("../config");
 const websocketService = require("./websocketService");
 const enhancedWebSocketService = require("./enhancedWebSocketService");
 const queueService = require("./queueService");
+const { encryptData } = require("../utils/encryption");
 
 // Constants
-const CRYPTO_ALGORITHM = "aes-256-cbc";
 const RABBITMQ_CREDENTIALS_PATH =
   process.env.RABBITMQ_CREDENTIALS_PATH ||
   "/opt/cloudlunacy/rabbitmq-credentials";
@@ -181,20 +180,14 @@ class AuthenticationService {
               // Start consuming messages from the command queue
               logger.info("Setting up command queue consumer");
               this.commandConsumer = await queueService.consumeCommands(
-                async (job, msg, channel) => {
-                  try {
-                    // Pass the job, message and channel to the command handler for processing
-                    await require("../controllers/commandHandler").processJob(
-                      job,
-                      msg,
-                      channel,
-                    );
-                  } catch (error) {
-                    logger.error(
-                      `Error processing job from queue: ${error.message}`,
-                    );
-                  }
-                },
+                // Failed jobs throw so the queue service can retry or
+                // dead-letter them
+                (job, msg, channel) =>
+                  require("../controllers/commandHandler").processJob(
+                    job,
+                    msg,
+                    channel,
+                  ),
               );
 
               if (this.commandConsumer) {
@@ -311,7 +304,7 @@ class AuthenticationService {
       const encryptionKey = await this.getEncryptionKey();
 
       // Encrypt the connection URL before storing it
-      const encryptedCredentials = this.encryptData(rabbitmqUrl, encryptionKey);
+      const encryptedCredentials = encryptData(rabbitmqUrl, encryptionKey);
 
       // Save encrypted connection URL with restricted permissions
       await fs.writeFile(RABBITMQ_CREDENTIALS_PATH, encryptedCredentials, {
@@ -359,30 +352,6 @@ class AuthenticationService {
     }
   }
 
-  /**
-   * Encrypt data using the encryption key
-   * @param {string} data - Data to encrypt
-   * @param {string} encryptionKey - Encryption key
-   * @returns {string} Encrypted data as hex string
-   */
-  encryptData(data, encryptionKey) {
-    // Generate a secure IV
-    const iv = crypto.randomBytes(16);
-
-    // Create a key from the encryption key using SHA-256
-    const key = crypto.createHash("sha256").update(encryptionKey).digest();
-
-    // Create cipher
-    const cipher = crypto.createCipheriv(CRYPTO_ALGORITHM, key, iv);
-
-    // Encrypt
-    let encrypted = cipher.update(data, "utf8", "hex");
-    encrypted += cipher.final("hex");
-
-    // Return IV + encrypted data (IV is needed for decryption)
-    return iv.toString("hex") + encrypted;
-  }
-
   /**
    * Store a secret in a secure secrets manager
    * @param {string} key - Secret key
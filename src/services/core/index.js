@@ -13,6 +13,10 @@ const websocketService = require("../websocketService");
 const metricsService = require("../metricsService");
 const mongodbService = require("../mongodbService");
 const queueService = require("../queueService");
+const jobJournalService = require("../jobJournalService");
+const releaseLedgerService = require("../releaseLedgerService");
+const registryCredentialService = require("../registryCredentialService");
+const jobScheduler = require("../jobScheduler");
 const commandHandler = require("../../core/commandHandler");
 
 /**
@@ -37,7 +41,28 @@ async function initializeServices() {
       );
     }
 
-    // Step 3: Initialize command handler
+    // Step 3: Initialize job journal and command handler
+    const journalInitialized = await jobJournalService.initialize();
+    if (!journalInitialized) {
+      logger.warn(
+        "Job journal initialization failed, interrupted jobs will not be recovered",
+      );
+    }
+
+    const ledgerInitialized = await releaseLedgerService.initialize();
+    if (!ledgerInitialized) {
+      logger.warn(
+        "Release ledger initialization failed, release history is unavailable",
+      );
+    }
+
+    const registriesInitialized = await registryCredentialService.initialize();
+    if (!registriesInitialized) {
+      logger.warn(
+        "Registry credentials could not be loaded, private registries are unavailable",
+      );
+    }
+
     const commandHandlerInitialized = await commandHandler.initialize();
     if (!commandHandlerInitialized) {
       logger.warn(
@@ -63,6 +88,12 @@ async function initializeServices() {
       // Start sending heartbeats
       queueService.startHeartbeats();
 
+      // Report (or resume) jobs interrupted by the previous agent run before
+      // consuming new commands
+      await jobJournalService.recoverInterruptedJobs((job) =>
+        commandHandler.processJob(job),
+      );
+
       // Setup command processor
       await setupCommandProcessor();
     }
@@ -289,6 +320,10 @@ module.exports = {
     metrics: metricsService,
     mongodb: mongodbService,
     queue: queueService,
+    jobJournal: jobJournalService,
+    releaseLedger: releaseLedgerService,
+    registryCredentials: registryCredentialService,
+    jobScheduler: jobScheduler,
     commandHandler: commandHandler,
   },
 };
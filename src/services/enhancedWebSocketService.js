@@ -9,6 +9,8 @@
  * - Heartbeat mechanism (every 30 seconds)
  * - Automatic reconnection with exponential backoff
  * - Real-time metrics reporting
+ * - Job results, logs and replies for jobs received over the socket, using
+ *   the same transport methods as the queue service
  */
 
 const WebSocket = require("ws");
@@ -16,6 +18,7 @@ const EventEmitter = require("events");
 const os = require("os");
 const logger = require("../../utils/logger");
 const config = require("../config");
+const jobHandlerRegistry = require("./jobHandlerRegistry");
 
 class EnhancedWebSocketService extends EventEmitter {
   constructor() {
@@ -42,19 +45,20 @@ class EnhancedWebSocketService extends EventEmitter {
     this.pingIntervalMs = 20000; // 20 seconds
     this.pingTimeoutMs = 5000; // 5 seconds
 
-    // Agent capabilities and metadata
-    this.agentCapabilities = [
-      "deployment",
-      "docker",
-      "mongodb",
-      "metrics",
-      "logs",
-    ];
+    // Agent metadata; capabilities come from the registered job handlers
     this.agentVersion = process.env.AGENT_VERSION || "1.0.0";
     this.serverId = process.env.SERVER_ID;
     this.websocketToken = null;
   }
 
+  /**
+   * Capabilities advertised to the backend
+   * @returns {Array<string>} Capability names
+   */
+  get agentCapabilities() {
+    return ["metrics", ...jobHandlerRegistry.getCapabilities()];
+  }
+
   /**
    * Initialize the enhanced WebSocket service
    */
@@ -201,7 +205,7 @@ class EnhancedWebSocketService extends EventEmitter {
         default:
           // Forward to existing message handler for compatibility
           const messageHandler = require("../controllers/messageHandler");
-          messageHandler.handleMessage(message, this.ws);
+          messageHandler.handleMessage(message, this.ws, this);
       }
     } catch (error) {
       logger.error(`Error parsing WebSocket message: ${error.message}`);
@@ -451,6 +455,53 @@ class EnhancedWebSocketService extends EventEmitter {
     }
   }
 
+  /**
+   * Publish a job result
+   * @param {Object} result Job result ({ jobId, status, result, error })
+   * @returns {Promise<boolean>} Success status
+   */
+  async publishResult(result) {
+    return this.sendMessage({
+      type: "job_result",
+      ...result,
+      serverId: config.serverId,
+      vpsId: config.serverId,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Publish a job log message
+   * @param {Object} logMessage Log message ({ jobId, content, level })
+   * @returns {Promise<boolean>} Success status
+   */
+  async publishLog(logMessage) {
+    return this.sendMessage({
+      type: "job_log",
+      ...logMessage,
+      serverId: config.serverId,
+      timestamp: logMessage.timestamp || new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Send a direct reply to a request received over the socket
+   * @param {Object} request Request handle ({ requestId }) the job arrived with
+   * @param {Object} payload Reply payload
+   * @returns {boolean} True if the reply was sent
+   */
+  sendReply(request, payload) {
+    if (!request?.requestId) {
+      return false;
+    }
+
+    return this.sendMessage({
+      type: "job_response",
+      requestId: request.requestId,
+      payload,
+    });
+  }
+
   /**
    * Send status update
    */
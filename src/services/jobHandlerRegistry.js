@@ -0,0 +1,166 @@
+/**
+ * Job Handler Registry
+ *
+ * Single place where action types are declared. Each registration carries
+ * the handler that runs the job, an optional Joi schema for its parameters and
+ * the capabilities the agent advertises because it can run it.
+ */
+
+const logger = require("../../utils/logger");
+
+class JobHandlerRegistry {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register a handler for an action type
+   * @param {Object} definition Handler definition
+   * @param {string} definition.actionType Action type, e.g. "deploy_application"
+   * @param {Function} definition.handler Called with (job, context) where context
+   *   holds { adapter, msg, channel, signal, transport, request, reply }
+   * @param {Object} [definition.schema] Joi schema for the job parameters
+   * @param {Function} [definition.canonicalize] Called with (job, parameters) to
+   *   fold legacy field names into the parameters the schema expects
+   * @param {Array<string>} [definition.capabilities] Capabilities advertised to the backend
+   * @param {boolean} [definition.cancellable] Whether the handler stops when its signal fires
+   * @returns {JobHandlerRegistry} The registry, for chaining
+   */
+  register(definition) {
+    const {
+      actionType,
+      handler,
+      schema = null,
+      canonicalize = null,
+      capabilities = [],
+      cancellable = false,
+    } = definition;
+
+    if (!actionType || typeof handler !== "function") {
+      throw new Error("A job handler needs an actionType and a handler");
+    }
+
+    if (this.handlers.has(actionType)) {
+      logger.warn(`Replacing existing handler for job type ${actionType}`);
+    }
+
+    this.handlers.set(actionType, {
+      actionType,
+      handler,
+      schema,
+      canonicalize,
+      capabilities,
+      cancellable,
+    });
+    return this;
+  }
+
+  /**
+   * Get the registration for an action type
+   * @param {string} actionType Action type
+   * @returns {Object|null} Registration or null if unknown
+   */
+  get(actionType) {
+    return this.handlers.get(actionType) || null;
+  }
+
+  /**
+   * Check whether an action type is registered
+   * @param {string} actionType Action type
+   * @returns {boolean} True if a handler exists
+   */
+  has(actionType) {
+    return this.handlers.has(actionType);
+  }
+
+  /**
+   * Check whether a job of this type can be cancelled while it runs
+   * @param {string} actionType Action type
+   * @returns {boolean} True if the handler honors its abort signal
+   */
+  isCancellable(actionType) {
+    return this.get(actionType)?.cancellable === true;
+  }
+
+  /**
+   * Get all registered action types
+   * @returns {Array<string>} Action types
+   */
+  getActionTypes() {
+    return Array.from(this.handlers.keys());
+  }
+
+  /**
+   * Get the capabilities required by the registered handlers
+   * @returns {Array<string>} Unique capability names
+   */
+  getCapabilities() {
+    const capabilities = new Set();
+    for (const registration of this.handlers.values()) {
+      registration.capabilities.forEach((capability) =>
+        capabilities.add(capability),
+      );
+    }
+    return Array.from(capabilities);
+  }
+
+  /**
+   * Canonicalize a job's parameters and validate them against the schema of
+   * its action type
+   * @param {string} actionType Action type
+   * @param {Object} job Job payload
+   * @returns {{value: Object, error: Object|null}} Job with canonical parameters and Joi error
+   */
+  validate(actionType, job) {
+    const registration = this.get(actionType);
+    if (!registration || !registration.schema) {
+      return { value: job, error: null };
+    }
+
+    const parameters = registration.canonicalize
+      ? registration.canonicalize(job, job.parameters || {})
+      : job.parameters || {};
+
+    const { value, error } = registration.schema.validate(parameters, {
+      abortEarly: false,
+      allowUnknown: true,
+    });
+    if (error) {
+      return { value: job, error };
+    }
+
+    return { value: { ...job, parameters: value }, error: null };
+  }
+
+  /**
+   * Run the handler registered for an action type
+   * @param {string} actionType Action type
+   * @param {Object} job Job payload
+   * @param {Object} context Handler context (see register)
+   * @returns {Promise<Object>} Handler result
+   */
+  async dispatch(actionType, job, context) {
+    const registration = this.get(actionType);
+    if (!registration) {
+      throw this.createUnsupportedError(actionType);
+    }
+
+    return await registration.handler(job, context);
+  }
+
+  /**
+   * Create the error reported for an action type nobody registered
+   * @param {string} actionType Action type
+   * @returns {Error} Error that should not be retried
+   */
+  createUnsupportedError(actionType) {
+    logger.warn(`Unknown job type: ${actionType}`);
+    const error = new Error(
+      `Unsupported job type: ${actionType}. Supported types: ${this.getActionTypes().join(", ")}`,
+    );
+    error.permanent = true;
+    return error;
+  }
+}
+
+module.exports = new JobHandlerRegistry();
@@ -0,0 +1,407 @@
+/**
+ * Job Journal Service
+ *
+ * Persists the lifecycle of every job (received, started, step reached,
+ * finished) to disk so that jobs interrupted by an agent restart can be
+ * reported to the backend and, when safe, resumed. Finished entries keep the
+ * job's response so redelivered jobs are answered without running again.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("../../utils/logger");
+const config = require("../config");
+const queueService = require("./queueService");
+const { ALL_JOB_TYPES, JOB_STATUS } = require("../constants/jobTypes");
+
+// Lifecycle states recorded in the journal
+const JOURNAL_STATES = {
+  RECEIVED: "RECEIVED",
+  STARTED: "STARTED",
+  FINISHED: "FINISHED",
+  INTERRUPTED: "INTERRUPTED",
+};
+
+// Job types that can safely be executed again from the start
+const RESUMABLE_JOB_TYPES = new Set([
+  ALL_JOB_TYPES.DEPLOY_APPLICATION,
+  ALL_JOB_TYPES.DEPLOY_IMAGE,
+  ALL_JOB_TYPES.CLONE_REPOSITORY,
+  ALL_JOB_TYPES.UPDATE_REPOSITORY,
+]);
+
+class JobJournalService {
+  constructor() {
+    this.journalDir = config.paths.jobs;
+    this.entries = new Map();
+    // Unfinished jobs left behind by the previous agent run
+    this.unfinishedAtStartup = new Set();
+    // Per-job write chains so concurrent updates land on disk in order
+    this.writeChains = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the journal and load existing entries from disk
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      logger.info("Initializing job journal...");
+
+      await fs.mkdir(this.journalDir, { recursive: true });
+
+      const files = await fs.readdir(this.journalDir);
+      const retentionCutoff = Date.now() - config.jobs.journalRetention;
+
+      for (const file of files) {
+        if (!file.endsWith(".json")) {
+          continue;
+        }
+
+        const filePath = path.join(this.journalDir, file);
+        try {
+          const entry = JSON.parse(await fs.readFile(filePath, "utf8"));
+
+          // Drop terminal entries that are past the retention window
+          if (
+            entry.state !== JOURNAL_STATES.RECEIVED &&
+            entry.state !== JOURNAL_STATES.STARTED &&
+            new Date(entry.updatedAt).getTime() < retentionCutoff
+          ) {
+            await fs.rm(filePath, { force: true });
+            continue;
+          }
+
+          this.entries.set(entry.jobId, entry);
+          if (
+            entry.state === JOURNAL_STATES.RECEIVED ||
+            entry.state === JOURNAL_STATES.STARTED
+          ) {
+            this.unfinishedAtStartup.add(entry.jobId);
+          }
+        } catch (readError) {
+          logger.warn(
+            `Discarding unreadable job journal entry ${file}: ${readError.message}`,
+          );
+          await fs.rm(filePath, { force: true });
+        }
+      }
+
+      await this.pruneFinishedEntries();
+
+      this.initialized = true;
+      logger.info(`Job journal loaded with ${this.entries.size} entries`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to initialize job journal: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Record that a job was received by the agent
+   * @param {Object} job Normalized job object
+   * @param {string} jobType Resolved job type
+   * @returns {Promise<void>}
+   */
+  async recordReceived(job, jobType) {
+    const now = new Date().toISOString();
+
+    // A redelivered job is running again, so it no longer needs recovery
+    this.unfinishedAtStartup.delete(job.id);
+
+    await this.writeEntry({
+      jobId: job.id,
+      jobType,
+      state: JOURNAL_STATES.RECEIVED,
+      step: null,
+      // Only resumable jobs need their payload to be replayed after a restart
+      job: RESUMABLE_JOB_TYPES.has(jobType) ? job : null,
+      receivedAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Record that a job has been dispatched to its handler
+   * @param {string} jobId The job ID
+   * @returns {Promise<void>}
+   */
+  async recordStarted(jobId) {
+    await this.updateEntry(jobId, {
+      state: JOURNAL_STATES.STARTED,
+      startedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record the last step a job has reached
+   * @param {string} jobId The job ID
+   * @param {string} step Step name (e.g. "clone", "build")
+   * @returns {Promise<void>}
+   */
+  async recordStep(jobId, step) {
+    if (!jobId || !this.entries.has(jobId)) {
+      return;
+    }
+
+    await this.updateEntry(jobId, { step });
+  }
+
+  /**
+   * Record that a job has finished
+   * @param {string} jobId The job ID
+   * @param {string} status Final job status (see JOB_STATUS)
+   * @param {Object} [result] Final result sent to the backend
+   * @param {Object} [response] Formatted response, replayed for duplicate deliveries
+   * @returns {Promise<void>}
+   */
+  async recordFinished(jobId, status, result = null, response = null) {
+    await this.updateEntry(jobId, {
+      state: JOURNAL_STATES.FINISHED,
+      status,
+      result,
+      response,
+      // The payload may carry tokens, so drop it once it is no longer needed
+      job: null,
+      finishedAt: new Date().toISOString(),
+    });
+
+    await this.pruneFinishedEntries();
+  }
+
+  /**
+   * Get the response of a job that has already finished
+   * @param {string} jobId The job ID
+   * @returns {Object|null} Formatted response or null if the job has not finished
+   */
+  getFinishedResponse(jobId) {
+    const entry = this.getEntry(jobId);
+    if (entry?.state !== JOURNAL_STATES.FINISHED) {
+      return null;
+    }
+
+    return entry.response || null;
+  }
+
+  /**
+   * Drop the oldest finished entries once the journal holds too many
+   * @private
+   * @returns {Promise<void>}
+   */
+  async pruneFinishedEntries() {
+    const finished = Array.from(this.entries.values()).filter(
+      (entry) => entry.state === JOURNAL_STATES.FINISHED,
+    );
+    const excess = finished.length - config.jobs.journalMaxEntries;
+    if (excess <= 0) {
+      return;
+    }
+
+    finished.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+
+    for (const entry of finished.slice(0, excess)) {
+      this.entries.delete(entry.jobId);
+      await (this.writeChains.get(entry.jobId) || Promise.resolve());
+      await fs.rm(this.getEntryPath(entry.jobId), { force: true });
+    }
+  }
+
+  /**
+   * Get a journal entry
+   * @param {string} jobId The job ID
+   * @returns {Object|null} Journal entry or null if unknown
+   */
+  getEntry(jobId) {
+    return this.entries.get(jobId) || null;
+  }
+
+  /**
+   * Check whether a job was reported as interrupted after a restart
+   * @param {string} jobId The job ID
+   * @returns {boolean} True if the job was interrupted
+   */
+  isInterrupted(jobId) {
+    return this.getEntry(jobId)?.state === JOURNAL_STATES.INTERRUPTED;
+  }
+
+  /**
+   * Get the jobs the previous agent run received or started but never finished
+   * @returns {Array<Object>} Interrupted journal entries
+   */
+  getInterruptedJobs() {
+    return Array.from(this.unfinishedAtStartup)
+      .map((jobId) => this.entries.get(jobId))
+      .filter(Boolean);
+  }
+
+  /**
+   * Report jobs interrupted by the previous agent run and optionally resume them
+   * @param {Function} [resumeHandler] Called with the journaled job to resume it
+   * @returns {Promise<number>} Number of interrupted jobs found
+   */
+  async recoverInterruptedJobs(resumeHandler = null) {
+    const interruptedJobs = this.getInterruptedJobs();
+
+    if (interruptedJobs.length === 0) {
+      logger.info("No interrupted jobs found in job journal");
+      return 0;
+    }
+
+    logger.warn(
+      `Found ${interruptedJobs.length} job(s) interrupted by the previous agent run`,
+    );
+
+    for (const entry of interruptedJobs) {
+      this.unfinishedAtStartup.delete(entry.jobId);
+
+      const canResume =
+        config.jobs.resumeInterrupted &&
+        typeof resumeHandler === "function" &&
+        RESUMABLE_JOB_TYPES.has(entry.jobType) &&
+        entry.job;
+
+      if (canResume) {
+        logger.info(
+          `Resuming interrupted job ${entry.jobId} (${entry.jobType}), last step: ${entry.step || "none"}`,
+        );
+
+        await queueService.publishLog({
+          jobId: entry.jobId,
+          content: `Agent restarted during step "${entry.step || "startup"}", resuming job`,
+          timestamp: new Date().toISOString(),
+        });
+
+        // Resume in the background so startup is not blocked by a deployment
+        Promise.resolve()
+          .then(() => resumeHandler(entry.job))
+          .catch((error) => {
+            logger.error(
+              `Failed to resume job ${entry.jobId}: ${error.message}`,
+            );
+          });
+        continue;
+      }
+
+      await this.markInterrupted(entry);
+    }
+
+    return interruptedJobs.length;
+  }
+
+  /**
+   * Mark a job as interrupted and publish a terminal result for it
+   * @param {Object} entry Journal entry
+   * @returns {Promise<void>}
+   */
+  async markInterrupted(entry) {
+    const error = `Job interrupted by agent restart during step "${entry.step || entry.state.toLowerCase()}"`;
+
+    logger.warn(`Job ${entry.jobId} (${entry.jobType}): ${error}`);
+
+    try {
+      await queueService.publishResult({
+        jobId: entry.jobId,
+        status: JOB_STATUS.FAILED,
+        error,
+        result: {
+          reason: JOURNAL_STATES.INTERRUPTED,
+          jobType: entry.jobType,
+          lastStep: entry.step,
+          receivedAt: entry.receivedAt,
+          timestamp: new Date().toISOString(),
+        },
+      });
+
+      await queueService.publishLog({
+        jobId: entry.jobId,
+        content: error,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (publishError) {
+      logger.error(
+        `Failed to report interrupted job ${entry.jobId}: ${publishError.message}`,
+      );
+    }
+
+    await this.updateEntry(entry.jobId, {
+      state: JOURNAL_STATES.INTERRUPTED,
+      status: JOB_STATUS.FAILED,
+      job: null,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Merge changes into an existing entry and persist it
+   * @private
+   * @param {string} jobId The job ID
+   * @param {Object} changes Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateEntry(jobId, changes) {
+    const entry = this.entries.get(jobId);
+    if (!entry) {
+      return;
+    }
+
+    await this.writeEntry({
+      ...entry,
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Persist an entry atomically (write to a temp file, then rename)
+   * @private
+   * @param {Object} entry Journal entry
+   * @returns {Promise<void>}
+   */
+  async writeEntry(entry) {
+    this.entries.set(entry.jobId, entry);
+
+    const filePath = this.getEntryPath(entry.jobId);
+    const previous = this.writeChains.get(entry.jobId) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      try {
+        await fs.writeFile(tempPath, JSON.stringify(entry, null, 2), {
+          encoding: "utf8",
+          mode: 0o600, // Payloads may contain tokens
+        });
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        logger.warn(
+          `Failed to write job journal entry for ${entry.jobId}: ${error.message}`,
+        );
+      }
+    });
+
+    this.writeChains.set(entry.jobId, write);
+    await write;
+
+    if (this.writeChains.get(entry.jobId) === write) {
+      this.writeChains.delete(entry.jobId);
+    }
+  }
+
+  /**
+   * Get the on-disk path of a journal entry
+   * @private
+   * @param {string} jobId The job ID
+   * @returns {string} File path
+   */
+  getEntryPath(jobId) {
+    const safeId = String(jobId).replace(/[^a-zA-Z0-9_.-]/g, "_");
+    return path.join(this.journalDir, `${safeId}.json`);
+  }
+}
+
+module.exports = new JobJournalService();
@@ -0,0 +1,270 @@
+/**
+ * Job Scheduler
+ *
+ * Limits how many jobs the agent runs at once. Deployments and other heavy
+ * jobs share a small pool sized by MAX_CONCURRENT_DEPLOYMENTS, cheap jobs get
+ * their own pool, and jobs waiting for a slot are started in priority order.
+ */
+
+const logger = require("../../utils/logger");
+const config = require("../config");
+const { ALL_JOB_TYPES, JOB_PRIORITY } = require("../constants/jobTypes");
+
+// Jobs that build, pull or copy large amounts of data
+const HEAVY_JOB_TYPES = new Set([
+  ALL_JOB_TYPES.DEPLOY_APPLICATION,
+  ALL_JOB_TYPES.DEPLOY_IMAGE,
+  ALL_JOB_TYPES.ROLLBACK_APPLICATION,
+  ALL_JOB_TYPES.INSTALL_DATABASE,
+  ALL_JOB_TYPES.INSTALL_DATABASE_SYSTEM,
+  ALL_JOB_TYPES.BACKUP_DATABASE,
+  ALL_JOB_TYPES.RESTORE_DATABASE,
+  ALL_JOB_TYPES.CLONE_REPOSITORY,
+  ALL_JOB_TYPES.UPDATE_REPOSITORY,
+]);
+
+// Jobs that must never wait behind others
+const IMMEDIATE_JOB_TYPES = new Set([ALL_JOB_TYPES.CANCEL_JOB]);
+
+class JobScheduler {
+  constructor() {
+    this.pools = {
+      heavy: {
+        name: "heavy",
+        limit: Math.max(1, config.deployment.maxConcurrent),
+        running: 0,
+        queue: [],
+      },
+      light: {
+        name: "light",
+        limit: Math.max(1, config.jobs.maxConcurrent),
+        running: 0,
+        queue: [],
+      },
+    };
+    // Keeps jobs with equal priority in arrival order
+    this.sequence = 0;
+  }
+
+  /**
+   * Run a job as soon as a slot in its pool is free
+   * @param {Object} options Scheduling options
+   * @param {string} options.jobId The job ID
+   * @param {string} options.jobType The job type
+   * @param {number|string} [options.priority] Numeric priority or JOB_PRIORITY name
+   * @param {AbortSignal} [options.signal] Removes the job from the queue when aborted
+   * @param {Function} [options.onQueued] Called with (position, queueLength) while waiting
+   * @param {Function} task Async function that runs the job
+   * @returns {Promise<*>} Task result, or null if the job was aborted while queued
+   */
+  schedule(options, task) {
+    const { jobId, jobType, signal = null, onQueued = null } = options;
+
+    if (IMMEDIATE_JOB_TYPES.has(jobType)) {
+      return task();
+    }
+
+    const pool = this.getPool(jobType);
+
+    if (pool.running < pool.limit && pool.queue.length === 0) {
+      return this.run(pool, task);
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        jobId,
+        jobType,
+        priority: this.resolvePriority(options.priority),
+        sequence: this.sequence++,
+        task,
+        onQueued,
+        resolve,
+        reject,
+        lastReportedPosition: null,
+      };
+
+      if (signal) {
+        entry.removeAbortListener = () =>
+          signal.removeEventListener("abort", entry.onAbort);
+        entry.onAbort = () => {
+          if (this.removeFromQueue(pool, entry)) {
+            logger.info(
+              `Removed aborted job ${jobId} from the ${pool.name} queue`,
+            );
+            resolve(null);
+          }
+        };
+        signal.addEventListener("abort", entry.onAbort, { once: true });
+      }
+
+      pool.queue.push(entry);
+      pool.queue.sort(
+        (a, b) => b.priority - a.priority || a.sequence - b.sequence,
+      );
+
+      logger.info(
+        `Job ${jobId} (${jobType}) queued in ${pool.name} pool at position ${this.getQueuePosition(jobId)} (${pool.running}/${pool.limit} running)`,
+      );
+      this.reportQueuePositions(pool);
+    });
+  }
+
+  /**
+   * Run a task in a pool slot and start the next queued job when it ends
+   * @private
+   * @param {Object} pool Scheduler pool
+   * @param {Function} task Async function that runs the job
+   * @returns {Promise<*>} Task result
+   */
+  async run(pool, task) {
+    pool.running++;
+    try {
+      return await task();
+    } finally {
+      pool.running--;
+      this.drain(pool);
+    }
+  }
+
+  /**
+   * Start queued jobs while the pool has free slots
+   * @private
+   * @param {Object} pool Scheduler pool
+   */
+  drain(pool) {
+    let dispatched = false;
+
+    while (pool.running < pool.limit && pool.queue.length > 0) {
+      const entry = pool.queue.shift();
+      if (entry.removeAbortListener) {
+        entry.removeAbortListener();
+      }
+
+      dispatched = true;
+      logger.info(`Starting queued job ${entry.jobId} (${entry.jobType})`);
+      this.run(pool, entry.task).then(entry.resolve, entry.reject);
+    }
+
+    if (dispatched) {
+      this.reportQueuePositions(pool);
+    }
+  }
+
+  /**
+   * Remove an entry from its pool's queue
+   * @private
+   * @param {Object} pool Scheduler pool
+   * @param {Object} entry Queue entry
+   * @returns {boolean} True if the entry was still queued
+   */
+  removeFromQueue(pool, entry) {
+    const index = pool.queue.indexOf(entry);
+    if (index === -1) {
+      return false;
+    }
+
+    pool.queue.splice(index, 1);
+    this.reportQueuePositions(pool);
+    return true;
+  }
+
+  /**
+   * Tell waiting jobs whose place in the queue has changed
+   * @private
+   * @param {Object} pool Scheduler pool
+   */
+  reportQueuePositions(pool) {
+    pool.queue.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.lastReportedPosition === position || !entry.onQueued) {
+        return;
+      }
+
+      entry.lastReportedPosition = position;
+      Promise.resolve()
+        .then(() => entry.onQueued(position, pool.queue.length))
+        .catch((error) => {
+          logger.warn(
+            `Failed to report queue position for job ${entry.jobId}: ${error.message}`,
+          );
+        });
+    });
+  }
+
+  /**
+   * Get the pool a job type runs in
+   * @param {string} jobType The job type
+   * @returns {Object} Scheduler pool
+   */
+  getPool(jobType) {
+    return HEAVY_JOB_TYPES.has(jobType) ? this.pools.heavy : this.pools.light;
+  }
+
+  /**
+   * Convert a job priority to a number
+   * @param {number|string} priority Numeric priority or JOB_PRIORITY name
+   * @returns {number} Numeric priority, NORMAL if not recognized
+   */
+  resolvePriority(priority) {
+    if (typeof priority === "number" && Number.isFinite(priority)) {
+      return priority;
+    }
+
+    if (typeof priority === "string") {
+      const named = JOB_PRIORITY[priority.toUpperCase()];
+      if (named !== undefined) {
+        return named;
+      }
+
+      const numeric = Number(priority);
+      if (priority.trim() !== "" && Number.isFinite(numeric)) {
+        return numeric;
+      }
+    }
+
+    return JOB_PRIORITY.NORMAL;
+  }
+
+  /**
+   * Get the 1-based queue position of a waiting job
+   * @param {string} jobId The job ID
+   * @returns {number|null} Position, or null if the job is not queued
+   */
+  getQueuePosition(jobId) {
+    for (const pool of Object.values(this.pools)) {
+      const index = pool.queue.findIndex((entry) => entry.jobId === jobId);
+      if (index !== -1) {
+        return index + 1;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a job is waiting for a slot
+   * @param {string} jobId The job ID
+   * @returns {boolean} True if the job is queued
+   */
+  isQueued(jobId) {
+    return this.getQueuePosition(jobId) !== null;
+  }
+
+  /**
+   * Get running and queued job counts per pool
+   * @returns {Object} Scheduler status
+   */
+  getStatus() {
+    const status = {};
+    for (const pool of Object.values(this.pools)) {
+      status[pool.name] = {
+        limit: pool.limit,
+        running: pool.running,
+        queued: pool.queue.length,
+      };
+    }
+    return status;
+  }
+}
+
+module.exports = new JobScheduler();
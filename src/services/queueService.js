@@ -3,18 +3,22 @@
  *
  * Handles RabbitMQ connections and message processing.
  * Provides methods for publishing and consuming messages.
+ *
+ * Also acts as a job transport: publishResult, publishLog and sendReply are
+ * the same methods the WebSocket services expose, so the command handler can
+ * report on a job without knowing which channel it came from.
  */
 
 const amqp = require("amqplib");
 const fs = require("fs").promises;
-const crypto = require("crypto");
 const logger = require("../../utils/logger");
 const config = require("../config");
+const { JOB_PRIORITY } = require("../constants/jobTypes");
+const { decryptData } = require("../utils/encryption");
 
 // Configuration constants
 const RECONNECT_DELAY = 5000; // 5 seconds
 const MAX_RECONNECT_ATTEMPTS = 10;
-const CRYPTO_ALGORITHM = "aes-256-cbc";
 const RABBITMQ_CREDENTIALS_PATH =
   process.env.RABBITMQ_CREDENTIALS_PATH ||
   "/opt/cloudlunacy/rabbitmq-credentials";
@@ -28,10 +32,13 @@ class QueueService {
     this.connectionPromise = null;
     this.initialized = false;
     this.heartbeatInterval = null;
+    this.commandPriorityEnabled = false;
 
     // Queue and exchange names - updated to match server-side expectations
     this.queues = {
       commands: `agent.commands.${config.serverId}`,
+      commandsDeadLetterExchange: `agent.commands.${config.serverId}.dlx`,
+      commandsDeadLetter: `agent.commands.${config.serverId}.dead`,
       results: "agent.results", // Updated to send directly to the shared results queue
       logs: "agent.logs",
       heartbeats: "agent.heartbeats",
@@ -90,7 +97,7 @@ class QueueService {
         const encryptionKey = await this.getEncryptionKey();
 
         // Decrypt the data
-        const rabbitmqUrl = this.decryptData(encryptedData, encryptionKey);
+        const rabbitmqUrl = decryptData(encryptedData, encryptionKey);
 
         logger.info(
           "Successfully loaded RabbitMQ credentials from encrypted storage",
@@ -154,37 +161,6 @@ class QueueService {
     }
   }
 
-  /**
-   * Decrypt data using the encryption key
-   * @param {string} encryptedData - The encrypted data (hex string)
-   * @param {string} encryptionKey - The encryption key
-   * @returns {string} Decrypted data
-   */
-  decryptData(encryptedData, encryptionKey) {
-    try {
-      // Extract the IV from the beginning of the encrypted data
-      const iv = Buffer.from(encryptedData.slice(0, 32), "hex");
-      const encryptedText = encryptedData.slice(32);
-
-      // Create a key from the encryption key using SHA-256
-      const key = crypto.createHash("sha256").update(encryptionKey).digest();
-
-      // Create decipher
-      const decipher = crypto.createDecipheriv(CRYPTO_ALGORITHM, key, iv);
-
-      // Decrypt
-      let decrypted = decipher.update(encryptedText, "hex", "utf8");
-      decrypted += decipher.final("utf8");
-
-      return decrypted;
-    } catch (error) {
-      logger.error(`Decryption error: ${error.message}`);
-      throw new Error(
-        `Failed to decrypt RabbitMQ credentials: ${error.message}`,
-      );
-    }
-  }
-
   /**
    * Connect to RabbitMQ
    * @returns {Promise<void>}
@@ -218,7 +194,7 @@ class QueueService {
         this.channel = await this.connection.createChannel();
 
         // Set channel-level prefetch to avoid overloading the agent
-        await this.channel.prefetch(5);
+        await this.channel.prefetch(config.jobs.prefetch);
 
         // 4) Declare your exchanges & queues
         await this.setupExchangesAndQueues();
@@ -330,7 +306,7 @@ class QueueService {
       this.channel = await this.connection.createChannel();
 
       // Set up prefetch again to control concurrency
-      await this.channel.prefetch(5);
+      await this.channel.prefetch(config.jobs.prefetch);
 
       // Set up the exchanges and queues again
       await this.setupExchangesAndQueues();
@@ -377,13 +353,8 @@ class QueueService {
   async setupExchangesAndQueues() {
     try {
       // Assert queues with TTL (messages expire after 7 days)
-      await this.channel.assertQueue(this.queues.commands, {
-        durable: true,
-        arguments: {
-          "x-message-ttl": 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
-          "x-queue-type": "classic",
-        },
-      });
+      await this.assertCommandsQueue();
+      await this.assertCommandRetryQueues();
 
       // Assert the shared results queue
       await this.channel.assertQueue(this.queues.results, {
@@ -415,6 +386,240 @@ class QueueService {
     }
   }
 
+  /**
+   * Declare the commands queue as a priority queue that dead-letters rejected
+   * messages, falling back to older declarations if the queue already exists
+   * @returns {Promise<void>}
+   */
+  async assertCommandsQueue() {
+    const commandQueueArguments = {
+      "x-message-ttl": 7 * 24 * 60 * 60 * 1000, // 7 days in milliseconds
+      "x-queue-type": "classic",
+    };
+
+    // Declarations from newest to oldest agent versions
+    const declarations = [
+      {
+        ...commandQueueArguments,
+        "x-max-priority": JOB_PRIORITY.CRITICAL,
+        "x-dead-letter-exchange": this.queues.commandsDeadLetterExchange,
+      },
+      { ...commandQueueArguments, "x-max-priority": JOB_PRIORITY.CRITICAL },
+    ];
+
+    for (const queueArguments of declarations) {
+      // A mismatched declaration closes the channel it was made on, so try
+      // each declaration on a throwaway channel first
+      const probeChannel = await this.connection.createChannel();
+      probeChannel.on("error", () => {});
+
+      try {
+        await probeChannel.assertQueue(this.queues.commands, {
+          durable: true,
+          arguments: queueArguments,
+        });
+        await probeChannel.close();
+        this.commandPriorityEnabled = true;
+        return;
+      } catch (error) {
+        // 406 PRECONDITION_FAILED: the queue exists with other arguments
+        if (error.code !== 406) {
+          throw error;
+        }
+      }
+    }
+
+    this.commandPriorityEnabled = false;
+    logger.warn(
+      `Commands queue ${this.queues.commands} was declared without x-max-priority; jobs will be delivered in FIFO order until the queue is recreated`,
+    );
+    await this.channel.assertQueue(this.queues.commands, {
+      durable: true,
+      arguments: commandQueueArguments,
+    });
+  }
+
+  /**
+   * Declare the dead-letter exchange and queue for commands and the delay
+   * queues used to retry failed commands with exponential backoff
+   * @returns {Promise<void>}
+   */
+  async assertCommandRetryQueues() {
+    await this.channel.assertExchange(
+      this.queues.commandsDeadLetterExchange,
+      "direct",
+      { durable: true },
+    );
+    await this.channel.assertQueue(this.queues.commandsDeadLetter, {
+      durable: true,
+      arguments: { "x-queue-type": "classic" },
+    });
+    await this.channel.bindQueue(
+      this.queues.commandsDeadLetter,
+      this.queues.commandsDeadLetterExchange,
+      this.queues.commands,
+    );
+
+    // Messages wait in a delay queue until their TTL expires, then go back
+    // to the commands queue through the default exchange
+    for (let attempt = 1; attempt < config.jobs.maxAttempts; attempt++) {
+      const delay = this.getRetryDelay(attempt);
+      await this.channel.assertQueue(this.getRetryQueueName(delay), {
+        durable: true,
+        arguments: {
+          "x-message-ttl": delay,
+          "x-dead-letter-exchange": "",
+          "x-dead-letter-routing-key": this.queues.commands,
+          "x-queue-type": "classic",
+        },
+      });
+    }
+  }
+
+  /**
+   * Get the backoff delay before a retry
+   * @param {number} attempt Number of attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    return config.jobs.retryBaseDelay * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Get the name of the delay queue for a backoff delay
+   * @param {number} delay Delay in milliseconds
+   * @returns {string} Queue name
+   */
+  getRetryQueueName(delay) {
+    // The delay is part of the name so changing it never clashes with an
+    // existing queue declared with another TTL
+    return `${this.queues.commands}.retry.${delay}`;
+  }
+
+  /**
+   * Send a failed command to a delay queue to be retried later
+   * @param {Object} msg Original AMQP message
+   * @param {number} attempts Number of attempts made so far
+   * @param {Error} error Error from the last attempt
+   * @returns {Promise<void>}
+   */
+  async retryCommand(msg, attempts, error) {
+    const delay = this.getRetryDelay(attempts);
+
+    this.channel.sendToQueue(this.getRetryQueueName(delay), msg.content, {
+      ...this.getForwardedProperties(msg),
+      headers: {
+        ...(msg.properties.headers || {}),
+        "x-retry-count": attempts,
+        "x-last-error": error.message,
+      },
+    });
+
+    logger.warn(
+      `Command failed on attempt ${attempts}/${config.jobs.maxAttempts}, retrying in ${delay / 1000}s: ${error.message}`,
+    );
+  }
+
+  /**
+   * Get the attempt a delivery of a command is
+   * @param {Object} msg AMQP message
+   * @returns {number} 1 for the first delivery, counting up with each retry
+   */
+  getAttempt(msg) {
+    const headers = msg.properties.headers || {};
+    return (parseInt(headers["x-retry-count"], 10) || 0) + 1;
+  }
+
+  /**
+   * Check whether a command that failed with an error will be retried
+   * @param {Object} msg AMQP message
+   * @param {Error} error Error from this attempt
+   * @returns {boolean} False if the command is dead-lettered instead
+   */
+  willRetry(msg, error) {
+    return !error.permanent && this.getAttempt(msg) < config.jobs.maxAttempts;
+  }
+
+  /**
+   * Retry a failed command with backoff, or dead-letter it once it has used
+   * all of its attempts or failed permanently
+   * @param {Object} msg Original AMQP message
+   * @param {Object|null} content Parsed message content, if it could be parsed
+   * @param {Error} error Error from this attempt
+   * @returns {Promise<void>}
+   */
+  async handleFailedCommand(msg, content, error) {
+    const attempts = this.getAttempt(msg);
+
+    try {
+      if (!this.willRetry(msg, error)) {
+        await this.deadLetterCommand(msg, content, attempts, error);
+      } else {
+        await this.retryCommand(msg, attempts, error);
+      }
+      this.channel.ack(msg);
+    } catch (retryError) {
+      // Leave the message to the broker rather than lose it
+      logger.error(
+        `Failed to retry or dead-letter command: ${retryError.message}`,
+      );
+      this.channel.nack(msg, false, true);
+    }
+  }
+
+  /**
+   * Move a command that cannot be processed to the dead-letter queue
+   * @param {Object} msg Original AMQP message
+   * @param {Object|null} content Parsed message content, if it could be parsed
+   * @param {number} attempts Number of attempts made
+   * @param {Error} error Final error
+   * @returns {Promise<void>}
+   */
+  async deadLetterCommand(msg, content, attempts, error) {
+    this.channel.publish(
+      this.queues.commandsDeadLetterExchange,
+      this.queues.commands,
+      msg.content,
+      {
+        ...this.getForwardedProperties(msg),
+        headers: {
+          ...(msg.properties.headers || {}),
+          "x-retry-count": attempts,
+          "x-last-error": error.message,
+          "x-dead-lettered-at": new Date().toISOString(),
+        },
+      },
+    );
+
+    logger.error(
+      `Command moved to dead-letter queue ${this.queues.commandsDeadLetter} after ${attempts} attempt(s): ${error.message}`,
+    );
+
+    const jobId = content && (content.id || content.jobId || content._id);
+    if (jobId) {
+      await this.publishResult({
+        jobId,
+        status: "FAILED",
+        error: error.message,
+        result: {
+          attempts,
+          deadLettered: true,
+          timestamp: new Date().toISOString(),
+        },
+      });
+    }
+  }
+
+  /**
+   * Get the properties of a message that must survive a retry
+   * @param {Object} msg AMQP message
+   * @returns {Object} Publish options
+   */
+  getForwardedProperties(msg) {
+    const { correlationId, replyTo, priority, contentType } = msg.properties;
+    return { persistent: true, correlationId, replyTo, priority, contentType };
+  }
+
   /**
    * Start sending heartbeats to RabbitMQ
    */
@@ -461,7 +666,7 @@ class QueueService {
 
     try {
       // Ensure we don't try to process too many messages at once
-      this.channel.prefetch(5);
+      this.channel.prefetch(config.jobs.prefetch);
 
       // Start consuming messages
       const { consumerTag } = await this.channel.consume(
@@ -475,29 +680,34 @@ class QueueService {
           try {
             // Parse the message
             const content = JSON.parse(msg.content.toString());
+
+            // Fall back to the AMQP priority when the payload has none
+            if (
+              content.priority === undefined &&
+              msg.properties.priority !== undefined
+            ) {
+              content.priority = msg.properties.priority;
+            }
             logger.info(`Received command: ${content.actionType || "unknown"}`);
 
             try {
-              // Process the message using the provided callback
-              // Now passing the raw message and channel as well
+              // Process the message using the provided callback, which
+              // throws when the job failed and should be retried
               await callback(content, msg, this.channel);
 
               // Acknowledge the message if processing was successful
               this.channel.ack(msg);
             } catch (error) {
               logger.error(`Error processing command: ${error.message}`);
-
-              // Reject the message and requeue it if it's a temporary error
-              // For permanent errors, we should use nack with requeue=false
-              const isTemporaryError = !error.permanent;
-              this.channel.nack(msg, false, isTemporaryError);
+              await this.handleFailedCommand(msg, content, error);
             }
           } catch (parseError) {
             logger.error(
               `Failed to parse command message: ${parseError.message}`,
             );
-            // Don't requeue if the message is invalid
-            this.channel.nack(msg, false, false);
+            // Don't retry if the message is invalid
+            parseError.permanent = true;
+            await this.handleFailedCommand(msg, null, parseError);
           }
         },
         { noAck: false }, // Manual acknowledgment
@@ -594,6 +804,36 @@ class QueueService {
     }
   }
 
+  /**
+   * Send a direct reply to an RPC request
+   * @param {Object} request - Request handle ({ msg, channel }) the job arrived with
+   * @param {Object} payload - Reply payload
+   * @returns {boolean} True if the reply was sent
+   */
+  sendReply(request, payload) {
+    const properties = request?.msg?.properties;
+    if (!properties || !properties.replyTo || !properties.correlationId) {
+      return false;
+    }
+
+    try {
+      const channel = request.channel || this.channel;
+      channel.sendToQueue(
+        properties.replyTo,
+        Buffer.from(JSON.stringify(payload)),
+        { correlationId: properties.correlationId },
+      );
+
+      logger.info(
+        `Sent RPC response to ${properties.replyTo} with correlationId ${properties.correlationId}`,
+      );
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send RPC response: ${error.message}`);
+      return false;
+    }
+  }
+
   /**
    * Publish a container log chunk
    * @param {Object} logChunk - Container log chunk to publish
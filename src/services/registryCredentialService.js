@@ -0,0 +1,239 @@
+/**
+ * Registry Credential Service
+ *
+ * Keeps the credentials of private container registries, encrypted on disk
+ * the same way as the RabbitMQ credentials, and logs Docker in to a registry
+ * for the duration of a pull or push. Logins go to a throwaway Docker config
+ * directory so credentials never linger in the agent's own Docker config.
+ */
+
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const logger = require("../../utils/logger");
+const { executeCommand } = require("../../utils/executor");
+const config = require("../config");
+const { encryptData, decryptData } = require("../utils/encryption");
+
+// Registry Docker uses for image references without a registry host
+const DOCKER_HUB_REGISTRY = "docker.io";
+
+class RegistryCredentialService {
+  constructor() {
+    this.credentialsPath = config.paths.registryCredentials;
+    // Registry host -> { username, password, updatedAt }
+    this.credentials = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Load the stored registry credentials
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      const encryptedData = await fs.readFile(this.credentialsPath, "utf8");
+      const stored = JSON.parse(
+        decryptData(
+          encryptedData.trim(),
+          await this.getAuthenticationService().getEncryptionKey(),
+        ),
+      );
+      this.credentials = new Map(Object.entries(stored));
+      logger.info(
+        `Loaded credentials for ${this.credentials.size} container registr${this.credentials.size === 1 ? "y" : "ies"}`,
+      );
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.error(`Failed to load registry credentials: ${error.message}`);
+        return false;
+      }
+    }
+
+    this.initialized = true;
+    return true;
+  }
+
+  /**
+   * Store the credentials of a registry, replacing earlier ones
+   * @param {string} registry Registry host, e.g. ghcr.io
+   * @param {Object} credentials Credentials
+   * @param {string} credentials.username User name
+   * @param {string} credentials.password Password or access token
+   * @returns {Promise<void>}
+   */
+  async setCredentials(registry, { username, password }) {
+    await this.ensureInitialized();
+
+    this.credentials.set(this.normalizeRegistry(registry), {
+      username,
+      password,
+      updatedAt: new Date().toISOString(),
+    });
+    await this.save();
+  }
+
+  /**
+   * Forget the credentials of a registry
+   * @param {string} registry Registry host
+   * @returns {Promise<boolean>} True if credentials were stored
+   */
+  async removeCredentials(registry) {
+    await this.ensureInitialized();
+
+    const removed = this.credentials.delete(this.normalizeRegistry(registry));
+    if (removed) {
+      await this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Get the stored credentials of a registry
+   * @param {string} registry Registry host
+   * @returns {Promise<Object|null>} { username, password } or null if unknown
+   */
+  async getCredentials(registry) {
+    await this.ensureInitialized();
+
+    const stored = this.credentials.get(this.normalizeRegistry(registry));
+    return stored
+      ? { username: stored.username, password: stored.password }
+      : null;
+  }
+
+  /**
+   * List the registries the agent holds credentials for, without secrets
+   * @returns {Promise<Array<Object>>} { registry, username, updatedAt } entries
+   */
+  async listRegistries() {
+    await this.ensureInitialized();
+
+    return Array.from(this.credentials.entries()).map(
+      ([registry, { username, updatedAt }]) => ({
+        registry,
+        username,
+        updatedAt,
+      }),
+    );
+  }
+
+  /**
+   * Run Docker commands logged in to a registry. Credentials passed in take
+   * precedence over stored ones; without either the commands run anonymously.
+   * @param {string} registryHost Registry host
+   * @param {Object|null} credentials Credentials given with the job
+   * @param {Function} task Called with the docker arguments that select the
+   *   logged-in config (empty when anonymous)
+   * @returns {Promise<*>} Task result
+   */
+  async withRegistryLogin(registryHost, credentials, task) {
+    const registry = this.normalizeRegistry(registryHost);
+    const login =
+      credentials && credentials.username
+        ? credentials
+        : await this.getCredentials(registry);
+
+    if (!login) {
+      return await task([]);
+    }
+
+    const dockerConfigDir = await fs.mkdtemp(
+      path.join(os.tmpdir(), "cloudlunacy-docker-"),
+    );
+    try {
+      const dockerArgs = ["--config", dockerConfigDir];
+      await executeCommand(
+        "docker",
+        [
+          ...dockerArgs,
+          "login",
+          registry,
+          "--username",
+          login.username,
+          "--password-stdin",
+        ],
+        { input: login.password, silent: true },
+      );
+      logger.info(`Logged in to registry ${registry} as ${login.username}`);
+
+      return await task(dockerArgs);
+    } finally {
+      await fs.rm(dockerConfigDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Get the registry host of an image reference
+   * @param {string} image Image reference
+   * @returns {string} Registry host, docker.io when the reference names none
+   */
+  getImageRegistry(image) {
+    const [first, ...rest] = image.split("/");
+    const isRegistry =
+      rest.length > 0 &&
+      (first.includes(".") || first.includes(":") || first === "localhost");
+    return isRegistry ? first.toLowerCase() : DOCKER_HUB_REGISTRY;
+  }
+
+  /**
+   * Reduce a registry address to its host
+   * @param {string} registry Registry host or URL
+   * @returns {string} Lower-case host[:port]
+   */
+  normalizeRegistry(registry) {
+    const host = String(registry)
+      .trim()
+      .replace(/^[a-z]+:\/\//i, "")
+      .split("/")[0]
+      .toLowerCase();
+    return ["index.docker.io", "registry-1.docker.io"].includes(host)
+      ? DOCKER_HUB_REGISTRY
+      : host;
+  }
+
+  /**
+   * Load the credentials on first use
+   * @private
+   * @returns {Promise<void>}
+   */
+  async ensureInitialized() {
+    if (!this.initialized && !(await this.initialize())) {
+      throw new Error("Registry credentials could not be loaded");
+    }
+  }
+
+  /**
+   * Encrypt and write the credentials to disk
+   * @private
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const encrypted = encryptData(
+      JSON.stringify(Object.fromEntries(this.credentials)),
+      await this.getAuthenticationService().getEncryptionKey(),
+    );
+
+    await fs.mkdir(path.dirname(this.credentialsPath), { recursive: true });
+    await fs.writeFile(this.credentialsPath, encrypted, {
+      encoding: "utf8",
+      mode: 0o600, // Owner read/write only
+    });
+  }
+
+  /**
+   * Get the authentication service, which owns the credential encryption
+   * @private
+   * @returns {Object} Authentication service
+   */
+  getAuthenticationService() {
+    // Required lazily: the authentication service pulls in the transports
+    return require("./authenticationService");
+  }
+}
+
+module.exports = new RegistryCredentialService();
@@ -0,0 +1,280 @@
+/**
+ * Release Ledger Service
+ *
+ * Keeps a local history of the releases of every deployed service: which
+ * deployment produced it, the commit and branch it was built from, the image
+ * tag it runs and how it ended. Rollbacks and the list_releases job read it,
+ * and image pruning marks the releases whose images are gone.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("../../utils/logger");
+const config = require("../config");
+const { RELEASE_STATUS } = require("../constants/jobTypes");
+
+// Releases kept per service; older entries are dropped from the ledger
+const MAX_RELEASES_PER_SERVICE = 50;
+
+class ReleaseLedgerService {
+  constructor() {
+    this.ledgerDir = config.paths.releases;
+    // Service name -> releases, newest first
+    this.ledgers = new Map();
+    // Per-service write chains so concurrent updates land on disk in order
+    this.writeChains = new Map();
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the ledger and load existing service histories from disk
+   * @returns {Promise<boolean>} Success status
+   */
+  async initialize() {
+    if (this.initialized) {
+      return true;
+    }
+
+    try {
+      await fs.mkdir(this.ledgerDir, { recursive: true });
+
+      const files = await fs.readdir(this.ledgerDir);
+      for (const file of files) {
+        if (!file.endsWith(".json")) {
+          continue;
+        }
+
+        try {
+          const ledger = JSON.parse(
+            await fs.readFile(path.join(this.ledgerDir, file), "utf8"),
+          );
+          this.ledgers.set(ledger.serviceName, ledger.releases || []);
+        } catch (readError) {
+          logger.warn(
+            `Skipping unreadable release ledger ${file}: ${readError.message}`,
+          );
+        }
+      }
+
+      this.initialized = true;
+      logger.info(`Release ledger loaded for ${this.ledgers.size} service(s)`);
+      return true;
+    } catch (error) {
+      logger.error(`Failed to initialize release ledger: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Record a release that is being deployed
+   * @param {string} serviceName Base service name
+   * @param {Object} release Release details
+   * @param {string} release.deploymentId Deployment that produces the release
+   * @param {string} [release.jobId] Job running the deployment
+   * @param {string} release.image Immutable image tag of the release
+   * @param {string} [release.sourceImage] Prebuilt image the release was pulled from
+   * @param {string} [release.commit] Commit the image is built from
+   * @param {string} [release.branch] Branch the commit was taken from
+   * @param {string} [release.tag] Tag the commit was checked out by
+   * @param {string} [release.environment] Target environment
+   * @param {Object} [release.healthCheck] Health check the release is deployed with
+   * @param {number} [release.replicas] Containers the release runs
+   * @param {Object} [release.resources] Resource limits of its containers
+   * @param {Array<Object>} [release.volumes] Volumes its containers mount
+   * @returns {Promise<Object>} Ledger entry
+   */
+  async recordRelease(serviceName, release) {
+    const entry = {
+      deploymentId: release.deploymentId,
+      jobId: release.jobId || null,
+      image: release.image,
+      sourceImage: release.sourceImage || null,
+      commit: release.commit || null,
+      branch: release.branch || null,
+      tag: release.tag || null,
+      environment: release.environment || null,
+      healthCheck: release.healthCheck || null,
+      replicas: release.replicas || 1,
+      resources: release.resources || null,
+      volumes: release.volumes || [],
+      status: RELEASE_STATUS.DEPLOYING,
+      imagePruned: false,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      error: null,
+    };
+
+    await this.updateLedger(serviceName, (releases) => [
+      entry,
+      ...releases.filter((r) => r.deploymentId !== release.deploymentId),
+    ]);
+    return entry;
+  }
+
+  /**
+   * Merge changes into a release of a service
+   * @param {string} serviceName Base service name
+   * @param {string} deploymentId Deployment that produced the release
+   * @param {Object} changes Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateRelease(serviceName, deploymentId, changes) {
+    await this.updateLedger(serviceName, (releases) =>
+      releases.map((release) =>
+        release.deploymentId === deploymentId
+          ? { ...release, ...changes }
+          : release,
+      ),
+    );
+  }
+
+  /**
+   * Mark a release as the one serving traffic; the previously live release is
+   * marked as superseded
+   * @param {string} serviceName Base service name
+   * @param {string} deploymentId Deployment that produced the release
+   * @param {Object} [changes] Extra fields to record on the live release
+   * @returns {Promise<void>}
+   */
+  async markLive(serviceName, deploymentId, changes = {}) {
+    const now = new Date().toISOString();
+
+    await this.updateLedger(serviceName, (releases) =>
+      releases.map((release) => {
+        if (release.deploymentId === deploymentId) {
+          return {
+            ...release,
+            ...changes,
+            status: RELEASE_STATUS.LIVE,
+            finishedAt: release.finishedAt || now,
+            liveSince: now,
+          };
+        }
+        if (release.status === RELEASE_STATUS.LIVE) {
+          return { ...release, status: RELEASE_STATUS.SUPERSEDED };
+        }
+        return release;
+      }),
+    );
+  }
+
+  /**
+   * Record that a release ended without going live
+   * @param {string} serviceName Base service name
+   * @param {string} deploymentId Deployment that produced the release
+   * @param {string} status FAILED or CANCELLED
+   * @param {string} [error] Reason
+   * @returns {Promise<void>}
+   */
+  async markFinished(serviceName, deploymentId, status, error = null) {
+    await this.updateRelease(serviceName, deploymentId, {
+      status,
+      error,
+      finishedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Record that the images of releases have been removed
+   * @param {string} serviceName Base service name
+   * @param {Array<string>} images Removed image tags
+   * @returns {Promise<void>}
+   */
+  async markImagesPruned(serviceName, images) {
+    if (images.length === 0) {
+      return;
+    }
+
+    await this.updateLedger(serviceName, (releases) =>
+      releases.map((release) =>
+        images.includes(release.image)
+          ? { ...release, imagePruned: true }
+          : release,
+      ),
+    );
+  }
+
+  /**
+   * Get the releases of a service, newest first
+   * @param {string} serviceName Base service name
+   * @returns {Promise<Array<Object>>} Ledger entries
+   */
+  async getReleases(serviceName) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.ledgers.get(serviceName) || [];
+  }
+
+  /**
+   * Get one release of a service
+   * @param {string} serviceName Base service name
+   * @param {string} deploymentId Deployment that produced the release
+   * @returns {Promise<Object|null>} Ledger entry or null if unknown
+   */
+  async getRelease(serviceName, deploymentId) {
+    const releases = await this.getReleases(serviceName);
+    return (
+      releases.find((release) => release.deploymentId === deploymentId) || null
+    );
+  }
+
+  /**
+   * Apply a change to the release list of a service and persist it
+   * @private
+   * @param {string} serviceName Base service name
+   * @param {Function} change Called with the current releases, returns the new list
+   * @returns {Promise<void>}
+   */
+  async updateLedger(serviceName, change) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const releases = change(this.ledgers.get(serviceName) || []).slice(
+      0,
+      MAX_RELEASES_PER_SERVICE,
+    );
+    this.ledgers.set(serviceName, releases);
+
+    const filePath = this.getLedgerPath(serviceName);
+    const previous = this.writeChains.get(serviceName) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      try {
+        await fs.writeFile(
+          tempPath,
+          JSON.stringify({ serviceName, releases }, null, 2),
+          "utf8",
+        );
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        logger.warn(
+          `Failed to write release ledger for ${serviceName}: ${error.message}`,
+        );
+      }
+    });
+
+    this.writeChains.set(serviceName, write);
+    await write;
+
+    if (this.writeChains.get(serviceName) === write) {
+      this.writeChains.delete(serviceName);
+    }
+  }
+
+  /**
+   * Get the on-disk path of a service ledger
+   * @private
+   * @param {string} serviceName Base service name
+   * @returns {string} File path
+   */
+  getLedgerPath(serviceName) {
+    const safeName = String(serviceName).replace(/[^a-zA-Z0-9_.-]/g, "_");
+    return path.join(this.ledgerDir, `${safeName}.json`);
+  }
+}
+
+module.exports = new ReleaseLedgerService();
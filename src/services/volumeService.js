@@ -0,0 +1,202 @@
+/**
+ * Volume Service
+ *
+ * Manages the persistent storage of deployed applications: named Docker
+ * volumes that belong to a service and bind mounts of host directories.
+ * Named volumes are labeled with the service they belong to and named after
+ * it rather than after a deployment, so the blue and green containers of
+ * every release mount the same data. They are only removed on request,
+ * optionally after being archived.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const logger = require("../../utils/logger");
+const { executeCommand } = require("../../utils/executor");
+const config = require("../config");
+
+// Labels that mark the volumes the agent manages
+const SERVICE_LABEL = "cloudlunacy.service";
+const VOLUME_LABEL = "cloudlunacy.volume";
+
+class VolumeService {
+  constructor() {
+    this.bindMountRoots = config.volumes.bindMountRoots;
+    this.backupDir = config.paths.volumeBackups;
+    this.backupImage = config.volumes.backupImage;
+  }
+
+  /**
+   * Create the named volumes and bind mount directories of a deployment.
+   * Existing volumes are reused as they are.
+   * @param {string} serviceName Base service name
+   * @param {Array<Object>} [volumes] Volumes from the deploy payload: a name
+   *   (named volume) or source (host directory), target and readOnly
+   * @returns {Promise<Array<Object>>} Mounts with type (volume or bind),
+   *   source, target and readOnly
+   * @throws {Error} If a bind mount lies outside the allowed directories
+   */
+  async prepareVolumes(serviceName, volumes = []) {
+    const mounts = [];
+
+    for (const volume of volumes || []) {
+      if (volume.source) {
+        const source = path.resolve(volume.source);
+        if (!this.isAllowedBindSource(source)) {
+          throw new Error(
+            `Bind mount ${source} is outside the allowed directories (${this.bindMountRoots.join(", ")})`,
+          );
+        }
+
+        await fs.mkdir(source, { recursive: true });
+        mounts.push({
+          type: "bind",
+          source,
+          target: volume.target,
+          readOnly: Boolean(volume.readOnly),
+        });
+        continue;
+      }
+
+      mounts.push({
+        type: "volume",
+        source: await this.createVolume(serviceName, volume.name),
+        target: volume.target,
+        readOnly: Boolean(volume.readOnly),
+      });
+    }
+
+    return mounts;
+  }
+
+  /**
+   * Create a named volume of a service, or reuse the existing one
+   * @param {string} serviceName Base service name
+   * @param {string} name Volume name, e.g. from the deploy payload or the
+   *   repository's compose file
+   * @returns {Promise<string>} Docker volume name
+   */
+  async createVolume(serviceName, name) {
+    const volumeName = this.getVolumeName(serviceName, name);
+    await executeCommand("docker", [
+      "volume",
+      "create",
+      "--label",
+      `${SERVICE_LABEL}=${serviceName}`,
+      "--label",
+      `${VOLUME_LABEL}=${name}`,
+      volumeName,
+    ]);
+    logger.info(`Volume ${volumeName} ready for ${serviceName}`);
+    return volumeName;
+  }
+
+  /**
+   * List the named volumes of a service
+   * @param {string} serviceName Base service name
+   * @returns {Promise<Array<string>>} Docker volume names
+   */
+  async listVolumes(serviceName) {
+    const { stdout } = await executeCommand("docker", [
+      "volume",
+      "ls",
+      "--quiet",
+      "--filter",
+      `label=${SERVICE_LABEL}=${serviceName}`,
+    ]);
+    return stdout.split("\n").filter(Boolean);
+  }
+
+  /**
+   * Remove the named volumes of a service, e.g. when the service is deleted.
+   * Volumes still mounted by a container are left alone. Bind mount
+   * directories are never removed.
+   * @param {string} serviceName Base service name
+   * @param {Object} [options] Removal options
+   * @param {boolean} [options.backup] Archive each volume before removing it
+   * @returns {Promise<Object>} { removed, backups, failed } where failed
+   *   lists { volume, error }
+   */
+  async removeVolumes(serviceName, { backup = true } = {}) {
+    const result = { removed: [], backups: [], failed: [] };
+
+    for (const volumeName of await this.listVolumes(serviceName)) {
+      try {
+        if (backup) {
+          result.backups.push(await this.backupVolume(volumeName));
+        }
+        await executeCommand("docker", ["volume", "rm", volumeName]);
+        result.removed.push(volumeName);
+        logger.info(`Removed volume ${volumeName} of ${serviceName}`);
+      } catch (error) {
+        logger.warn(`Could not remove volume ${volumeName}: ${error.message}`);
+        result.failed.push({ volume: volumeName, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Archive the contents of a volume as a tar.gz file in the backup directory
+   * @param {string} volumeName Docker volume name
+   * @returns {Promise<string>} Path of the archive
+   */
+  async backupVolume(volumeName) {
+    await fs.mkdir(this.backupDir, { recursive: true });
+    const archiveName = `${volumeName}-${new Date().toISOString().replace(/[:.]/g, "-")}.tar.gz`;
+
+    // The archive is written from a throwaway container mounting the volume
+    await executeCommand("docker", [
+      "run",
+      "--rm",
+      "-v",
+      `${volumeName}:/data:ro`,
+      "-v",
+      `${this.backupDir}:/backup`,
+      this.backupImage,
+      "tar",
+      "czf",
+      `/backup/${archiveName}`,
+      "-C",
+      "/data",
+      ".",
+    ]);
+
+    const archivePath = path.join(this.backupDir, archiveName);
+    logger.info(`Backed up volume ${volumeName} to ${archivePath}`);
+    return archivePath;
+  }
+
+  /**
+   * Docker volume name of a service's named volume
+   * @param {string} serviceName Base service name
+   * @param {string} name Volume name from the deploy payload
+   * @returns {string} Volume name shared by all releases of the service
+   */
+  getVolumeName(serviceName, name) {
+    return `cloudlunacy-${serviceName}-${name}`
+      .toLowerCase()
+      .replace(/[^a-z0-9_.-]/g, "-");
+  }
+
+  /**
+   * Check that a bind mount source lies within an allowed directory
+   * @private
+   * @param {string} source Absolute host path
+   * @returns {boolean} True if the path may be mounted
+   */
+  isAllowedBindSource(source) {
+    return this.bindMountRoots.some((root) => {
+      const relative = path.relative(path.resolve(root), source);
+      // A service gets a directory below a root, never the root itself
+      return (
+        relative !== "" &&
+        !relative.startsWith("..") &&
+        !path.isAbsolute(relative)
+      );
+    });
+  }
+}
+
+module.exports = new VolumeService();
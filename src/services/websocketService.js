@@ -2,7 +2,9 @@
  * WebSocket Service
  *
  * Handles WebSocket connections and message processing.
- * Provides functions for sending messages to the backend.
+ * Provides functions for sending messages to the backend, including the job
+ * transport methods (publishResult, publishLog, sendReply) shared with the
+ * queue service.
  */
 
 const WebSocket = require("ws");
@@ -150,7 +152,7 @@ class WebSocketService {
     this.ws.on("message", (data) => {
       try {
         const message = JSON.parse(data);
-        messageHandler.handleMessage(message, this.ws);
+        messageHandler.handleMessage(message, this.ws, this);
       } catch (error) {
         logger.error("Failed to parse message:", error);
       }
@@ -266,6 +268,50 @@ class WebSocketService {
       return false;
     }
   }
+
+  /**
+   * Publish a job result.
+   * @param {Object} result Job result ({ jobId, status, result, error }).
+   * @returns {Promise<boolean>} Success status.
+   */
+  async publishResult(result) {
+    return this.sendMessage("job_result", {
+      ...result,
+      serverId: config.serverId,
+      vpsId: config.serverId,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Publish a job log message.
+   * @param {Object} logMessage Log message ({ jobId, content, level }).
+   * @returns {Promise<boolean>} Success status.
+   */
+  async publishLog(logMessage) {
+    return this.sendMessage("job_log", {
+      ...logMessage,
+      serverId: config.serverId,
+      timestamp: logMessage.timestamp || new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Send a direct reply to a request received over the socket.
+   * @param {Object} request Request handle ({ requestId }) the job arrived with.
+   * @param {Object} payload Reply payload.
+   * @returns {boolean} True if the reply was sent.
+   */
+  sendReply(request, payload) {
+    if (!request?.requestId) {
+      return false;
+    }
+
+    return this.sendMessage("job_response", {
+      requestId: request.requestId,
+      payload,
+    });
+  }
 }
 
 module.exports = new WebSocketService();
@@ -0,0 +1,242 @@
+/**
+ * Deployment Progress
+ *
+ * Streams the output of a deployment's build commands to the backend as job
+ * logs and publishes the phase the deployment is in, with a percentage, as
+ * PROCESSING results. Build phases are read from the step lines BuildKit and
+ * the classic Docker builder print, which also covers Nixpacks builds.
+ */
+
+const logger = require("../../utils/logger");
+const { DEPLOYMENT_PHASES, JOB_STATUS } = require("../constants/jobTypes");
+
+// Progress at the start of each phase; a phase runs up to the next one
+const PHASE_PROGRESS = {
+  [DEPLOYMENT_PHASES.CLONE]: 0,
+  [DEPLOYMENT_PHASES.PULL]: 0,
+  [DEPLOYMENT_PHASES.SETUP]: 10,
+  [DEPLOYMENT_PHASES.INSTALL]: 20,
+  [DEPLOYMENT_PHASES.BUILD]: 45,
+  [DEPLOYMENT_PHASES.PRE_DEPLOY]: 70,
+  [DEPLOYMENT_PHASES.START]: 75,
+  [DEPLOYMENT_PHASES.HEALTH]: 85,
+  [DEPLOYMENT_PHASES.CANARY]: 88,
+  [DEPLOYMENT_PHASES.SWITCH]: 92,
+  [DEPLOYMENT_PHASES.POST_DEPLOY]: 97,
+};
+
+// Build step counters: "#8 [stage-0 4/11] RUN ..." (BuildKit) and
+// "Step 4/11 : RUN ..." (classic builder)
+const BUILD_STEP =
+  /\[(?:[\w.-]+\s+)?(\d+)\/(\d+)\]\s*(.*)$|^Step (\d+)\/(\d+)\s*:\s*(.*)$/;
+// Build steps that install the application's dependencies
+const INSTALL_STEP =
+  /\b(?:(?:npm|pnpm|yarn|bun)\s+(?:ci|i|install)\b|pip3?\s+install|poetry\s+install|bundle\s+install|composer\s+install|go\s+mod\s+download|cargo\s+fetch|mix\s+deps\.get)/i;
+// BuildKit writing the finished image
+const EXPORT_STEP = /exporting to image|writing image|naming to/i;
+
+// Log lines sent in one message, and how long a line may wait for others
+const LOG_BATCH_SIZE = 50;
+const LOG_FLUSH_INTERVAL = 1000;
+// Smallest progress change worth a result of its own within a phase
+const PROGRESS_STEP = 5;
+
+class DeploymentProgress {
+  /**
+   * @param {string} [jobId] Job running the deployment; without one nothing
+   *   is published
+   * @param {Object} transport Transport the job arrived on (publishResult,
+   *   publishLog)
+   */
+  constructor(jobId, transport) {
+    this.jobId = jobId || null;
+    this.transport = transport;
+    this.phase = null;
+    this.progress = 0;
+    this.publishedProgress = -1;
+    this.lines = [];
+    this.flushTimer = null;
+    // Publishes run one after another so logs and results keep their order
+    this.publishing = Promise.resolve();
+
+    // Handed to executeCommand as onOutput
+    this.onOutput = (line) => this.handleOutputLine(line);
+  }
+
+  /**
+   * Enter a deployment phase and publish it
+   * @param {string} phase One of DEPLOYMENT_PHASES
+   * @returns {Promise<void>}
+   */
+  async startPhase(phase) {
+    this.setPhase(phase, PHASE_PROGRESS[phase]);
+    await this.publishing;
+  }
+
+  /**
+   * Queue a line of build output and follow the build steps it reports
+   * @param {string} line Output line
+   */
+  handleOutputLine(line) {
+    if (!this.jobId) {
+      return;
+    }
+
+    const step = line.match(BUILD_STEP);
+    if (step) {
+      const current = Number(step[1] || step[4]);
+      const total = Number(step[2] || step[5]);
+      const command = step[3] || step[6] || "";
+
+      let phase = DEPLOYMENT_PHASES.SETUP;
+      if (INSTALL_STEP.test(command)) {
+        phase = DEPLOYMENT_PHASES.INSTALL;
+      } else if (this.hasReached(DEPLOYMENT_PHASES.INSTALL)) {
+        // Whatever follows the dependency install builds the application
+        phase = DEPLOYMENT_PHASES.BUILD;
+      }
+
+      const buildRange =
+        PHASE_PROGRESS[DEPLOYMENT_PHASES.PRE_DEPLOY] -
+        PHASE_PROGRESS[DEPLOYMENT_PHASES.SETUP];
+      this.setPhase(
+        phase,
+        PHASE_PROGRESS[DEPLOYMENT_PHASES.SETUP] +
+          Math.floor((buildRange * (current - 1)) / Math.max(total, 1)),
+      );
+    } else if (EXPORT_STEP.test(line)) {
+      this.setPhase(
+        DEPLOYMENT_PHASES.BUILD,
+        PHASE_PROGRESS[DEPLOYMENT_PHASES.PRE_DEPLOY] - 1,
+      );
+    }
+
+    this.lines.push(line);
+    if (this.lines.length >= LOG_BATCH_SIZE) {
+      this.queueLogFlush();
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(
+        () => this.queueLogFlush(),
+        LOG_FLUSH_INTERVAL,
+      );
+    }
+  }
+
+  /**
+   * Send the output lines that are still queued
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    this.queueLogFlush();
+    await this.publishing;
+  }
+
+  /**
+   * Move to a phase and progress, never backwards, publishing the change if
+   * it is worth a result
+   * @private
+   * @param {string} phase One of DEPLOYMENT_PHASES
+   * @param {number} progress Percentage
+   */
+  setPhase(phase, progress) {
+    if (
+      !this.jobId ||
+      (this.phase && PHASE_PROGRESS[phase] < PHASE_PROGRESS[this.phase])
+    ) {
+      return;
+    }
+
+    const phaseChanged = phase !== this.phase;
+    // Output so far belongs to the phase that is ending
+    this.queueLogFlush();
+    // Stay inside the phase's share of the progress
+    const nextPhaseStart = Math.min(
+      100,
+      ...Object.values(PHASE_PROGRESS).filter(
+        (start) => start > PHASE_PROGRESS[phase],
+      ),
+    );
+    this.phase = phase;
+    this.progress = Math.max(
+      this.progress,
+      Math.min(Math.max(progress, PHASE_PROGRESS[phase]), nextPhaseStart - 1),
+    );
+
+    if (
+      phaseChanged ||
+      this.progress - this.publishedProgress >= PROGRESS_STEP
+    ) {
+      this.publishedProgress = this.progress;
+      const result = { phase, progress: this.progress };
+      this.enqueue(() =>
+        this.transport.publishResult({
+          jobId: this.jobId,
+          status: JOB_STATUS.PROCESSING,
+          result,
+        }),
+      );
+      if (phaseChanged) {
+        logger.info(
+          `Deployment job ${this.jobId} entered phase ${phase} (${this.progress}%)`,
+        );
+      }
+    }
+  }
+
+  /**
+   * Check whether the deployment has reached a phase
+   * @private
+   * @param {string} phase One of DEPLOYMENT_PHASES
+   * @returns {boolean} True if the current phase is the given one or a later one
+   */
+  hasReached(phase) {
+    return (
+      this.phase !== null && PHASE_PROGRESS[this.phase] >= PHASE_PROGRESS[phase]
+    );
+  }
+
+  /**
+   * Publish the queued output lines as one log message
+   * @private
+   */
+  queueLogFlush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (this.lines.length === 0) {
+      return;
+    }
+
+    const content = this.lines.join("\n");
+    const phase = this.phase;
+    this.lines = [];
+    this.enqueue(() =>
+      this.transport.publishLog({
+        jobId: this.jobId,
+        phase,
+        content,
+        timestamp: new Date().toISOString(),
+      }),
+    );
+  }
+
+  /**
+   * Run a publish after the ones before it; failures are logged, not thrown
+   * @private
+   * @param {Function} publish Publishes one message
+   */
+  enqueue(publish) {
+    this.publishing = this.publishing.then(async () => {
+      try {
+        await publish();
+      } catch (error) {
+        logger.warn(
+          `Failed to publish deployment progress for job ${this.jobId}: ${error.message}`,
+        );
+      }
+    });
+  }
+}
+
+module.exports = DeploymentProgress;
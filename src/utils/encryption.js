@@ -0,0 +1,68 @@
+/**
+ * Encryption Utilities
+ *
+ * Symmetric encryption of the secrets the agent keeps on disk (RabbitMQ
+ * credentials, registry credentials). The stored form is the IV followed by
+ * the ciphertext, both hex encoded.
+ */
+
+const crypto = require("crypto");
+
+const CRYPTO_ALGORITHM = "aes-256-cbc";
+
+/**
+ * Derive the cipher key from an encryption key of any length
+ * @param {string} encryptionKey Encryption key
+ * @returns {Buffer} 256-bit key
+ */
+function deriveKey(encryptionKey) {
+  return crypto.createHash("sha256").update(encryptionKey).digest();
+}
+
+/**
+ * Encrypt data using the encryption key
+ * @param {string} data Data to encrypt
+ * @param {string} encryptionKey Encryption key
+ * @returns {string} IV + encrypted data as hex string
+ */
+function encryptData(data, encryptionKey) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(
+    CRYPTO_ALGORITHM,
+    deriveKey(encryptionKey),
+    iv,
+  );
+
+  let encrypted = cipher.update(data, "utf8", "hex");
+  encrypted += cipher.final("hex");
+
+  // The IV is needed for decryption
+  return iv.toString("hex") + encrypted;
+}
+
+/**
+ * Decrypt data produced by encryptData
+ * @param {string} encryptedData IV + encrypted data as hex string
+ * @param {string} encryptionKey Encryption key
+ * @returns {string} Decrypted data
+ * @throws {Error} If the data was encrypted with another key or is corrupt
+ */
+function decryptData(encryptedData, encryptionKey) {
+  // The first 16 bytes (32 hex characters) are the IV
+  const iv = Buffer.from(encryptedData.slice(0, 32), "hex");
+  const decipher = crypto.createDecipheriv(
+    CRYPTO_ALGORITHM,
+    deriveKey(encryptionKey),
+    iv,
+  );
+
+  let decrypted = decipher.update(encryptedData.slice(32), "hex", "utf8");
+  decrypted += decipher.final("utf8");
+
+  return decrypted;
+}
+
+module.exports = {
+  encryptData,
+  decryptData,
+};
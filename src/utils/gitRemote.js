@@ -0,0 +1,179 @@
+/**
+ * Git Remote Utilities
+ *
+ * Helper functions for parsing repository URLs of any git host and for
+ * authenticating clones with provider tokens or SSH deploy keys.
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+
+const GIT_PROVIDERS = ["github", "gitlab", "bitbucket", "gitea", "generic"];
+
+// User name each provider expects in front of an access token in HTTPS URLs
+const TOKEN_USERNAMES = {
+  github: "x-access-token",
+  gitlab: "oauth2",
+  bitbucket: "x-token-auth",
+};
+
+/**
+ * Parse a repository URL. Understands HTTP(S) URLs, ssh:// URLs and the
+ * scp-like form (git@host:owner/repo.git). Nested namespaces such as GitLab
+ * subgroups end up in the owner.
+ *
+ * @param {string} repositoryUrl Repository URL
+ * @returns {Object|null} { protocol, host, owner, name, provider } or null if
+ *   the URL is not a repository URL
+ */
+function parseRepositoryUrl(repositoryUrl) {
+  if (typeof repositoryUrl !== "string") {
+    return null;
+  }
+
+  const url = repositoryUrl.trim();
+  let protocol;
+  let host;
+  let repoPath;
+
+  const scpLike = url.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/\/)(.+)$/);
+  if (scpLike && !url.includes("://")) {
+    protocol = "ssh";
+    host = scpLike[1];
+    repoPath = scpLike[2];
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    protocol = parsed.protocol.replace(/:$/, "");
+    if (!["http", "https", "ssh", "git"].includes(protocol)) {
+      return null;
+    }
+    host = parsed.hostname;
+    repoPath = parsed.pathname;
+  }
+
+  const segments = repoPath
+    .replace(/\/+$/, "")
+    .replace(/\.git$/, "")
+    .split("/")
+    .filter(Boolean);
+
+  if (!host || segments.length < 2) {
+    return null;
+  }
+
+  return {
+    protocol,
+    host,
+    owner: segments.slice(0, -1).join("/"),
+    name: segments[segments.length - 1],
+    provider: detectProvider(host),
+  };
+}
+
+/**
+ * Guess the git provider from a host name. Self-hosted GitLab or Gitea
+ * instances on other host names are reported as generic unless the job
+ * names its provider.
+ *
+ * @param {string} host Host name
+ * @returns {string} One of GIT_PROVIDERS
+ */
+function detectProvider(host) {
+  const hostname = String(host).toLowerCase();
+
+  if (hostname === "github.com" || hostname.endsWith(".github.com")) {
+    return "github";
+  }
+  if (hostname === "bitbucket.org") {
+    return "bitbucket";
+  }
+  if (hostname.split(".").includes("gitlab")) {
+    return "gitlab";
+  }
+  if (hostname.split(".").includes("gitea")) {
+    return "gitea";
+  }
+  return "generic";
+}
+
+/**
+ * Add an access token to an HTTP(S) repository URL. SSH URLs and URLs that
+ * already carry credentials are returned unchanged.
+ *
+ * @param {string} repositoryUrl Repository URL
+ * @param {Object} credentials Credentials
+ * @param {string} [credentials.token] Access token
+ * @param {string} [credentials.username] User name sent with the token
+ * @param {string} [credentials.provider] Provider, detected from the host when omitted
+ * @returns {string} URL to clone from
+ */
+function getAuthenticatedUrl(repositoryUrl, credentials = {}) {
+  const { token, username, provider } = credentials;
+  if (!token || !/^https?:\/\//i.test(repositoryUrl)) {
+    return repositoryUrl;
+  }
+
+  const url = new URL(repositoryUrl);
+  if (url.username || url.password) {
+    return repositoryUrl;
+  }
+
+  const user =
+    username || TOKEN_USERNAMES[provider || detectProvider(url.hostname)];
+  if (user) {
+    url.username = user;
+    url.password = token;
+  } else {
+    // Gitea and most other hosts accept the token as the user name
+    url.username = token;
+  }
+  return url.toString();
+}
+
+/**
+ * Write an SSH deploy key to a file only the agent can read and build the
+ * environment that makes git use it
+ *
+ * @param {string} sshKey Private key
+ * @param {string} directory Directory to write the key file to
+ * @returns {Promise<{env: Object, keyPath: string}>} Environment for git and key file path
+ */
+async function prepareSshKey(sshKey, directory) {
+  const keyPath = path.join(directory, `.deploy-key-${Date.now()}`);
+  // ssh refuses keys without a trailing newline
+  const content = sshKey.endsWith("\n") ? sshKey : `${sshKey}\n`;
+  await fs.writeFile(keyPath, content, { mode: 0o600 });
+
+  return {
+    keyPath,
+    env: {
+      ...process.env,
+      GIT_SSH_COMMAND: `ssh -i ${keyPath} -o IdentitiesOnly=yes -o StrictHostKeyChecking=accept-new`,
+    },
+  };
+}
+
+/**
+ * Remove credentials from a repository URL so it can be logged
+ *
+ * @param {string} repositoryUrl Repository URL
+ * @returns {string} URL without user name or password
+ */
+function redactRepositoryUrl(repositoryUrl) {
+  return String(repositoryUrl).replace(/(\w+:\/\/)[^@/\s]+@/, "$1");
+}
+
+module.exports = {
+  GIT_PROVIDERS,
+  parseRepositoryUrl,
+  detectProvider,
+  getAuthenticatedUrl,
+  prepareSshKey,
+  redactRepositoryUrl,
+};
@@ -66,6 +66,56 @@ class ResponseFormatter {
     };
   }
 
+  /**
+   * Create a standardized cancellation response
+   * @param {string} jobId - The job ID
+   * @param {string} jobType - The job type
+   * @param {string} reason - Why the job was cancelled
+   * @param {Object} data - Optional additional data
+   * @returns {Object} Formatted response
+   */
+  static cancelled(jobId, jobType, reason = "Job cancelled", data = {}) {
+    return {
+      jobId,
+      actionType: jobType, // Use actionType for agent responses
+      jobType,
+      status: JOB_STATUS.CANCELLED,
+      success: false,
+      message: reason,
+      result: data, // Use 'result' for backwards compatibility
+      data,
+      timestamp: new Date().toISOString(),
+      error: null,
+    };
+  }
+
+  /**
+   * Create a standardized timeout response
+   * @param {string} jobId - The job ID
+   * @param {string} jobType - The job type
+   * @param {string} reason - Timeout description
+   * @param {Object} data - Optional additional data
+   * @returns {Object} Formatted response
+   */
+  static timeout(jobId, jobType, reason = "Job timed out", data = {}) {
+    return {
+      jobId,
+      actionType: jobType, // Use actionType for agent responses
+      jobType,
+      status: JOB_STATUS.TIMEOUT,
+      success: false,
+      message: reason,
+      result: data, // Use 'result' for backwards compatibility
+      data,
+      timestamp: new Date().toISOString(),
+      error: {
+        message: reason,
+        stack: null,
+        type: "TimeoutError",
+      },
+    };
+  }
+
   /**
    * Create a standardized processing response
    * @param {string} jobId - The job ID
@@ -0,0 +1,539 @@
+/**
+ * Job payload schemas
+ *
+ * Jobs reach the agent in two shapes: the core format with a `parameters`
+ * object and an older flat format that uses several aliases for the same
+ * field. Each action type has a canonicalizer that folds both shapes into
+ * one `parameters` object and a Joi schema that validates the result, so
+ * handlers only ever read `job.parameters`.
+ */
+
+const Joi = require("joi");
+const {
+  ALL_JOB_TYPES,
+  BUILD_STRATEGY,
+  HEALTH_CHECK_TYPES,
+  ROLLOUT_STRATEGIES,
+} = require("../constants/jobTypes");
+const { GIT_PROVIDERS } = require("../utils/gitRemote");
+
+/**
+ * Return the first value that is not undefined, null or an empty string
+ * @param {...*} values Candidate values in order of preference
+ * @returns {*} First present value or undefined
+ */
+function pick(...values) {
+  return values.find(
+    (value) => value !== undefined && value !== null && value !== "",
+  );
+}
+
+const MONGODB_APP_TYPES = ["mongodb", "mongo"];
+
+// Credentials for a private registry given with a job; registries without
+// them fall back to the credentials stored on the agent
+const REGISTRY_CREDENTIALS = Joi.object({
+  server: Joi.string().optional(),
+  username: Joi.string().required(),
+  password: Joi.string().required(),
+});
+
+// Shell command, or commands run in order, for a deployment hook
+const HOOK_COMMANDS = Joi.alternatives().try(
+  Joi.string(),
+  Joi.array().items(Joi.string()).min(1),
+);
+
+// How the agent decides a new container is ready; durations are in seconds
+const HTTP_STATUS = Joi.number().integer().min(100).max(599);
+const HEALTH_CHECK = Joi.object({
+  type: Joi.string()
+    .valid(...Object.values(HEALTH_CHECK_TYPES))
+    .default(HEALTH_CHECK_TYPES.HTTP),
+  path: Joi.string().pattern(/^\//).optional(),
+  expectedStatus: Joi.alternatives()
+    .try(HTTP_STATUS, Joi.array().items(HTTP_STATUS).min(1))
+    .optional(),
+  command: Joi.when("type", {
+    is: HEALTH_CHECK_TYPES.COMMAND,
+    then: Joi.string().required(),
+    otherwise: Joi.forbidden(),
+  }),
+  interval: Joi.number().positive().optional(),
+  timeout: Joi.number().positive().optional(),
+  retries: Joi.number().integer().min(1).optional(),
+  gracePeriod: Joi.number().min(0).optional(),
+});
+
+// How traffic moves to the new release; canary steps are the percentages of
+// traffic the new release gets before it takes all of it
+const ROLLOUT = Joi.object({
+  strategy: Joi.string()
+    .valid(...Object.values(ROLLOUT_STRATEGIES))
+    .default(ROLLOUT_STRATEGIES.IMMEDIATE),
+  steps: Joi.array().items(Joi.number().integer().min(1).max(99)).min(1),
+  stepDuration: Joi.number().positive().optional(),
+  sampleInterval: Joi.number().positive().optional(),
+  // Share of the agent's health probes of the new release that may fail in
+  // a step; requests from users are not seen by the agent
+  maxProbeFailureRate: Joi.number().min(0).max(1).optional(),
+});
+
+// Limits and restart behavior of the application's containers; what is left
+// out comes from the agent's defaults
+const RESOURCES = Joi.object({
+  cpus: Joi.number().positive().optional(),
+  memory: Joi.string()
+    .pattern(/^\d+(\.\d+)?[bkmg]?$/i)
+    .optional(),
+  pids: Joi.number().integer().min(16).optional(),
+  nofile: Joi.number().integer().min(64).optional(),
+  restartPolicy: Joi.string()
+    .pattern(/^(no|always|unless-stopped|on-failure(:\d+)?)$/)
+    .optional(),
+  stopGracePeriod: Joi.number().min(0).optional(),
+});
+
+// Persistent storage: a named volume kept across releases of the service, or
+// a host directory (source) bind mounted into the containers
+const VOLUMES = Joi.array()
+  .items(
+    Joi.object({
+      name: Joi.string()
+        .pattern(/^[a-zA-Z0-9][a-zA-Z0-9_.-]*$/)
+        .optional(),
+      source: Joi.string().pattern(/^\//).optional(),
+      target: Joi.string().pattern(/^\//).required(),
+      readOnly: Joi.boolean().default(false),
+    }).xor("name", "source"),
+  )
+  .unique("target");
+
+const deployApplication = {
+  canonicalize: (job, p) => ({
+    ...p,
+    deploymentId: pick(p.deploymentId, job.deploymentId, job.id),
+    projectId: pick(p.projectId, job.projectId),
+    appType: pick(p.appType, job.appType),
+    repositoryUrl: pick(p.repositoryUrl, job.repositoryUrl, job.repoUrl),
+    branch: pick(p.branch, job.branch),
+    commitSha: pick(p.commitSha, p.commit, job.commitSha, job.commit),
+    tag: pick(p.tag, job.tag),
+    gitProvider: pick(p.gitProvider, job.gitProvider),
+    // githubToken is the legacy name for gitToken
+    gitToken: pick(p.gitToken, p.githubToken, job.gitToken, job.githubToken),
+    gitUsername: pick(p.gitUsername, job.gitUsername),
+    sshKey: pick(p.sshKey, job.sshKey),
+    pushImage: pick(p.pushImage, job.pushImage),
+    registryCredentials: pick(p.registryCredentials, job.registryCredentials),
+    buildStrategy: pick(p.buildStrategy, job.buildStrategy),
+    composeService: pick(p.composeService, job.composeService),
+    noCache: pick(p.noCache, job.noCache),
+    environment: pick(p.environment, job.environment, job.environmentName),
+    // appName and projectName are legacy names for serviceName
+    serviceName: pick(
+      p.serviceName,
+      p.appName,
+      job.serviceName,
+      job.appName,
+      job.projectName,
+      job.name,
+    ),
+    domain: pick(p.domain, job.domain),
+    envVarsToken: pick(p.envVarsToken, job.envVarsToken),
+    additionalPorts: pick(p.additionalPorts, job.additionalPorts),
+    preDeploy: pick(p.preDeploy, job.preDeploy),
+    postDeploy: pick(p.postDeploy, job.postDeploy),
+    healthCheck: pick(p.healthCheck, job.healthCheck),
+    rollout: pick(p.rollout, job.rollout),
+    replicas: pick(p.replicas, job.replicas),
+    resources: pick(p.resources, job.resources),
+    volumes: pick(p.volumes, job.volumes),
+  }),
+  schema: Joi.object({
+    deploymentId: Joi.string().required(),
+    projectId: Joi.string().optional(),
+    appType: Joi.string().default("nodejs"),
+    serviceName: Joi.string().required(),
+    environment: Joi.string().default("production"),
+    domain: Joi.string().optional(),
+    // Database deployments do not build from a repository
+    repositoryUrl: Joi.when("appType", {
+      is: Joi.string()
+        .lowercase()
+        .valid(...MONGODB_APP_TYPES),
+      then: Joi.string().optional(),
+      otherwise: Joi.string().required(),
+    }),
+    branch: Joi.string().optional(),
+    // A pinned commit or tag is checked out instead of the branch head
+    commitSha: Joi.string()
+      .pattern(/^[0-9a-f]{7,40}$/i)
+      .optional(),
+    tag: Joi.string().optional(),
+    // Public repositories need neither a token nor a deploy key
+    gitProvider: Joi.string()
+      .valid(...GIT_PROVIDERS)
+      .optional(),
+    gitToken: Joi.string().optional(),
+    gitUsername: Joi.string().optional(),
+    sshKey: Joi.string().optional(),
+    // Repository the built image is pushed to, e.g. ghcr.io/acme/web
+    pushImage: Joi.string().optional(),
+    registryCredentials: REGISTRY_CREDENTIALS.optional(),
+    buildStrategy: Joi.string()
+      .valid(...Object.values(BUILD_STRATEGY))
+      .default(BUILD_STRATEGY.AUTO),
+    composeService: Joi.string().optional(),
+    // Build without the cache of the previous release
+    noCache: Joi.boolean().default(false),
+    envVarsToken: Joi.when("appType", {
+      is: Joi.string()
+        .lowercase()
+        .valid(...MONGODB_APP_TYPES),
+      then: Joi.string().optional(),
+      otherwise: Joi.string().required(),
+    }),
+    additionalPorts: Joi.array()
+      .items(
+        Joi.object({
+          port: Joi.number().required(),
+          hostPort: Joi.number().optional(),
+        }),
+      )
+      .optional(),
+    // Run from the new image before traffic moves; a failure aborts
+    preDeploy: HOOK_COMMANDS.optional(),
+    // Run in the new container once it serves traffic
+    postDeploy: HOOK_COMMANDS.optional(),
+    healthCheck: HEALTH_CHECK.optional(),
+    rollout: ROLLOUT.optional(),
+    replicas: Joi.number().integer().min(1).max(20).optional(),
+    resources: RESOURCES.optional(),
+    volumes: VOLUMES.optional(),
+  }).oxor("commitSha", "tag"),
+};
+
+const deployImage = {
+  canonicalize: (job, p) => ({
+    ...p,
+    deploymentId: pick(p.deploymentId, job.deploymentId, job.id),
+    projectId: pick(p.projectId, job.projectId),
+    image: pick(p.image, p.imageName, job.image, job.imageName),
+    registryCredentials: pick(p.registryCredentials, job.registryCredentials),
+    pushImage: pick(p.pushImage, job.pushImage),
+    environment: pick(p.environment, job.environment, job.environmentName),
+    serviceName: pick(
+      p.serviceName,
+      p.appName,
+      job.serviceName,
+      job.appName,
+      job.projectName,
+      job.name,
+    ),
+    domain: pick(p.domain, job.domain),
+    envVarsToken: pick(p.envVarsToken, job.envVarsToken),
+    additionalPorts: pick(p.additionalPorts, job.additionalPorts),
+    preDeploy: pick(p.preDeploy, job.preDeploy),
+    postDeploy: pick(p.postDeploy, job.postDeploy),
+    healthCheck: pick(p.healthCheck, job.healthCheck),
+    rollout: pick(p.rollout, job.rollout),
+    replicas: pick(p.replicas, job.replicas),
+    resources: pick(p.resources, job.resources),
+    volumes: pick(p.volumes, job.volumes),
+  }),
+  schema: Joi.object({
+    deploymentId: Joi.string().required(),
+    projectId: Joi.string().optional(),
+    // Only used for logging; prebuilt images are never rebuilt
+    appType: Joi.string().default("docker"),
+    image: Joi.string().required(),
+    // Needed for images in private registries
+    registryCredentials: REGISTRY_CREDENTIALS.optional(),
+    pushImage: Joi.string().optional(),
+    serviceName: Joi.string().required(),
+    environment: Joi.string().default("production"),
+    domain: Joi.string().optional(),
+    envVarsToken: Joi.string().required(),
+    additionalPorts: Joi.array()
+      .items(
+        Joi.object({
+          port: Joi.number().required(),
+          hostPort: Joi.number().optional(),
+        }),
+      )
+      .optional(),
+    preDeploy: HOOK_COMMANDS.optional(),
+    postDeploy: HOOK_COMMANDS.optional(),
+    healthCheck: HEALTH_CHECK.optional(),
+    rollout: ROLLOUT.optional(),
+    replicas: Joi.number().integer().min(1).max(20).optional(),
+    resources: RESOURCES.optional(),
+    volumes: VOLUMES.optional(),
+  }),
+};
+
+const rollbackApplication = {
+  canonicalize: (job, p) => ({
+    ...p,
+    serviceName: pick(
+      p.serviceName,
+      p.appName,
+      job.serviceName,
+      job.appName,
+      job.projectName,
+    ),
+    // The release to restore; the agent picks the previous one when omitted
+    deploymentId: pick(p.deploymentId, job.deploymentId),
+    projectId: pick(p.projectId, job.projectId),
+    environment: pick(p.environment, job.environment, job.environmentName),
+    domain: pick(p.domain, job.domain),
+  }),
+  schema: Joi.object({
+    serviceName: Joi.string().required(),
+    deploymentId: Joi.string().optional(),
+    projectId: Joi.string().optional(),
+    environment: Joi.string().default("production"),
+    domain: Joi.string().optional(),
+  }),
+};
+
+const listReleases = {
+  canonicalize: (job, p) => ({
+    ...p,
+    serviceName: pick(
+      p.serviceName,
+      p.appName,
+      job.serviceName,
+      job.appName,
+      job.projectName,
+    ),
+    limit: pick(p.limit, job.limit),
+  }),
+  schema: Joi.object({
+    serviceName: Joi.string().required(),
+    limit: Joi.number().integer().min(1).default(20),
+  }),
+};
+
+const removeApplicationVolumes = {
+  canonicalize: (job, p) => ({
+    ...p,
+    serviceName: pick(
+      p.serviceName,
+      p.appName,
+      job.serviceName,
+      job.appName,
+      job.projectName,
+    ),
+    backup: pick(p.backup, job.backup),
+  }),
+  schema: Joi.object({
+    serviceName: Joi.string().required(),
+    backup: Joi.boolean().default(true),
+  }),
+};
+
+const listServices = {
+  canonicalize: (job, p) => p,
+  schema: Joi.object({}),
+};
+
+const updateRegistryCredentials = {
+  canonicalize: (job, p) => ({
+    ...p,
+    registry: pick(p.registry, p.server, job.registry, job.server),
+    username: pick(p.username, job.username),
+    password: pick(p.password, p.token, job.password, job.token),
+  }),
+  schema: Joi.object({
+    registry: Joi.string().required(),
+    username: Joi.string().required(),
+    password: Joi.string().required(),
+  }),
+};
+
+const removeRegistryCredentials = {
+  canonicalize: (job, p) => ({
+    ...p,
+    registry: pick(p.registry, p.server, job.registry, job.server),
+  }),
+  schema: Joi.object({
+    registry: Joi.string().required(),
+  }),
+};
+
+const cancelJob = {
+  canonicalize: (job, p) => ({
+    ...p,
+    targetJobId: pick(p.targetJobId, job.targetJobId),
+    reason: pick(p.reason, job.reason),
+  }),
+  schema: Joi.object({
+    targetJobId: Joi.string().required(),
+    reason: Joi.string().default("Job cancelled by request"),
+  }),
+};
+
+const streamContainerLogs = {
+  canonicalize: (job, p) => ({
+    ...p,
+    containerId: pick(p.containerId, job.containerId),
+    streamId: pick(p.streamId, job.streamId),
+    options: pick(p.options, job.options),
+  }),
+  schema: Joi.object({
+    containerId: Joi.string().required(),
+    streamId: Joi.string().required(),
+    options: Joi.object().default({}),
+  }),
+};
+
+const stopContainerLogStream = {
+  canonicalize: (job, p) => ({
+    ...p,
+    streamId: pick(p.streamId, job.streamId),
+    reason: pick(p.reason, job.reason),
+  }),
+  schema: Joi.object({
+    streamId: Joi.string().required(),
+    reason: Joi.string().default("Stream stopped by request"),
+  }),
+};
+
+/**
+ * Build the payload definition for a database job
+ * @param {string} defaultOperation Operation used when the job names none
+ * @returns {Object} Canonicalizer and schema
+ */
+function databaseJob(defaultOperation) {
+  return {
+    canonicalize: (job, p) => ({
+      ...p,
+      operation: pick(
+        p.operation,
+        job.operation,
+        job.operationType,
+        defaultOperation,
+      ),
+      dbType: pick(p.dbType, p.databaseType, job.dbType, job.databaseType),
+      dbName: pick(
+        p.dbName,
+        p.databaseName,
+        job.dbName,
+        job.databaseName,
+        job.name,
+      ),
+      username: pick(
+        p.username,
+        p.credentials?.username,
+        job.username,
+        job.credentials?.username,
+      ),
+      password: pick(
+        p.password,
+        p.credentials?.password,
+        job.password,
+        job.credentials?.password,
+      ),
+      options: pick(p.options, job.options),
+      backupPath: pick(p.backupPath, job.backupPath),
+    }),
+    schema: Joi.object({
+      operation: Joi.string().required(),
+      dbType: Joi.string().required(),
+      dbName: Joi.string().required(),
+      username: Joi.string().optional(),
+      password: Joi.string().optional(),
+      options: Joi.object().default({}),
+      backupPath: Joi.when("operation", {
+        is: "restore",
+        then: Joi.string().required(),
+        otherwise: Joi.string().optional(),
+      }),
+    }),
+  };
+}
+
+const updateDatabaseCredentials = {
+  canonicalize: (job, p) => ({
+    ...p,
+    databaseId: pick(p.databaseId, job.databaseId),
+    dbName: pick(p.dbName, p.databaseName, job.dbName, job.databaseName),
+    username: pick(p.username, job.username),
+    password: pick(p.password, job.password),
+    adminUser: pick(p.adminUser, job.adminUser),
+    adminPassword: pick(p.adminPassword, job.adminPassword),
+    host: pick(p.host, job.host),
+    port: pick(p.port, job.port),
+  }),
+  schema: Joi.object({
+    databaseId: Joi.string().required(),
+    dbName: Joi.string().required(),
+    username: Joi.string().required(),
+    password: Joi.string().required(),
+    adminUser: Joi.string().required(),
+    adminPassword: Joi.string().required(),
+    host: Joi.string().default("localhost"),
+    port: Joi.number().port().default(27017),
+  }),
+};
+
+/**
+ * Build the payload definition for a repository job
+ * @param {string} defaultOperation Operation used when the job names none
+ * @returns {Object} Canonicalizer and schema
+ */
+function repositoryJob(defaultOperation) {
+  return {
+    canonicalize: (job, p) => ({
+      ...p,
+      operation: pick(p.operation, job.operation, defaultOperation),
+      repositoryUrl: pick(p.repositoryUrl, job.repositoryUrl, job.repoUrl),
+      branch: pick(p.branch, job.branch),
+      targetPath: pick(p.targetPath, job.targetPath, job.path),
+      credentials: pick(p.credentials, job.credentials),
+    }),
+    schema: Joi.object({
+      operation: Joi.string().valid("clone", "pull").required(),
+      repositoryUrl: Joi.string().required(),
+      branch: Joi.string().optional(),
+      targetPath: Joi.string().optional(),
+      credentials: Joi.object().default({}),
+    }),
+  };
+}
+
+const JOB_SCHEMAS = {
+  [ALL_JOB_TYPES.DEPLOY_APPLICATION]: deployApplication,
+  [ALL_JOB_TYPES.DEPLOY_IMAGE]: deployImage,
+  [ALL_JOB_TYPES.ROLLBACK_APPLICATION]: rollbackApplication,
+  [ALL_JOB_TYPES.LIST_RELEASES]: listReleases,
+  [ALL_JOB_TYPES.REMOVE_APPLICATION_VOLUMES]: removeApplicationVolumes,
+  [ALL_JOB_TYPES.LIST_SERVICES]: listServices,
+  [ALL_JOB_TYPES.CANCEL_JOB]: cancelJob,
+  [ALL_JOB_TYPES.UPDATE_REGISTRY_CREDENTIALS]: updateRegistryCredentials,
+  [ALL_JOB_TYPES.REMOVE_REGISTRY_CREDENTIALS]: removeRegistryCredentials,
+  [ALL_JOB_TYPES.STREAM_CONTAINER_LOGS]: streamContainerLogs,
+  [ALL_JOB_TYPES.STOP_CONTAINER_LOG_STREAM]: stopContainerLogStream,
+  [ALL_JOB_TYPES.INSTALL_DATABASE]: databaseJob("install"),
+  [ALL_JOB_TYPES.CREATE_DATABASE]: databaseJob("install"),
+  [ALL_JOB_TYPES.INSTALL_DATABASE_SYSTEM]: databaseJob("install"),
+  [ALL_JOB_TYPES.BACKUP_DATABASE]: databaseJob("backup"),
+  [ALL_JOB_TYPES.RESTORE_DATABASE]: databaseJob("restore"),
+  [ALL_JOB_TYPES.UPDATE_DATABASE_CREDENTIALS]: updateDatabaseCredentials,
+  [ALL_JOB_TYPES.UPDATE_MONGODB_CREDENTIALS]: updateDatabaseCredentials,
+  [ALL_JOB_TYPES.CLONE_REPOSITORY]: repositoryJob("clone"),
+  [ALL_JOB_TYPES.UPDATE_REPOSITORY]: repositoryJob("pull"),
+};
+
+module.exports = {
+  JOB_SCHEMAS,
+  // Shared with the deployer's payload validation
+  REGISTRY_CREDENTIALS,
+  HOOK_COMMANDS,
+  HEALTH_CHECK,
+  ROLLOUT,
+  RESOURCES,
+  VOLUMES,
+};
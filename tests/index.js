@@ -7,6 +7,16 @@ const fs = require("fs");
 const testSuites = {
   // We're only keeping the mongo connections test
   mongo: ["test-mongo-connections.js"],
+  // Job processing; needs no running services
+  jobs: [
+    "jobJournal.test.js",
+    "jobTimeout.test.js",
+    "jobScheduler.test.js",
+    "jobHandlerRegistry.test.js",
+    "jobSchemas.test.js",
+    "deploymentProgress.test.js",
+    "zeroDowntimeDeployer.test.js",
+  ],
   // Add more test categories as needed
 };
 
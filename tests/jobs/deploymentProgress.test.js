@@ -0,0 +1,147 @@
+/**
+ * Deployment Progress Tests
+ *
+ * Checks how build output is turned into deployment phases and progress, and
+ * that the output itself reaches the backend as batched job logs.
+ */
+
+const assert = require("assert");
+const DeploymentProgress = require("../../src/utils/deploymentProgress");
+const {
+  DEPLOYMENT_PHASES,
+  JOB_STATUS,
+} = require("../../src/constants/jobTypes");
+const { runTests } = require("./runTests");
+
+// Transport that records progress results and log messages in order
+function createTransport() {
+  const transport = {
+    messages: [],
+    publishResult: async ({ status, result }) =>
+      transport.messages.push({ status, ...result }),
+    publishLog: async ({ phase, content }) =>
+      transport.messages.push({ phase, log: content }),
+  };
+  return transport;
+}
+
+function progressOf(transport) {
+  return transport.messages
+    .filter((message) => message.status)
+    .map(({ phase, progress }) => `${phase}:${progress}`);
+}
+
+runTests("DEPLOYMENT PROGRESS TESTS", {
+  "follows BuildKit steps through the build phases": async () => {
+    const transport = createTransport();
+    const progress = new DeploymentProgress("job-1", transport);
+
+    await progress.startPhase(DEPLOYMENT_PHASES.CLONE);
+    [
+      "#5 [stage-0 1/4] FROM docker.io/library/node:20",
+      "#6 [stage-0 2/4] RUN npm ci",
+      "added 312 packages in 9s",
+      "#7 [stage-0 3/4] COPY . .",
+      "#8 [stage-0 4/4] RUN npm run build",
+      "#9 exporting to image",
+    ].forEach(progress.onOutput);
+    await progress.flush();
+
+    assert.deepStrictEqual(progressOf(transport), [
+      "clone:0",
+      "setup:10",
+      "install:25",
+      "build:45",
+      "build:55",
+      "build:69",
+    ]);
+    assert.ok(
+      transport.messages
+        .filter((message) => message.status)
+        .every((message) => message.status === JOB_STATUS.PROCESSING),
+    );
+  },
+
+  "sends the output of a phase before the next phase starts": async () => {
+    const transport = createTransport();
+    const progress = new DeploymentProgress("job-1", transport);
+
+    [
+      "Step 1/3 : FROM python:3.12",
+      "Step 2/3 : RUN pip install -r requirements.txt",
+      "Collecting flask",
+    ].forEach(progress.onOutput);
+    await progress.startPhase(DEPLOYMENT_PHASES.START);
+
+    assert.deepStrictEqual(transport.messages, [
+      { status: JOB_STATUS.PROCESSING, phase: "setup", progress: 10 },
+      {
+        phase: "setup",
+        log: "Step 1/3 : FROM python:3.12",
+      },
+      { status: JOB_STATUS.PROCESSING, phase: "install", progress: 30 },
+      {
+        phase: "install",
+        log: "Step 2/3 : RUN pip install -r requirements.txt\nCollecting flask",
+      },
+      { status: JOB_STATUS.PROCESSING, phase: "start", progress: 75 },
+    ]);
+  },
+
+  "never moves back to an earlier phase": async () => {
+    const transport = createTransport();
+    const progress = new DeploymentProgress("job-1", transport);
+
+    await progress.startPhase(DEPLOYMENT_PHASES.HEALTH);
+    progress.onOutput("#5 [1/2] RUN npm install");
+    await progress.startPhase(DEPLOYMENT_PHASES.BUILD);
+    await progress.flush();
+
+    assert.deepStrictEqual(progressOf(transport), ["health:85"]);
+    assert.strictEqual(progress.phase, DEPLOYMENT_PHASES.HEALTH);
+  },
+
+  "batches output lines into one log message": async () => {
+    const transport = createTransport();
+    const progress = new DeploymentProgress("job-1", transport);
+
+    for (let line = 1; line <= 52; line++) {
+      progress.onOutput(`line ${line}`);
+    }
+    await progress.flush();
+
+    const logs = transport.messages.map((message) => message.log);
+    assert.strictEqual(logs.length, 2);
+    assert.strictEqual(logs[0].split("\n").length, 50);
+    assert.strictEqual(logs[1], "line 51\nline 52");
+  },
+
+  "publishes nothing without a job": async () => {
+    const transport = createTransport();
+    const progress = new DeploymentProgress(null, transport);
+
+    await progress.startPhase(DEPLOYMENT_PHASES.BUILD);
+    progress.onOutput("#5 [1/2] RUN npm install");
+    await progress.flush();
+
+    assert.deepStrictEqual(transport.messages, []);
+  },
+
+  "keeps going when a publish fails": async () => {
+    const transport = createTransport();
+    let failures = 1;
+    const publishResult = transport.publishResult;
+    transport.publishResult = async (result) => {
+      if (failures-- > 0) {
+        throw new Error("channel closed");
+      }
+      return publishResult(result);
+    };
+    const progress = new DeploymentProgress("job-1", transport);
+
+    await progress.startPhase(DEPLOYMENT_PHASES.CLONE);
+    await progress.startPhase(DEPLOYMENT_PHASES.BUILD);
+
+    assert.deepStrictEqual(progressOf(transport), ["build:45"]);
+  },
+});
@@ -0,0 +1,128 @@
+/**
+ * Job Handler Registry Tests
+ *
+ * Checks registration, dispatch and the canonicalize-then-validate step every
+ * job goes through before its handler runs.
+ */
+
+const assert = require("assert");
+const Joi = require("joi");
+const jobHandlerRegistry = require("../../src/services/jobHandlerRegistry");
+const { runTests } = require("./runTests");
+
+function createRegistry() {
+  return new jobHandlerRegistry.constructor();
+}
+
+runTests("JOB HANDLER REGISTRY TESTS", {
+  "rejects registrations without an action type or handler": async () => {
+    const registry = createRegistry();
+
+    assert.throws(() => registry.register({ handler: () => {} }));
+    assert.throws(() => registry.register({ actionType: "restart_service" }));
+  },
+
+  "dispatches jobs to the registered handler": async () => {
+    const registry = createRegistry();
+    registry
+      .register({
+        actionType: "restart_service",
+        capabilities: ["docker"],
+        cancellable: true,
+        handler: async (job, context) => ({ job, context }),
+      })
+      .register({
+        actionType: "list_services",
+        capabilities: ["docker", "logs"],
+        handler: async () => null,
+      });
+
+    const job = { id: "job-1" };
+    const result = await registry.dispatch("restart_service", job, {
+      reply: null,
+    });
+
+    assert.deepStrictEqual(result, { job, context: { reply: null } });
+    assert.ok(registry.has("list_services"));
+    assert.ok(registry.isCancellable("restart_service"));
+    assert.strictEqual(registry.isCancellable("list_services"), false);
+    assert.deepStrictEqual(registry.getActionTypes(), [
+      "restart_service",
+      "list_services",
+    ]);
+    assert.deepStrictEqual(registry.getCapabilities(), ["docker", "logs"]);
+  },
+
+  "reports unknown job types as permanent failures": async () => {
+    const registry = createRegistry();
+
+    await assert.rejects(registry.dispatch("format_disk", {}, {}), (error) => {
+      assert.match(error.message, /Unsupported job type: format_disk/);
+      assert.strictEqual(error.permanent, true);
+      return true;
+    });
+  },
+
+  "canonicalizes parameters before validating them": async () => {
+    const registry = createRegistry();
+    registry.register({
+      actionType: "restart_service",
+      handler: async () => null,
+      canonicalize: (job, parameters) => ({
+        ...parameters,
+        serviceName: parameters.serviceName || job.appName,
+      }),
+      schema: Joi.object({
+        serviceName: Joi.string().required(),
+        graceful: Joi.boolean().default(true),
+      }),
+    });
+
+    const { value, error } = registry.validate("restart_service", {
+      id: "job-1",
+      appName: "web",
+      parameters: { extra: 1 },
+    });
+
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(value.parameters, {
+      serviceName: "web",
+      graceful: true,
+      extra: 1,
+    });
+  },
+
+  "returns the original job with every validation error": async () => {
+    const registry = createRegistry();
+    registry.register({
+      actionType: "restart_service",
+      handler: async () => null,
+      schema: Joi.object({
+        serviceName: Joi.string().required(),
+        graceful: Joi.boolean(),
+      }),
+    });
+
+    const job = { id: "job-1", parameters: { graceful: "maybe" } };
+    const { value, error } = registry.validate("restart_service", job);
+
+    assert.strictEqual(value, job);
+    assert.strictEqual(error.details.length, 2);
+  },
+
+  "passes jobs without a schema through unchanged": async () => {
+    const registry = createRegistry();
+    registry.register({ actionType: "ping", handler: async () => null });
+
+    const job = { id: "job-1", parameters: { anything: true } };
+
+    assert.deepStrictEqual(registry.validate("ping", job), {
+      value: job,
+      error: null,
+    });
+    assert.deepStrictEqual(registry.validate("unknown", job), {
+      value: job,
+      error: null,
+    });
+  },
+});
@@ -0,0 +1,180 @@
+/**
+ * Job Journal Tests
+ *
+ * Checks that finished jobs are answered from the journal instead of running
+ * again, and that jobs left unfinished by an agent restart are reported as
+ * interrupted or resumed.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const queueService = require("../../src/services/queueService");
+const jobJournalService = require("../../src/services/jobJournalService");
+const jobHandlerRegistry = require("../../src/services/jobHandlerRegistry");
+const commandHandler = require("../../src/controllers/commandHandler");
+const { ALL_JOB_TYPES, JOB_STATUS } = require("../../src/constants/jobTypes");
+const { JOB_SCHEMAS } = require("../../src/validators/jobSchemas");
+const { runTests } = require("./runTests");
+
+let journalDir;
+
+// Transport that records what a job publishes
+function createTransport() {
+  const transport = {
+    results: [],
+    logs: [],
+    replies: [],
+    publishResult: async (result) => transport.results.push(result),
+    publishLog: async (log) => transport.logs.push(log),
+    sendReply: (request, payload) => transport.replies.push(payload),
+    willRetry: () => false,
+  };
+  return transport;
+}
+
+// A journal as a restarted agent would load it from disk
+async function loadJournal() {
+  const journal = new jobJournalService.constructor();
+  journal.journalDir = journalDir;
+  await journal.initialize();
+  return journal;
+}
+
+runTests(
+  "JOB JOURNAL TESTS",
+  {
+    "replays the response of a finished job instead of running it again":
+      async () => {
+        journalDir = await fs.mkdtemp(path.join(os.tmpdir(), "job-journal-"));
+        jobJournalService.journalDir = journalDir;
+        await jobJournalService.initialize();
+
+        let runs = 0;
+        jobHandlerRegistry.register({
+          actionType: ALL_JOB_TYPES.LIST_RELEASES,
+          ...JOB_SCHEMAS[ALL_JOB_TYPES.LIST_RELEASES],
+          handler: async () => {
+            runs++;
+            return { success: true, result: { releases: [] } };
+          },
+        });
+
+        const job = {
+          id: "journal-dedup",
+          actionType: ALL_JOB_TYPES.LIST_RELEASES,
+          parameters: { serviceName: "web" },
+        };
+        const first = await commandHandler.processJob(
+          job,
+          null,
+          null,
+          createTransport(),
+        );
+        const transport = createTransport();
+        const second = await commandHandler.processJob(
+          job,
+          null,
+          null,
+          transport,
+        );
+
+        assert.strictEqual(runs, 1);
+        assert.strictEqual(first.status, JOB_STATUS.SUCCESS);
+        assert.deepStrictEqual(second, first);
+        // The backend gets the final result again in case it missed it
+        assert.strictEqual(transport.results.length, 1);
+        assert.strictEqual(transport.results[0].status, JOB_STATUS.SUCCESS);
+      },
+
+    "drops the payload of finished jobs from disk": async () => {
+      const entry = JSON.parse(
+        await fs.readFile(path.join(journalDir, "journal-dedup.json"), "utf8"),
+      );
+
+      assert.strictEqual(entry.state, "FINISHED");
+      assert.strictEqual(entry.job, null);
+      assert.strictEqual(entry.response.status, JOB_STATUS.SUCCESS);
+    },
+
+    "reports jobs left unfinished by the previous run as interrupted":
+      async () => {
+        const previousRun = await loadJournal();
+        await previousRun.recordReceived(
+          {
+            id: "journal-build",
+            actionType: ALL_JOB_TYPES.DEPLOY_APPLICATION,
+            parameters: { serviceName: "web" },
+          },
+          ALL_JOB_TYPES.DEPLOY_APPLICATION,
+        );
+        await previousRun.recordStarted("journal-build");
+        await previousRun.recordStep("journal-build", "build");
+
+        const published = [];
+        queueService.publishResult = async (result) => published.push(result);
+        queueService.publishLog = async () => {};
+
+        const journal = await loadJournal();
+        assert.deepStrictEqual(
+          journal.getInterruptedJobs().map((entry) => entry.jobId),
+          ["journal-build"],
+        );
+
+        assert.strictEqual(await journal.recoverInterruptedJobs(), 1);
+        assert.strictEqual(published.length, 1);
+        assert.strictEqual(published[0].status, JOB_STATUS.FAILED);
+        assert.strictEqual(published[0].result.lastStep, "build");
+        assert.ok(journal.isInterrupted("journal-build"));
+
+        // The interrupted state survives another restart
+        const restarted = await loadJournal();
+        assert.ok(restarted.isInterrupted("journal-build"));
+        assert.deepStrictEqual(restarted.getInterruptedJobs(), []);
+      },
+
+    "resumes interrupted jobs that are safe to run again": async () => {
+      const job = {
+        id: "journal-resume",
+        actionType: ALL_JOB_TYPES.DEPLOY_IMAGE,
+        parameters: { serviceName: "web", image: "nginx:1.27" },
+      };
+      const previousRun = await loadJournal();
+      await previousRun.recordReceived(job, ALL_JOB_TYPES.DEPLOY_IMAGE);
+      await previousRun.recordReceived(
+        {
+          id: "journal-backup",
+          actionType: ALL_JOB_TYPES.BACKUP_DATABASE,
+          parameters: {},
+        },
+        ALL_JOB_TYPES.BACKUP_DATABASE,
+      );
+
+      const published = [];
+      queueService.publishResult = async (result) => published.push(result);
+      queueService.publishLog = async () => {};
+      config.jobs.resumeInterrupted = true;
+
+      const resumed = [];
+      const journal = await loadJournal();
+      await journal.recoverInterruptedJobs(async (resumedJob) =>
+        resumed.push(resumedJob),
+      );
+      // Resumed jobs run in the background
+      await new Promise((resolve) => setImmediate(resolve));
+
+      assert.deepStrictEqual(resumed, [job]);
+      // Backups cannot safely run twice, so they are reported instead
+      assert.deepStrictEqual(
+        published.map((result) => result.jobId),
+        ["journal-backup"],
+      );
+      assert.ok(journal.isInterrupted("journal-backup"));
+    },
+  },
+  {
+    cleanup: () => fs.rm(journalDir, { recursive: true, force: true }),
+  },
+);
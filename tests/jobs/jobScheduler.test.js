@@ -0,0 +1,195 @@
+/**
+ * Job Scheduler Tests
+ *
+ * Checks the concurrency limits of the scheduler pools, the order queued jobs
+ * start in and how jobs aborted while they wait leave the queue.
+ */
+
+const assert = require("assert");
+const jobScheduler = require("../../src/services/jobScheduler");
+const { ALL_JOB_TYPES, JOB_PRIORITY } = require("../../src/constants/jobTypes");
+const { runTests } = require("./runTests");
+
+const HEAVY = ALL_JOB_TYPES.DEPLOY_APPLICATION;
+const LIGHT = ALL_JOB_TYPES.LIST_RELEASES;
+
+// A scheduler with one heavy slot, independent of the agent's configuration
+function createScheduler() {
+  const scheduler = new jobScheduler.constructor();
+  scheduler.pools.heavy.limit = 1;
+  scheduler.pools.light.limit = 2;
+  return scheduler;
+}
+
+// A task that runs until release() is called
+function createTask(started, name) {
+  let release;
+  const done = new Promise((resolve) => (release = resolve));
+  const task = async () => {
+    started.push(name);
+    await done;
+    return name;
+  };
+  return { task, release: () => release() };
+}
+
+// Let finished tasks hand their slot to the next job
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+runTests("JOB SCHEDULER TESTS", {
+  "runs jobs up to the pool limit and queues the rest": async () => {
+    const scheduler = createScheduler();
+    const started = [];
+    const first = createTask(started, "first");
+    const second = createTask(started, "second");
+
+    const running = scheduler.schedule(
+      { jobId: "first", jobType: HEAVY },
+      first.task,
+    );
+    const queued = scheduler.schedule(
+      { jobId: "second", jobType: HEAVY },
+      second.task,
+    );
+
+    assert.deepStrictEqual(started, ["first"]);
+    assert.ok(scheduler.isQueued("second"));
+    assert.deepStrictEqual(scheduler.getStatus().heavy, {
+      limit: 1,
+      running: 1,
+      queued: 1,
+    });
+
+    first.release();
+    assert.strictEqual(await running, "first");
+    await settle();
+    assert.deepStrictEqual(started, ["first", "second"]);
+
+    second.release();
+    assert.strictEqual(await queued, "second");
+    assert.strictEqual(scheduler.getStatus().heavy.running, 0);
+  },
+
+  "keeps heavy and light jobs in separate pools": async () => {
+    const scheduler = createScheduler();
+    const started = [];
+    const deploy = createTask(started, "deploy");
+    const list = createTask(started, "list");
+
+    scheduler.schedule({ jobId: "deploy", jobType: HEAVY }, deploy.task);
+    scheduler.schedule({ jobId: "list", jobType: LIGHT }, list.task);
+
+    assert.deepStrictEqual(started, ["deploy", "list"]);
+    deploy.release();
+    list.release();
+  },
+
+  "starts queued jobs by priority, then in arrival order": async () => {
+    const scheduler = createScheduler();
+    const started = [];
+    const blocker = createTask(started, "blocker");
+    scheduler.schedule({ jobId: "blocker", jobType: HEAVY }, blocker.task);
+
+    const waiting = [
+      ["low", "LOW"],
+      ["normal-1", undefined],
+      ["critical", JOB_PRIORITY.CRITICAL],
+      ["normal-2", "normal"],
+      ["high", "8"],
+    ].map(([name, priority]) => {
+      const job = createTask(started, name);
+      job.result = scheduler.schedule(
+        { jobId: name, jobType: HEAVY, priority },
+        job.task,
+      );
+      return job;
+    });
+
+    assert.strictEqual(scheduler.getQueuePosition("critical"), 1);
+    assert.strictEqual(scheduler.getQueuePosition("low"), 5);
+
+    blocker.release();
+    for (const job of waiting) {
+      await settle();
+      job.release();
+    }
+    await Promise.all(waiting.map((job) => job.result));
+
+    assert.deepStrictEqual(started, [
+      "blocker",
+      "critical",
+      "high",
+      "normal-1",
+      "normal-2",
+      "low",
+    ]);
+  },
+
+  "resolves named, numeric and unknown priorities": async () => {
+    assert.strictEqual(jobScheduler.resolvePriority("high"), JOB_PRIORITY.HIGH);
+    assert.strictEqual(jobScheduler.resolvePriority(3), 3);
+    assert.strictEqual(jobScheduler.resolvePriority("7"), 7);
+    assert.strictEqual(
+      jobScheduler.resolvePriority("urgent"),
+      JOB_PRIORITY.NORMAL,
+    );
+    assert.strictEqual(jobScheduler.resolvePriority(" "), JOB_PRIORITY.NORMAL);
+    assert.strictEqual(
+      jobScheduler.resolvePriority(undefined),
+      JOB_PRIORITY.NORMAL,
+    );
+  },
+
+  "drops jobs aborted while they wait without running them": async () => {
+    const scheduler = createScheduler();
+    const started = [];
+    const blocker = createTask(started, "blocker");
+    const aborted = createTask(started, "aborted");
+    const next = createTask(started, "next");
+    const abortController = new AbortController();
+    const positions = [];
+
+    scheduler.schedule({ jobId: "blocker", jobType: HEAVY }, blocker.task);
+    const abortedResult = scheduler.schedule(
+      { jobId: "aborted", jobType: HEAVY, signal: abortController.signal },
+      aborted.task,
+    );
+    const nextResult = scheduler.schedule(
+      {
+        jobId: "next",
+        jobType: HEAVY,
+        onQueued: (position) => positions.push(position),
+      },
+      next.task,
+    );
+
+    abortController.abort();
+    assert.strictEqual(await abortedResult, null);
+    assert.strictEqual(scheduler.isQueued("aborted"), false);
+    await settle();
+    // The job behind it moved up
+    assert.deepStrictEqual(positions, [2, 1]);
+
+    blocker.release();
+    await settle();
+    next.release();
+    assert.strictEqual(await nextResult, "next");
+    assert.deepStrictEqual(started, ["blocker", "next"]);
+  },
+
+  "never queues cancel jobs": async () => {
+    const scheduler = createScheduler();
+    scheduler.pools.light.limit = 1;
+    const started = [];
+    const blocker = createTask(started, "blocker");
+    scheduler.schedule({ jobId: "blocker", jobType: LIGHT }, blocker.task);
+
+    const result = await scheduler.schedule(
+      { jobId: "cancel", jobType: ALL_JOB_TYPES.CANCEL_JOB },
+      async () => "cancelled",
+    );
+
+    assert.strictEqual(result, "cancelled");
+    blocker.release();
+  },
+});
@@ -0,0 +1,187 @@
+/**
+ * Job Schema Tests
+ *
+ * Checks that both job shapes (core `parameters` and the older flat format
+ * with its aliases) canonicalize to the same parameters, and that the
+ * schemas reject what the handlers cannot run.
+ */
+
+const assert = require("assert");
+const jobHandlerRegistry = require("../../src/services/jobHandlerRegistry");
+const { ALL_JOB_TYPES } = require("../../src/constants/jobTypes");
+const { JOB_SCHEMAS } = require("../../src/validators/jobSchemas");
+const { runTests } = require("./runTests");
+
+// A registry holding every schema, as the command handler registers them
+const registry = new jobHandlerRegistry.constructor();
+for (const [actionType, definition] of Object.entries(JOB_SCHEMAS)) {
+  registry.register({ actionType, ...definition, handler: async () => null });
+}
+
+function validate(actionType, job) {
+  return registry.validate(actionType, job);
+}
+
+runTests("JOB SCHEMA TESTS", {
+  "defines a canonicalizer and schema for every job type": async () => {
+    for (const [actionType, definition] of Object.entries(JOB_SCHEMAS)) {
+      assert.ok(
+        Object.values(ALL_JOB_TYPES).includes(actionType),
+        `${actionType} is not a known job type`,
+      );
+      assert.strictEqual(typeof definition.canonicalize, "function");
+      assert.strictEqual(typeof definition.schema.validate, "function");
+    }
+  },
+
+  "folds a legacy flat deployment into parameters": async () => {
+    const { value, error } = validate(ALL_JOB_TYPES.DEPLOY_APPLICATION, {
+      id: "job-1",
+      repoUrl: "https://github.com/acme/web.git",
+      githubToken: "token",
+      appName: "web",
+      environmentName: "staging",
+      commit: "0123abc",
+      envVarsToken: "env-token",
+    });
+
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(
+      {
+        deploymentId: value.parameters.deploymentId,
+        repositoryUrl: value.parameters.repositoryUrl,
+        gitToken: value.parameters.gitToken,
+        serviceName: value.parameters.serviceName,
+        environment: value.parameters.environment,
+        commitSha: value.parameters.commitSha,
+        appType: value.parameters.appType,
+        buildStrategy: value.parameters.buildStrategy,
+        noCache: value.parameters.noCache,
+      },
+      {
+        deploymentId: "job-1",
+        repositoryUrl: "https://github.com/acme/web.git",
+        gitToken: "token",
+        serviceName: "web",
+        environment: "staging",
+        commitSha: "0123abc",
+        appType: "nodejs",
+        buildStrategy: "auto",
+        noCache: false,
+      },
+    );
+  },
+
+  "prefers parameters over top-level legacy fields": async () => {
+    const { value, error } = validate(ALL_JOB_TYPES.DEPLOY_APPLICATION, {
+      id: "job-1",
+      serviceName: "legacy",
+      branch: "legacy",
+      parameters: {
+        deploymentId: "deployment-1",
+        repositoryUrl: "https://github.com/acme/web.git",
+        serviceName: "web",
+        branch: "main",
+        envVarsToken: "env-token",
+        // Empty values fall through to the next alias
+        domain: "",
+      },
+      domain: "web.example.com",
+    });
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(value.parameters.deploymentId, "deployment-1");
+    assert.strictEqual(value.parameters.serviceName, "web");
+    assert.strictEqual(value.parameters.branch, "main");
+    assert.strictEqual(value.parameters.domain, "web.example.com");
+  },
+
+  "rejects deployments pinned to both a commit and a tag": async () => {
+    const parameters = {
+      deploymentId: "deployment-1",
+      repositoryUrl: "https://github.com/acme/web.git",
+      serviceName: "web",
+      envVarsToken: "env-token",
+    };
+
+    const pinnedTwice = validate(ALL_JOB_TYPES.DEPLOY_APPLICATION, {
+      parameters: { ...parameters, commitSha: "0123abc", tag: "v1.0.0" },
+    });
+    const notACommit = validate(ALL_JOB_TYPES.DEPLOY_APPLICATION, {
+      parameters: { ...parameters, commitSha: "main" },
+    });
+
+    assert.ok(pinnedTwice.error);
+    assert.ok(notACommit.error);
+  },
+
+  "lets database deployments skip the repository": async () => {
+    const { error } = validate(ALL_JOB_TYPES.DEPLOY_APPLICATION, {
+      id: "job-1",
+      appType: "MongoDB",
+      serviceName: "db",
+    });
+    const missing = validate(ALL_JOB_TYPES.DEPLOY_APPLICATION, {
+      id: "job-1",
+      serviceName: "web",
+    });
+
+    assert.strictEqual(error, null);
+    assert.deepStrictEqual(
+      missing.error.details.map((detail) => detail.path[0]).sort(),
+      ["envVarsToken", "repositoryUrl"],
+    );
+  },
+
+  "accepts the imageName alias for image deployments": async () => {
+    const { value, error } = validate(ALL_JOB_TYPES.DEPLOY_IMAGE, {
+      id: "job-1",
+      imageName: "ghcr.io/acme/web:1.2.0",
+      projectName: "web",
+      envVarsToken: "env-token",
+    });
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(value.parameters.image, "ghcr.io/acme/web:1.2.0");
+    assert.strictEqual(value.parameters.serviceName, "web");
+    assert.strictEqual(value.parameters.appType, "docker");
+  },
+
+  "fills in the operation of database jobs from their type": async () => {
+    const backup = validate(ALL_JOB_TYPES.BACKUP_DATABASE, {
+      databaseType: "mongodb",
+      databaseName: "app",
+      credentials: { username: "admin", password: "secret" },
+    });
+    const restore = validate(ALL_JOB_TYPES.RESTORE_DATABASE, {
+      dbType: "mongodb",
+      dbName: "app",
+    });
+
+    assert.strictEqual(backup.error, null);
+    assert.deepStrictEqual(backup.value.parameters, {
+      operation: "backup",
+      dbType: "mongodb",
+      dbName: "app",
+      username: "admin",
+      password: "secret",
+      options: {},
+      backupPath: undefined,
+    });
+    // A restore needs something to restore from
+    assert.deepStrictEqual(restore.error.details[0].path, ["backupPath"]);
+  },
+
+  "accepts a token as the registry password": async () => {
+    const { value, error } = validate(
+      ALL_JOB_TYPES.UPDATE_REGISTRY_CREDENTIALS,
+      {
+        parameters: { server: "ghcr.io", username: "acme", token: "pat" },
+      },
+    );
+
+    assert.strictEqual(error, null);
+    assert.strictEqual(value.parameters.registry, "ghcr.io");
+    assert.strictEqual(value.parameters.password, "pat");
+  },
+});
@@ -0,0 +1,140 @@
+/**
+ * Job Timeout Tests
+ *
+ * Checks that jobs running past their time limit are reported as TIMEOUT
+ * once, and that handlers which ignore the abort keep their scheduler slot
+ * until they return.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const config = require("../../src/config");
+const jobJournalService = require("../../src/services/jobJournalService");
+const jobHandlerRegistry = require("../../src/services/jobHandlerRegistry");
+const jobScheduler = require("../../src/services/jobScheduler");
+const commandHandler = require("../../src/controllers/commandHandler");
+const { ALL_JOB_TYPES, JOB_STATUS } = require("../../src/constants/jobTypes");
+const { JOB_SCHEMAS } = require("../../src/validators/jobSchemas");
+const { runTests } = require("./runTests");
+
+const JOB_TYPE = ALL_JOB_TYPES.LIST_RELEASES;
+let journalDir;
+
+// Transport that records the statuses a job publishes
+function createTransport() {
+  const transport = {
+    statuses: [],
+    publishResult: async (result) => transport.statuses.push(result.status),
+    publishLog: async () => {},
+    sendReply: () => {},
+    willRetry: () => false,
+  };
+  return transport;
+}
+
+function registerHandler(handler, cancellable) {
+  jobHandlerRegistry.register({
+    actionType: JOB_TYPE,
+    ...JOB_SCHEMAS[JOB_TYPE],
+    cancellable,
+    handler,
+  });
+}
+
+function runJob(id, transport) {
+  return commandHandler.processJob(
+    { id, actionType: JOB_TYPE, parameters: { serviceName: "web" } },
+    null,
+    null,
+    transport,
+  );
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+runTests(
+  "JOB TIMEOUT TESTS",
+  {
+    "uses per-type timeouts before the deployment and default ones":
+      async () => {
+        journalDir = await fs.mkdtemp(path.join(os.tmpdir(), "job-timeout-"));
+        jobJournalService.journalDir = journalDir;
+        await jobJournalService.initialize();
+
+        assert.strictEqual(
+          commandHandler.getJobTimeout(ALL_JOB_TYPES.DEPLOY_IMAGE),
+          config.deployment.timeout,
+        );
+        assert.strictEqual(
+          commandHandler.getJobTimeout(JOB_TYPE),
+          config.jobs.defaultTimeout,
+        );
+
+        config.jobs.timeouts[JOB_TYPE] = 50;
+        assert.strictEqual(commandHandler.getJobTimeout(JOB_TYPE), 50);
+      },
+
+    "aborts cancellable handlers and reports TIMEOUT once": async () => {
+      let reason = null;
+      registerHandler(
+        (job, { signal }) =>
+          new Promise((resolve, reject) => {
+            signal.addEventListener("abort", () => {
+              reason = signal.reason;
+              reject(signal.reason);
+            });
+          }),
+        true,
+      );
+
+      const transport = createTransport();
+      const response = await runJob("timeout-cancellable", transport);
+
+      assert.strictEqual(reason.status, JOB_STATUS.TIMEOUT);
+      assert.strictEqual(response.success, false);
+      assert.match(response.error, /time limit/);
+      assert.strictEqual(
+        transport.statuses.filter((status) => status === JOB_STATUS.TIMEOUT)
+          .length,
+        1,
+      );
+      assert.strictEqual(jobScheduler.getStatus().light.running, 0);
+    },
+
+    "holds the slot of a handler that ignores the abort until it returns":
+      async () => {
+        let finished = false;
+        registerHandler(async () => {
+          await wait(300);
+          finished = true;
+          return { success: true };
+        }, false);
+
+        const transport = createTransport();
+        const pending = runJob("timeout-ignored", transport);
+
+        await wait(150);
+        // The timeout is reported right away...
+        assert.ok(transport.statuses.includes(JOB_STATUS.TIMEOUT));
+        // ...but the job is not done until its handler is
+        assert.strictEqual(finished, false);
+        assert.strictEqual(jobScheduler.getStatus().light.running, 1);
+        assert.ok(commandHandler.activeJobs.has("timeout-ignored"));
+
+        const response = await pending;
+        assert.ok(finished);
+        assert.strictEqual(response.status, JOB_STATUS.TIMEOUT);
+        assert.strictEqual(jobScheduler.getStatus().light.running, 0);
+        assert.strictEqual(
+          transport.statuses.filter((status) => status === JOB_STATUS.TIMEOUT)
+            .length,
+          1,
+        );
+      },
+  },
+  {
+    cleanup: () => fs.rm(journalDir, { recursive: true, force: true }),
+  },
+);
@@ -0,0 +1,25 @@
+// Minimal runner for the job tests: runs the cases in order and exits with a
+// non-zero code if any of them failed, which is what tests/index.js checks
+async function runTests(title, tests, { cleanup = null } = {}) {
+  console.log(`=== ${title} ===`);
+
+  let failed = 0;
+  for (const [name, test] of Object.entries(tests)) {
+    try {
+      await test();
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${name}: ${error.stack || error.message}`);
+    }
+  }
+
+  if (cleanup) {
+    await cleanup();
+  }
+
+  console.log(`${Object.keys(tests).length - failed} passed, ${failed} failed`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,276 @@
+/**
+ * Zero Downtime Deployer Tests
+ *
+ * Runs deployments against a deployer whose Docker calls are replaced, and
+ * checks that the release serving traffic, replicas included, is never stopped
+ * before the traffic switch, that the one serving after it is never removed,
+ * and that readiness goes by the configured health check.
+ */
+
+const assert = require("assert");
+const fs = require("fs").promises;
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const zeroDowntimeDeployer = require("../../modules/zeroDowntimeDeployer");
+const portManager = require("../../utils/portManager");
+const EnvironmentManager = require("../../utils/environmentManager");
+const releaseLedgerService = require("../../src/services/releaseLedgerService");
+const { runTests } = require("./runTests");
+
+process.env.SKIP_PERMISSION_CHECK = "true";
+
+// Host port the live release (web-blue) publishes
+const LIVE_PORT = 10001;
+let tempDir;
+// What the deployment did, in order
+let events;
+let livePorts;
+
+// Ports in use on the host; stopping a container is recorded, not done
+portManager.isPortAvailable = async (port) => !livePorts.includes(port);
+portManager.forceReleasePort = async (port) => {
+  events.push(`stop ${port}`);
+  return true;
+};
+EnvironmentManager.prototype.verifyEnvironmentSetup = async () => true;
+
+// Connection of a client that has gone away; status messages are dropped
+const ws = { readyState: 3, OPEN: 1 };
+
+async function setUp(portMap) {
+  tempDir = tempDir || (await fs.mkdtemp(path.join(os.tmpdir(), "deployer-")));
+  events = [];
+  livePorts = [LIVE_PORT];
+
+  portManager.portsFile = path.join(tempDir, "ports.json");
+  await fs.writeFile(portManager.portsFile, JSON.stringify(portMap));
+  releaseLedgerService.ledgerDir = path.join(tempDir, "releases");
+  await releaseLedgerService.initialize();
+}
+
+// A deployer with web-blue live whose containers only exist as events
+function createDeployer({ replicas = [] } = {}) {
+  const deployer = new zeroDowntimeDeployer.constructor();
+  deployer.deployBaseDir = path.join(tempDir, "deployments");
+  deployer.validatePrerequisites = async () => {};
+  deployer.fetchEnvironmentVariables = async () => ({});
+  deployer.pullImage = async () => null;
+  deployer.backupCurrentState = async () => {};
+  deployer.retainReleaseImage = async () => {};
+  deployer.performHealthCheck = async () => {};
+  deployer.getCurrentContainer = async () => ({
+    id: "web-blue",
+    name: "web-blue",
+    status: "running",
+    replicas,
+  });
+  deployer.getContainerHostPort = async (id) =>
+    id === "web-blue" ? LIVE_PORT : null;
+  deployer.buildAndStartContainer = async ({
+    serviceName,
+    hostPort,
+    containerPort,
+  }) => {
+    events.push(`start ${serviceName}`);
+    livePorts.push(hostPort);
+    return { id: serviceName, name: serviceName, hostPort, containerPort };
+  };
+  deployer.startReplicas = async (container, options) => {
+    events.push(`start ${options.replicas - 1} replicas`);
+    return [];
+  };
+  deployer.switchTraffic = async (oldContainer, newContainer, serviceName) => {
+    events.push("switch");
+    await portManager.verifyPortMapping(serviceName, newContainer.hostPort);
+  };
+  deployer.gracefulContainerRemoval = async (container) =>
+    events.push(`remove ${container.name}`);
+  deployer.removeCancelledContainer = async (containerName) =>
+    events.push(`remove ${containerName}`);
+  return deployer;
+}
+
+// A deployer that can roll web back to the retained deployment-1 release
+async function createRollbackDeployer() {
+  const deployer = createDeployer();
+  deployer.listReleaseImages = async () => [
+    {
+      tag: "deployment-1",
+      image: "cloudlunacy-releases/web:deployment-1",
+      imageId: "sha256:1",
+    },
+  ];
+  deployer.getContainerImageId = async () => "sha256:2";
+  deployer.startComposeProject = async ({
+    serviceName,
+    hostPort,
+    containerPort,
+  }) => {
+    events.push(`start ${serviceName}`);
+    return { id: serviceName, name: serviceName, hostPort, containerPort };
+  };
+
+  const deployDir = path.join(deployer.deployBaseDir, "deployment-1");
+  await fs.mkdir(deployDir, { recursive: true });
+  await fs.writeFile(path.join(deployDir, ".env.production"), "PORT=8080\n");
+  return deployer;
+}
+
+// Application answering its configured health endpoint with a status
+async function startApplication(status) {
+  const server = http.createServer((request, response) => {
+    response.statusCode = request.url === "/ready" ? status : 200;
+    response.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return server;
+}
+
+function deploy(deployer, options = {}) {
+  return deployer.deploy(
+    {
+      deploymentId: "deployment-2",
+      image: "ghcr.io/acme/web:2.0.0",
+      serviceName: "web",
+      envVarsToken: "env-token",
+      ...options,
+    },
+    ws,
+  );
+}
+
+runTests(
+  "ZERO DOWNTIME DEPLOYER TESTS",
+  {
+    "keeps the live release serving until the traffic switch": async () => {
+      // Left by deployments that started every color on the service's port
+      await setUp({ web: LIVE_PORT, "web-green": LIVE_PORT });
+      const deployer = createDeployer();
+      let serviceMappingAtStart;
+      const buildAndStartContainer = deployer.buildAndStartContainer;
+      deployer.buildAndStartContainer = async (options) => {
+        serviceMappingAtStart = portManager.portMap.web;
+        return buildAndStartContainer(options);
+      };
+
+      const response = await deploy(deployer);
+
+      assert.strictEqual(response.success, true, response.message);
+      assert.deepStrictEqual(events, [
+        "start web-green",
+        "switch",
+        "remove web-blue",
+      ]);
+      const { hostPort } = response.result.containerDetails;
+      assert.notStrictEqual(hostPort, LIVE_PORT);
+      assert.strictEqual(serviceMappingAtStart, LIVE_PORT);
+      assert.strictEqual(portManager.portMap.web, hostPort);
+      assert.strictEqual(portManager.portMap["web-green"], hostPort);
+    },
+
+    "keeps the live replicas serving while the new ones start": async () => {
+      const replicaPort = LIVE_PORT + 1;
+      await setUp({ web: LIVE_PORT, "web-green": replicaPort });
+      livePorts.push(replicaPort);
+      const deployer = createDeployer({
+        replicas: [
+          { id: "web-blue-2", name: "web-blue-2", hostPort: replicaPort },
+        ],
+      });
+
+      const response = await deploy(deployer, { replicas: 2 });
+
+      assert.strictEqual(response.success, true, response.message);
+      assert.deepStrictEqual(events, [
+        "start web-green",
+        "start 1 replicas",
+        "switch",
+        "remove web-blue",
+      ]);
+      const { hostPort } = response.result.containerDetails;
+      assert.ok(![LIVE_PORT, replicaPort].includes(hostPort));
+    },
+
+    "keeps the restored release when the ledger fails after the switch":
+      async () => {
+        await setUp({ web: LIVE_PORT });
+        const deployer = await createRollbackDeployer();
+        const markLive = releaseLedgerService.markLive;
+        releaseLedgerService.markLive = async () => {
+          throw new Error("disk full");
+        };
+
+        try {
+          const response = await deployer.rollback({ serviceName: "web" });
+
+          assert.strictEqual(response.success, true);
+          assert.strictEqual(response.deploymentId, "deployment-1");
+          assert.deepStrictEqual(events, [
+            "start web-green",
+            "switch",
+            "remove web-blue",
+          ]);
+        } finally {
+          releaseLedgerService.markLive = markLive;
+        }
+      },
+
+    "removes the rollback container when it fails before the switch":
+      async () => {
+        await setUp({ web: LIVE_PORT });
+        const deployer = await createRollbackDeployer();
+        deployer.performHealthCheck = async () => {
+          throw new Error("container unhealthy");
+        };
+
+        await assert.rejects(deployer.rollback({ serviceName: "web" }), {
+          message: "container unhealthy",
+        });
+        assert.deepStrictEqual(events, ["start web-green", "remove web-green"]);
+      },
+
+    "probes the configured endpoint even when the image reports healthy":
+      async () => {
+        const deployer = new zeroDowntimeDeployer.constructor();
+        deployer.healthCheckInterval = 10;
+        // The image's own HEALTHCHECK passes
+        deployer.getContainerState = async () => ({
+          status: "running",
+          health: "healthy",
+        });
+        const health = deployer.getContainerHealthCheck({
+          path: "/ready",
+          interval: 0,
+          timeout: 1,
+          retries: 1,
+          gracePeriod: 0,
+        });
+
+        for (const [status, healthy] of [
+          [503, false],
+          [200, true],
+        ]) {
+          const server = await startApplication(status);
+          const container = {
+            id: "web-green",
+            name: "web-green",
+            hostPort: server.address().port,
+          };
+          try {
+            const check = deployer.performHealthCheck(container, null, health);
+            if (healthy) {
+              await check;
+            } else {
+              await assert.rejects(check, /\/ready answered 503/);
+            }
+          } finally {
+            server.close();
+          }
+        }
+      },
+  },
+  {
+    cleanup: () => fs.rm(tempDir, { recursive: true, force: true }),
+  },
+);
@@ -737,7 +737,9 @@ services:
       if (isDevelopment) {
         try {
           // Run certificate generation script only in development mode
-          await executeCommand("npm", ["run", "dev:prepare-mongo"]);
+          await executeCommand("npm", ["run", "dev:prepare-mongo"], {
+            signal: config.signal,
+          });
           logger.info("Generated MongoDB certificates");
         } catch (certErr) {
           logger.error(`Certificate preparation failed: ${certErr.message}`);
@@ -789,7 +791,9 @@ services:
       }
 
       // Start MongoDB container
-      await executeCommand("docker-compose", ["-f", composeFile, "up", "-d"]);
+      await executeCommand("docker-compose", ["-f", composeFile, "up", "-d"], {
+        signal: config.signal,
+      });
       logger.info("Started MongoDB container");
 
       // Wait for MongoDB to start
@@ -849,12 +853,11 @@ services:
 
       if (fs.existsSync(composeFile)) {
         // Stop and remove container
-        await executeCommand("docker-compose", [
-          "-f",
-          composeFile,
-          "down",
-          "-v",
-        ]);
+        await executeCommand(
+          "docker-compose",
+          ["-f", composeFile, "down", "-v"],
+          { signal: config.signal },
+        );
         logger.info("MongoDB container stopped and removed");
 
         // Remove compose file
@@ -1099,7 +1102,9 @@ services:
       logger.info("Created Redis docker-compose configuration");
 
       // Start Redis container
-      await executeCommand("docker-compose", ["-f", composeFile, "up", "-d"]);
+      await executeCommand("docker-compose", ["-f", composeFile, "up", "-d"], {
+        signal: config.signal,
+      });
       logger.info("Started Redis container");
 
       // Wait for Redis to start
@@ -1155,12 +1160,11 @@ services:
 
       if (fs.existsSync(composeFile)) {
         // Stop and remove container
-        await executeCommand("docker-compose", [
-          "-f",
-          composeFile,
-          "down",
-          "-v",
-        ]);
+        await executeCommand(
+          "docker-compose",
+          ["-f", composeFile, "down", "-v"],
+          { signal: config.signal },
+        );
         logger.info("Redis container stopped and removed");
 
         // Remove compose file
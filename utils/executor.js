@@ -1,13 +1,27 @@
 const { spawn } = require('child_process');
 const logger = require('./logger');
 
+// Time given to an aborted command to exit before it is killed with SIGKILL
+const KILL_GRACE_PERIOD = 10000;
+
+function createAbortError(command, args, signal) {
+    const reason = signal && signal.reason instanceof Error ? signal.reason.message : 'Command aborted';
+    const error = new Error(`${reason}: ${command} ${args.join(' ')}`);
+    error.name = 'AbortError';
+    error.aborted = true;
+    return error;
+}
+
 function executeCommand(command, args = [], options = {}) {
     const {
         cwd = process.cwd(),
         ignoreError = false,
         silent = false,
         env = { ...process.env },
-        logOutput = true // New option to control logging
+        logOutput = true, // New option to control logging
+        signal = null, // AbortSignal used to kill the command (e.g. job cancellation)
+        input = null, // Written to stdin, e.g. a password for --password-stdin
+        onOutput = null // Called with every output line and its stream ('stdout' or 'stderr')
     } = options;
 
     // Ensure PATH includes standard directories
@@ -19,18 +33,62 @@ function executeCommand(command, args = [], options = {}) {
     logger.debug(`Executing command: ${command} ${args.join(' ')}`);
 
     return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(createAbortError(command, args, signal));
+            return;
+        }
+
         const cmd = spawn(command, args, {
             cwd,
             env,
-            stdio: ['inherit', 'pipe', 'pipe']
+            stdio: [input !== null ? 'pipe' : 'inherit', 'pipe', 'pipe']
         });
 
+        if (input !== null) {
+            // The command may exit before reading its input
+            cmd.stdin.on('error', () => {});
+            cmd.stdin.end(input);
+        }
+
         let stdout = '';
         let stderr = '';
+        let aborted = false;
+        let killTimer = null;
+        // Incomplete last line of each stream, held back until it is finished
+        const partialLines = { stdout: '', stderr: '' };
+
+        const emitLines = (stream, output, final = false) => {
+            if (!onOutput) {
+                return;
+            }
+            // Progress output rewrites its line with carriage returns
+            const lines = (partialLines[stream] + output).split(/\r\n|\r|\n/);
+            partialLines[stream] = final ? '' : lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+                try {
+                    onOutput(line, stream);
+                } catch (error) {
+                    logger.warn(`Output handler failed: ${error.message}`);
+                }
+            });
+        };
+
+        const onAbort = () => {
+            aborted = true;
+            logger.warn(`Aborting command: ${command} ${args.join(' ')}`);
+            cmd.kill('SIGTERM');
+            // Escalate if the process ignores SIGTERM
+            killTimer = setTimeout(() => cmd.kill('SIGKILL'), KILL_GRACE_PERIOD);
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
 
         cmd.stdout.on('data', (data) => {
             const output = data.toString();
             stdout += output;
+            emitLines('stdout', output);
             if (logOutput && !silent) {
                 // Log each line separately for better readability
                 output.split('\n').filter(line => line.trim()).forEach(line => {
@@ -42,6 +100,7 @@ function executeCommand(command, args = [], options = {}) {
         cmd.stderr.on('data', (data) => {
             const output = data.toString();
             stderr += output;
+            emitLines('stderr', output);
             if (logOutput && !silent) {
                 // Log each line separately and mark warnings/errors appropriately
                 output.split('\n').filter(line => line.trim()).forEach(line => {
@@ -57,9 +116,26 @@ function executeCommand(command, args = [], options = {}) {
         });
 
         cmd.on('close', (code) => {
+            emitLines('stdout', '', true);
+            emitLines('stderr', '', true);
             stdout = stdout.trim();
             stderr = stderr.trim();
 
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            if (killTimer) {
+                clearTimeout(killTimer);
+            }
+
+            if (aborted) {
+                const error = createAbortError(command, args, signal);
+                error.stdout = stdout;
+                error.stderr = stderr;
+                reject(error);
+                return;
+            }
+
             const output = {
                 code,
                 stdout,
@@ -91,6 +167,9 @@ function executeCommand(command, args = [], options = {}) {
         });
 
         cmd.on('error', (error) => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
             logger.error(`Failed to start command: ${command} ${args.join(' ')}`);
             logger.error(`Error: ${error.message}`);
             error.stdout = stdout.trim();
@@ -14,9 +14,24 @@ class NixpacksBuilder {
    * @param {string} options.projectDir - Path to the project directory
    * @param {string} options.imageName - Name for the built image (including tag)
    * @param {Object} options.envVars - Environment variables for the build
+   * @param {string} [options.cacheKey] - Key of the BuildKit cache mounts,
+   *   stable across builds of the same service (defaults to the image repository)
+   * @param {string} [options.cacheFrom] - Earlier image whose layers can be reused
+   * @param {boolean} [options.noCache] - Build from scratch
+   * @param {AbortSignal} [options.signal] - Signal that aborts the build
+   * @param {Function} [options.onOutput] - Receives every line the build prints
    * @returns {Promise<string>} - Image ID or imageName if not found
    */
-  async buildImage({ projectDir, imageName, envVars = {} }) {
+  async buildImage({
+    projectDir,
+    imageName,
+    envVars = {},
+    cacheKey = null,
+    cacheFrom = null,
+    noCache = false,
+    signal = null,
+    onOutput = null,
+  }) {
     if (!projectDir || !fs.existsSync(projectDir)) {
       throw new Error(`Project directory does not exist: ${projectDir}`);
     }
@@ -28,7 +43,14 @@ class NixpacksBuilder {
 
     // Add optimization flags for faster builds
     args.push("--no-error-without-start");
-    args.push("--cache-key", `${imageName}-${Date.now()}`);
+    args.push("--cache-key", cacheKey || this.getImageRepository(imageName));
+    // Inline cache metadata lets the next build use this image as a cache source
+    args.push("--inline-cache");
+    if (noCache) {
+      args.push("--no-cache");
+    } else if (cacheFrom) {
+      args.push("--cache-from", cacheFrom);
+    }
 
     Object.entries(envVars).forEach(([key, value]) => {
       if (value != null) args.push("--env", `${key}=${value}`);
@@ -38,7 +60,10 @@ class NixpacksBuilder {
     logger.info(`Building image with Nixpacks: ${imageName}`);
     logger.debug(`Command: nixpacks ${args.join(" ")}`);
 
-    const { stdout, stderr } = await executeCommand("nixpacks", args);
+    const { stdout, stderr } = await executeCommand("nixpacks", args, {
+      signal,
+      onOutput,
+    });
     const match = stdout.match(/Successfully built (\w+)/);
     if (match) logger.info(`Built image ID: ${match[1]}`);
     else logger.warn(`No image ID parsed, defaulting to name`);
@@ -46,6 +71,16 @@ class NixpacksBuilder {
     return match ? match[1] : imageName;
   }
 
+  /**
+   * Strips the tag from an image reference
+   *
+   * @param {string} imageName - Image reference
+   * @returns {string} - Image reference without tag
+   */
+  getImageRepository(imageName) {
+    return imageName.replace(/:[^/:]+$/, "");
+  }
+
   async ensureNixpacksInstalled() {
     try {
       await executeCommand("nixpacks", ["--version"]);
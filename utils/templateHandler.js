@@ -3,6 +3,7 @@
 const fs = require("fs").promises;
 const path = require("path");
 const Handlebars = require("handlebars");
+const yaml = require("js-yaml");
 const logger = require("./logger");
 
 class TemplateHandler {
@@ -14,12 +15,18 @@ class TemplateHandler {
   async generateDeploymentFiles({
     appType,
     appName,
+    imageName,
+    cacheFrom = null,
     environment,
     hostPort,
     containerPort,
     domain,
     envFile,
     health,
+    healthcheck = null,
+    resources,
+    volumes = [],
+    externalVolumes = [],
   }) {
     const config = this.deployConfig[appType.toLowerCase()];
     if (!config) {
@@ -70,11 +77,35 @@ class TemplateHandler {
     const renderedDockerCompose = dockerComposeTemplate({
       appName,
       sanitizedAppName,
+      // Tag of the built image, so it is the release image rather than one
+      // named after the compose project
+      imageName,
+      // Image whose layers the build can reuse
+      cacheFrom,
       environment,
       hostPort,
       containerPort,
       domain,
       envFile,
+      // Restart policy, stop grace period and limits of the service
+      resourceConfig: yaml
+        .dump(resources, { lineWidth: -1 })
+        .trimEnd()
+        .split("\n")
+        .map((line) => `    ${line}`)
+        .join("\n"),
+      // Compose healthcheck of the deployment's health check
+      healthConfig: healthcheck
+        ? yaml
+            .dump({ healthcheck }, { lineWidth: -1 })
+            .trimEnd()
+            .split("\n")
+            .map((line) => `    ${line}`)
+            .join("\n")
+        : "",
+      // Service volumes and the named volumes declared as external
+      volumes,
+      externalVolumes,
     });
 
     logger.info(`Rendered deployment files for appType: ${appType}`);